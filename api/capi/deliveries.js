@@ -0,0 +1,68 @@
+// backend/api/capi/deliveries.js
+import express from "express";
+import { supabase } from "../../lib/supabase.js";
+import { requireAuth, requireProjectAccess, projectFromParam } from "../../lib/auth.js";
+import { replayCapiDelivery } from "../../lib/capi/deliveries.js";
+
+const router = express.Router();
+
+const access = [requireAuth("capi:manage"), requireProjectAccess(projectFromParam)];
+
+const DELIVERY_STATUSES = ["pending", "sent", "failed", "cancelled"];
+
+/**
+ * GET /api/projects/:projectId/pages/:pageId/capi-deliveries
+ *   ?status=&event_name=&event_id=&conversion_id=&destination=&limit=
+ * "¿Le llegó a Meta este Purchase?" → ?conversion_id=… (o event_id=purchase-<id>)
+ */
+router.get("/api/projects/:projectId/pages/:pageId/capi-deliveries", access, async (req, res) => {
+  const { status = null, event_name = null, event_id = null, conversion_id = null, destination = null } = req.query;
+  if (status && !DELIVERY_STATUSES.includes(status)) {
+    return res.status(400).json({ ok: false, error: "invalid_status" });
+  }
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+
+  let q = supabase
+    .from("capi_deliveries")
+    .select("*")
+    .eq("project_id", req.params.projectId)
+    .eq("page_id", req.params.pageId)
+    .order("created_at", { ascending: false })
+    .limit(limit);
+  if (status) q = q.eq("status", status);
+  if (event_name) q = q.eq("event_name", String(event_name));
+  if (event_id) q = q.eq("event_id", String(event_id));
+  if (conversion_id) q = q.eq("conversion_id", String(conversion_id));
+  if (destination) q = q.eq("destination", String(destination));
+
+  const { data, error } = await q;
+  if (error) {
+    console.error("[capi_deliveries] list error:", error);
+    return res.status(500).json({ ok: false, error: "list_failed" });
+  }
+  res.json({ ok: true, deliveries: data || [] });
+});
+
+/** POST /api/projects/:projectId/pages/:pageId/capi-deliveries/:id/replay */
+router.post("/api/projects/:projectId/pages/:pageId/capi-deliveries/:id/replay", access, async (req, res) => {
+  try {
+    const { data: delivery, error } = await supabase
+      .from("capi_deliveries")
+      .select("*")
+      .eq("id", req.params.id)
+      .eq("project_id", req.params.projectId)
+      .eq("page_id", req.params.pageId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!delivery) return res.status(404).json({ ok: false, error: "not_found" });
+
+    const result = await replayCapiDelivery(delivery);
+    res.json({ ok: true, delivery: result });
+  } catch (e) {
+    console.error("[capi_deliveries] replay error:", e);
+    res.status(500).json({ ok: false, error: "replay_failed" });
+  }
+});
+
+export default router;
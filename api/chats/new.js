@@ -1,6 +1,10 @@
 // backend/api/chats/new.js
 import express from "express";
 import { createClient } from "@supabase/supabase-js";
+import { emitWebhookEvent } from "../../lib/webhooks.js";
+import { requireAuth, canAccessProject } from "../../lib/auth.js";
+import { recordContactTouch, resolveAttribution } from "../../lib/attribution.js";
+import { normalizePhone } from "../../lib/phone.js";
 
 const router = express.Router();
 
@@ -18,49 +22,76 @@ const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE);
  *   slug: string | null,
  *   line_id: uuid | null,
  *   wa_phone: string | null,
- *   contact: string (tel del usuario, requerido),
+ *   contact: string (tel del usuario, requerido; se normaliza a E.164 sin "+"),
  *   message: string | null,
  *   name: string | null   // opcional: guardar nombre del contacto
  * }
  */
-router.post("/api/chats/new", async (req, res) => {
+router.post("/api/chats/new", requireAuth("chats:write"), async (req, res) => {
   try {
     const {
       project_id,
       page_id = null,
       slug = null,
       line_id = null,
-      wa_phone = null,
-      contact,
+      wa_phone: rawWaPhone = null,
+      contact: rawContact,
       message = null,
       name = null,
     } = req.body || {};
 
-    if (!project_id || !contact) {
+    if (!project_id || !rawContact) {
       return res.status(400).json({ ok: false, error: "project_id y contact son requeridos" });
     }
+    const contact = normalizePhone(rawContact);
+    if (!contact) return res.status(400).json({ ok: false, error: "contact inválido" });
+    const wa_phone = rawWaPhone ? normalizePhone(rawWaPhone) : null;
+    if (rawWaPhone && !wa_phone) return res.status(400).json({ ok: false, error: "wa_phone inválido" });
+    if (!(await canAccessProject(req, project_id))) {
+      return res.status(403).json({ ok: false, error: "forbidden" });
+    }
 
-    // 1) Insertar registro de chat
-    const { error: insErr } = await supabase.from("analytics_chats").insert({
+    // 0) Toque del contacto → página acreditada según el modelo del proyecto
+    const contactTouch = await recordContactTouch({
       project_id,
+      contact,
       page_id,
       slug,
+      source: "api",
       line_id,
-      wa_phone,
-      contact,
-      message,
     });
+    const credited = contactTouch ? await resolveAttribution(project_id, contact) : null;
+    const credit = contactTouch
+      ? { page_id: credited?.page_id || null, slug: credited?.slug || null }
+      : { page_id, slug };
+
+    // 1) Insertar registro de chat
+    const { data: chatRow, error: insErr } = await supabase
+      .from("analytics_chats")
+      .insert({
+        project_id,
+        page_id: credit.page_id,
+        slug: credit.slug,
+        line_id,
+        wa_phone,
+        contact,
+        message,
+        contact_touch_id: contactTouch?.id || null,
+      })
+      .select()
+      .maybeSingle();
     if (insErr) {
       console.error("[analytics_chats] insert error:", insErr);
       return res.status(500).json({ ok: false, error: "insert_failed" });
     }
+    emitWebhookEvent(project_id, "chat.created", chatRow);
 
     // 2) Guardar nombre opcional
     if (name) {
       await supabase
         .from("wa_contact_names")
         .upsert(
-          { project_id, phone: String(contact), name, updated_at: new Date().toISOString() },
+          { project_id, phone: contact, name, updated_at: new Date().toISOString() },
           { onConflict: "project_id,phone" }
         );
     }
@@ -69,10 +100,9 @@ router.post("/api/chats/new", async (req, res) => {
     await supabase.from("agenda").upsert(
       {
         project_id,
-        contact: String(contact),
+        contact,
         wa_phone,
-        source_slug: slug,
-        source_page_id: page_id,
+        ...(credit.page_id ? { source_slug: credit.slug, source_page_id: credit.page_id } : {}),
         last_message_at: new Date().toISOString(),
         status: "new",
         updated_at: new Date().toISOString(),
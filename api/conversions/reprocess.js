@@ -0,0 +1,90 @@
+// backend/api/conversions/reprocess.js
+import express from "express";
+import { supabase } from "../../lib/supabase.js";
+import { requireAuth, requireProjectAccess, projectFromParam } from "../../lib/auth.js";
+import { getConversion, projectIdForConversion } from "../../lib/conversions.js";
+import { reprocessConversion } from "../../lib/receipts/reprocess.js";
+import { enqueueJob } from "../../lib/jobs.js";
+
+const router = express.Router();
+
+const BULK_MAX = 200;
+
+const reviewerOf = (req) => req.user?.id || (req.apiKey ? `key:${req.apiKey.id}` : null);
+
+/**
+ * POST /api/conversions/:id/reprocess
+ * Body JSON: { apply: boolean (default false), fresh_ocr: boolean (default false) }
+ */
+router.post(
+  "/api/conversions/:id/reprocess",
+  requireAuth("conversions:review"),
+  requireProjectAccess((req) => projectIdForConversion(req.params.id)),
+  async (req, res) => {
+    try {
+      const conv = await getConversion(req.params.id);
+      const result = await reprocessConversion(conv, {
+        apply: req.body?.apply === true,
+        fresh_ocr: req.body?.fresh_ocr === true,
+        reviewer: reviewerOf(req),
+      });
+      if (!result.ok) return res.status(422).json(result);
+      res.json(result);
+    } catch (e) {
+      console.error("[conversions] reprocess error:", e);
+      res.status(500).json({ ok: false, error: "reprocess_failed" });
+    }
+  }
+);
+
+/**
+ * POST /api/projects/:projectId/conversions/reprocess
+ * Body JSON: { from: ISO (requerido), to: ISO | null, apply: boolean, fresh_ocr: boolean, limit: number }
+ * Encola un trabajo "receipt.reprocess" por conversión; el diff de cada una queda en jobs.result
+ * (GET /api/projects/:projectId/jobs?status=all&type=receipt.reprocess).
+ * Respuesta: { ok, total, jobs: [{ conversion_id, job_id }] } (job_id null si no se pudo encolar)
+ */
+router.post(
+  "/api/projects/:projectId/conversions/reprocess",
+  requireAuth("conversions:review"),
+  requireProjectAccess(projectFromParam),
+  async (req, res) => {
+    const { from, to = null, apply = false, fresh_ocr = false } = req.body || {};
+    const limit = Math.min(Number(req.body?.limit) || BULK_MAX, BULK_MAX);
+
+    const fromD = new Date(from);
+    const toD = to ? new Date(to) : new Date();
+    if (!from || Number.isNaN(fromD.getTime()) || Number.isNaN(toD.getTime())) {
+      return res.status(400).json({ ok: false, error: "from/to inválidos" });
+    }
+
+    try {
+      const { data: convs, error } = await supabase
+        .from("analytics_conversions")
+        .select("id")
+        .eq("project_id", req.params.projectId)
+        .gte("created_at", fromD.toISOString())
+        .lte("created_at", toD.toISOString())
+        .order("created_at", { ascending: true })
+        .limit(limit);
+      if (error) throw error;
+
+      const jobs = [];
+      for (const conv of convs || []) {
+        const job = await enqueueJob(
+          "receipt.reprocess",
+          { conversion_id: conv.id, apply: apply === true, fresh_ocr: fresh_ocr === true, reviewer: reviewerOf(req) },
+          { project_id: req.params.projectId }
+        );
+        jobs.push({ conversion_id: conv.id, job_id: job?.id || null });
+      }
+
+      res.status(202).json({ ok: true, total: jobs.length, jobs });
+    } catch (e) {
+      console.error("[conversions] bulk reprocess error:", e);
+      res.status(500).json({ ok: false, error: "reprocess_failed" });
+    }
+  }
+);
+
+export default router;
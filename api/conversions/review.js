@@ -0,0 +1,118 @@
+// backend/api/conversions/review.js
+import express from "express";
+import { supabase } from "../../lib/supabase.js";
+import { requireAuth, requireProjectAccess, projectFromParam } from "../../lib/auth.js";
+import {
+  CORRECTABLE_FIELDS,
+  getConversion,
+  projectIdForConversion,
+  approveConversion,
+  rejectConversion,
+  correctConversion,
+} from "../../lib/conversions.js";
+import { CURRENCIES } from "../../lib/currency.js";
+
+const router = express.Router();
+
+const readAccess = [requireAuth("conversions:read"), requireProjectAccess(projectFromParam)];
+const reviewAccess = [
+  requireAuth("conversions:review"),
+  requireProjectAccess((req) => projectIdForConversion(req.params.id)),
+];
+
+const reviewerOf = (req) => req.user?.id || (req.apiKey ? `key:${req.apiKey.id}` : null);
+
+/**
+ * GET /api/projects/:projectId/conversions/pending?limit=&sort=tamper
+ * `sort=tamper` pone primero las de mayor tamper_score (sospecha de edición).
+ */
+router.get("/api/projects/:projectId/conversions/pending", readAccess, async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 100, 500);
+  let q = supabase
+    .from("analytics_conversions")
+    .select("*")
+    .eq("project_id", req.params.projectId)
+    .in("status", ["pending_review", "received"])
+    .is("reviewed_at", null);
+  if (req.query.sort === "tamper") q = q.order("tamper_score", { ascending: false, nullsFirst: false });
+
+  const { data, error } = await q.order("created_at", { ascending: false }).limit(limit);
+
+  if (error) {
+    console.error("[analytics_conversions] pending list error:", error);
+    return res.status(500).json({ ok: false, error: "list_failed" });
+  }
+  res.json({ ok: true, conversions: data || [] });
+});
+
+/** POST /api/conversions/:id/approve  Body JSON: { note: string | null } */
+router.post("/api/conversions/:id/approve", reviewAccess, async (req, res) => {
+  try {
+    const conv = await getConversion(req.params.id);
+    if (conv.status === "rejected") return res.status(409).json({ ok: false, error: "already_rejected" });
+
+    const updated = await approveConversion(conv, { reviewer: reviewerOf(req), note: req.body?.note });
+    res.json({ ok: true, conversion: updated });
+  } catch (e) {
+    console.error("[conversions] approve error:", e);
+    res.status(500).json({ ok: false, error: "approve_failed" });
+  }
+});
+
+/** POST /api/conversions/:id/reject  Body JSON: { note: string | null } */
+router.post("/api/conversions/:id/reject", reviewAccess, async (req, res) => {
+  try {
+    const conv = await getConversion(req.params.id);
+    if (conv.status === "rejected") return res.json({ ok: true, conversion: conv });
+
+    const updated = await rejectConversion(conv, { reviewer: reviewerOf(req), note: req.body?.note });
+    res.json({ ok: true, conversion: updated });
+  } catch (e) {
+    console.error("[conversions] reject error:", e);
+    res.status(500).json({ ok: false, error: "reject_failed" });
+  }
+});
+
+/**
+ * PATCH /api/conversions/:id
+ * Body JSON: { amount?, currency? (ARS | USD | USDT), txn_at? (ISO), provider?, concept?, reference?, operation_no?,
+ *              origin_* / dest_* (name, cuit, account, bank)?, note? }
+ */
+router.patch("/api/conversions/:id", reviewAccess, async (req, res) => {
+  const body = req.body || {};
+  const fields = {};
+  for (const k of CORRECTABLE_FIELDS) if (k in body) fields[k] = body[k];
+
+  if (!Object.keys(fields).length) {
+    return res.status(400).json({ ok: false, error: "sin campos para corregir", allowed: CORRECTABLE_FIELDS });
+  }
+  if ("amount" in fields) {
+    const v = Number(fields.amount);
+    if (!Number.isFinite(v) || v <= 0) return res.status(400).json({ ok: false, error: "amount inválido" });
+    fields.amount = v;
+  }
+  if ("txn_at" in fields && fields.txn_at != null) {
+    const t = Date.parse(fields.txn_at);
+    if (!Number.isFinite(t)) return res.status(400).json({ ok: false, error: "txn_at inválido" });
+    fields.txn_at = new Date(t).toISOString();
+  }
+  if ("currency" in fields) {
+    const c = String(fields.currency || "").toUpperCase();
+    if (!CURRENCIES.includes(c)) return res.status(400).json({ ok: false, error: "currency inválida", allowed: CURRENCIES });
+    fields.currency = c;
+  }
+  for (const k of Object.keys(fields)) {
+    if (k !== "amount" && k !== "txn_at" && fields[k] != null) fields[k] = String(fields[k]).slice(0, 200);
+  }
+
+  try {
+    const conv = await getConversion(req.params.id);
+    const updated = await correctConversion(conv, fields, { reviewer: reviewerOf(req), note: body.note });
+    res.json({ ok: true, conversion: updated });
+  } catch (e) {
+    console.error("[conversions] correct error:", e);
+    res.status(500).json({ ok: false, error: "correct_failed" });
+  }
+});
+
+export default router;
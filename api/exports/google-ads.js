@@ -0,0 +1,134 @@
+// backend/api/exports/google-ads.js
+import express from "express";
+import { supabase } from "../../lib/supabase.js";
+import { requireAuth, requireProjectAccess, projectFromParam } from "../../lib/auth.js";
+import { capiCurrency } from "../../lib/currency.js";
+
+const router = express.Router();
+
+const access = [requireAuth("conversions:read"), requireProjectAccess(projectFromParam)];
+
+const AR_TZ = "America/Argentina/Buenos_Aires";
+const GCLID_MAX_AGE_DAYS = 90; // Google Ads no acepta clicks más viejos
+const CONTACTS_PER_QUERY = 200;  // .in("contact", …) va en la URL: de a tandas para no pasar el largo máximo
+const PAGE = 1000;               // max_rows de PostgREST: más filas se leen de a páginas
+
+const csvCell = (v) => {
+  const s = v == null ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// "yyyy-MM-dd HH:mm:ss" en hora argentina (la zona va en la fila Parameters)
+const adsTime = (iso) => new Date(iso).toLocaleString("sv-SE", { timeZone: AR_TZ });
+
+/** Todas las filas de la consulta, de a PAGE (`build()` arma la consulta de nuevo en cada página). */
+async function selectAll(build) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE) {
+    const { data, error } = await build().range(from, from + PAGE - 1);
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < PAGE) return rows;
+  }
+}
+
+/**
+ * GET /api/projects/:projectId/pages/:pageId/exports/google-ads-conversions.csv?from=&to=&conversion_name=
+ * Compras contadas (received/approved) en formato de carga de conversiones offline de Google Ads.
+ * El click sale del toque de landing del contacto: gclid, o gbraid/wbraid en clicks de iOS (una sola
+ * columna por fila, como pide la plantilla de Google). Las compras sin click no van.
+ * `conversion_name` por defecto: pages.gads_conversion_name (o "Purchase").
+ */
+router.get("/api/projects/:projectId/pages/:pageId/exports/google-ads-conversions.csv", access, async (req, res) => {
+  try {
+    const { projectId, pageId } = req.params;
+    const to = req.query.to ? new Date(String(req.query.to)) : new Date();
+    const from = req.query.from ? new Date(String(req.query.from)) : new Date(to.getTime() - 30 * 86_400_000);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+      return res.status(400).json({ ok: false, error: "from/to inválidos" });
+    }
+
+    const { data: page, error: pageErr } = await supabase
+      .from("pages")
+      .select("id, gads_conversion_name")
+      .eq("id", pageId)
+      .eq("project_id", projectId)
+      .maybeSingle();
+    if (pageErr) throw pageErr;
+    if (!page) return res.status(404).json({ ok: false, error: "page_not_found" });
+
+    const conversionName = String(req.query.conversion_name || page.gads_conversion_name || "Purchase");
+
+    const convs = await selectAll(() =>
+      supabase
+        .from("analytics_conversions")
+        .select("id, contact, amount, currency, created_at")
+        .eq("project_id", projectId)
+        .eq("page_id", pageId)
+        .in("status", ["received", "approved"])
+        .gte("created_at", from.toISOString())
+        .lt("created_at", to.toISOString())
+        .order("created_at", { ascending: true })
+        .order("id", { ascending: true })
+    );
+
+    const contacts = [...new Set((convs || []).map((c) => c.contact).filter(Boolean))];
+    const touchesByContact = new Map();
+    const clickSince = new Date(from.getTime() - GCLID_MAX_AGE_DAYS * 86_400_000).toISOString();
+    for (let i = 0; i < contacts.length; i += CONTACTS_PER_QUERY) {
+      const batch = contacts.slice(i, i + CONTACTS_PER_QUERY);
+      const touches = await selectAll(() =>
+        supabase
+          .from("landing_touches")
+          .select("id, contact, gclid, gbraid, wbraid, claimed_at")
+          .eq("project_id", projectId)
+          .in("contact", batch)
+          .or("gclid.not.is.null,gbraid.not.is.null,wbraid.not.is.null")
+          .gte("claimed_at", clickSince)
+          .lt("claimed_at", to.toISOString())
+          .order("claimed_at", { ascending: false })
+          .order("id", { ascending: true })
+      );
+      for (const t of touches) {
+        if (!touchesByContact.has(t.contact)) touchesByContact.set(t.contact, []);
+        touchesByContact.get(t.contact).push(t);
+      }
+    }
+
+    const lines = [
+      `Parameters:TimeZone=${AR_TZ}`,
+      "Google Click ID,GBRAID,WBRAID,Conversion Name,Conversion Time,Conversion Value,Conversion Currency",
+    ];
+    for (const c of convs) {
+      // último click antes de la compra, dentro de la ventana de Google Ads
+      const at = new Date(c.created_at).getTime();
+      const touch = (touchesByContact.get(c.contact) || []).find((t) => {
+        const claimed = new Date(t.claimed_at).getTime();
+        return claimed <= at && at - claimed <= GCLID_MAX_AGE_DAYS * 86_400_000;
+      });
+      if (!touch) continue;
+      lines.push(
+        [
+          touch.gclid,
+          touch.gclid ? null : touch.gbraid,
+          touch.gclid || touch.gbraid ? null : touch.wbraid,
+          conversionName,
+          adsTime(c.created_at),
+          Number(c.amount) || 0,
+          capiCurrency(c.currency),
+        ]
+          .map(csvCell)
+          .join(",")
+      );
+    }
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="google-ads-conversions-${pageId}.csv"`);
+    res.send(lines.join("\n") + "\n");
+  } catch (e) {
+    console.error("[exports/google-ads] error:", e);
+    res.status(500).json({ ok: false, error: "export_failed" });
+  }
+});
+
+export default router;
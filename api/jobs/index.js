@@ -0,0 +1,90 @@
+// backend/api/jobs/index.js
+import express from "express";
+import { supabase } from "../../lib/supabase.js";
+import { requireAuth, requireProjectAccess, projectFromParam } from "../../lib/auth.js";
+import { retryJob, wakeJobWorker } from "../../lib/jobs.js";
+
+const router = express.Router();
+
+const access = [requireAuth("jobs:manage"), requireProjectAccess(projectFromParam)];
+
+const JOB_STATUSES = ["pending", "running", "done", "dead"];
+
+/**
+ * GET /api/projects/:projectId/jobs?status=dead&type=&limit=
+ * Por defecto lista los muertos (dead-letter). `status=all` trae todos.
+ */
+router.get("/api/projects/:projectId/jobs", access, async (req, res) => {
+  const status = String(req.query.status || "dead");
+  if (status !== "all" && !JOB_STATUSES.includes(status)) {
+    return res.status(400).json({ ok: false, error: "invalid_status" });
+  }
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+
+  let q = supabase
+    .from("jobs")
+    .select("*")
+    .eq("project_id", req.params.projectId)
+    .order("created_at", { ascending: false })
+    .limit(limit);
+  if (status !== "all") q = q.eq("status", status);
+  if (req.query.type) q = q.eq("type", String(req.query.type));
+
+  const { data, error } = await q;
+  if (error) {
+    console.error("[jobs] list error:", error);
+    return res.status(500).json({ ok: false, error: "list_failed" });
+  }
+  res.json({ ok: true, jobs: data || [] });
+});
+
+/** POST /api/projects/:projectId/jobs/:id/retry (sólo dead o pending) */
+router.post("/api/projects/:projectId/jobs/:id/retry", access, async (req, res) => {
+  try {
+    const { data: job, error } = await supabase
+      .from("jobs")
+      .select("*")
+      .eq("id", req.params.id)
+      .eq("project_id", req.params.projectId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!job) return res.status(404).json({ ok: false, error: "not_found" });
+
+    const updated = await retryJob(job);
+    if (!updated) return res.status(409).json({ ok: false, error: "job_changed" });
+    res.json({ ok: true, job: updated });
+  } catch (e) {
+    if (e?.code === "job_not_retryable") {
+      return res.status(409).json({ ok: false, error: "job_not_retryable" });
+    }
+    console.error("[jobs] retry error:", e);
+    res.status(500).json({ ok: false, error: "retry_failed" });
+  }
+});
+
+/** POST /api/projects/:projectId/jobs/retry-dead → reencola todos los muertos del proyecto */
+router.post("/api/projects/:projectId/jobs/retry-dead", access, async (req, res) => {
+  let q = supabase
+    .from("jobs")
+    .update({
+      status: "pending",
+      attempts: 0,
+      run_at: new Date().toISOString(),
+      finished_at: null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("project_id", req.params.projectId)
+    .eq("status", "dead");
+  if (req.body?.type) q = q.eq("type", String(req.body.type));
+
+  const { data, error } = await q.select("id");
+  if (error) {
+    console.error("[jobs] retry-dead error:", error);
+    return res.status(500).json({ ok: false, error: "retry_failed" });
+  }
+  wakeJobWorker();
+  res.json({ ok: true, retried: (data || []).length });
+});
+
+export default router;
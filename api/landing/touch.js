@@ -0,0 +1,60 @@
+// backend/api/landing/touch.js
+import express from "express";
+import { supabase } from "../../lib/supabase.js";
+import { createLandingTouch } from "../../lib/landing-touches.js";
+import { rateLimitByIp } from "../../lib/rate-limit.js";
+
+const router = express.Router();
+
+// cf-ipcountry sólo vale si el tráfico entra por Cloudflare; si no, cualquiera lo manda a mano
+const TRUST_CF_HEADERS = (process.env.TRUST_CF_HEADERS || "false") === "true";
+const touchLimit = rateLimitByIp({ max: Number(process.env.LANDING_TOUCH_RATE_MAX || 30) });
+
+/**
+ * POST /api/landing/touch   (público: lo llama el navegador desde la landing, sin auth)
+ * Body JSON: { slug | page_id, fbc?, fbp?, fbclid?, event_id?, gclid?, gbraid?, wbraid?, ga_client_id?, ttclid?, ttp?, country? }
+ *   fbc/fbp = cookies _fbc/_fbp del Pixel · event_id = el del Lead que disparó el Pixel
+ *   gclid/gbraid/wbraid = de la URL (Google Ads) · ga_client_id = cookie _ga
+ *   ttclid = de la URL (TikTok Ads) · ttp = cookie _ttp del pixel de TikTok
+ * Respuesta: { ok, token, tag } → la landing agrega `tag` (#t:TOKEN) al mensaje prellenado de WhatsApp.
+ * Límite por IP: LANDING_TOUCH_RATE_MAX pedidos por minuto (429 rate_limited).
+ */
+router.post("/api/landing/touch", touchLimit, async (req, res) => {
+  try {
+    const { slug = null, page_id = null, country, ...ids } = req.body || {};
+    if (!slug && !page_id) return res.status(400).json({ ok: false, error: "slug o page_id requerido" });
+
+    let q = supabase.from("pages").select("id, slug, project_id");
+    q = page_id ? q.eq("id", page_id) : q.eq("slug", String(slug));
+    const { data: page, error } = await q.maybeSingle();
+    if (error) {
+      console.error("[landing_touches] page lookup error:", error);
+      return res.status(500).json({ ok: false, error: "server_error" });
+    }
+    if (!page) return res.status(404).json({ ok: false, error: "page_not_found" });
+
+    const touch = await createLandingTouch(page, {
+      fbc: ids.fbc,
+      fbp: ids.fbp,
+      fbclid: ids.fbclid,
+      event_id: ids.event_id,
+      gclid: ids.gclid,
+      gbraid: ids.gbraid,
+      wbraid: ids.wbraid,
+      ga_client_id: ids.ga_client_id,
+      ttclid: ids.ttclid,
+      ttp: ids.ttp,
+      client_ip: req.ip,
+      user_agent: req.get("user-agent"),
+      country: (TRUST_CF_HEADERS && req.get("cf-ipcountry")) || country,
+    });
+    if (!touch) return res.status(500).json({ ok: false, error: "insert_failed" });
+
+    res.json({ ok: true, token: touch.token, tag: `#t:${touch.token}` });
+  } catch (e) {
+    console.error("[api/landing/touch] error:", e);
+    res.status(500).json({ ok: false, error: "server_error" });
+  }
+});
+
+export default router;
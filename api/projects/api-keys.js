@@ -0,0 +1,126 @@
+// backend/api/projects/api-keys.js
+import express from "express";
+import { supabase } from "../../lib/supabase.js";
+import { requireUser, requireProjectAccess, projectFromParam } from "../../lib/auth.js";
+import { API_KEY_SCOPES, createApiKey, normalizeScopes } from "../../lib/api-keys.js";
+
+const router = express.Router();
+
+// Sólo usuarios del dashboard administran keys (una key no puede crear otras)
+const access = [requireUser, requireProjectAccess(projectFromParam)];
+
+const PUBLIC_COLS = "id, project_id, name, prefix, scopes, expires_at, last_used_at, revoked_at, created_at";
+
+function parseExpiry(expires_at) {
+  if (expires_at == null || expires_at === "") return { value: null };
+  const d = new Date(expires_at);
+  if (Number.isNaN(d.getTime()) || d.getTime() <= Date.now()) return { error: "expires_at inválido" };
+  return { value: d.toISOString() };
+}
+
+/** GET /api/projects/:projectId/api-keys */
+router.get("/api/projects/:projectId/api-keys", access, async (req, res) => {
+  const { data, error } = await supabase
+    .from("project_api_keys")
+    .select(PUBLIC_COLS)
+    .eq("project_id", req.params.projectId)
+    .order("created_at", { ascending: false });
+
+  if (error) {
+    console.error("[project_api_keys] list error:", error);
+    return res.status(500).json({ ok: false, error: "list_failed" });
+  }
+  res.json({ ok: true, keys: data || [], scopes: API_KEY_SCOPES });
+});
+
+/**
+ * POST /api/projects/:projectId/api-keys
+ * Body JSON: { name: string | null, scopes: string[] (requerido), expires_at: ISO | null }
+ * La key en claro se devuelve sólo en esta respuesta.
+ */
+router.post("/api/projects/:projectId/api-keys", access, async (req, res) => {
+  const { name = null, scopes, expires_at = null } = req.body || {};
+
+  const { scopes: list, unknown } = normalizeScopes(scopes);
+  if (!list.length || unknown.length) {
+    return res.status(400).json({ ok: false, error: "scopes inválidos", unknown, allowed: API_KEY_SCOPES });
+  }
+  const exp = parseExpiry(expires_at);
+  if (exp.error) return res.status(400).json({ ok: false, error: exp.error });
+
+  try {
+    const key = await createApiKey({
+      project_id: req.params.projectId,
+      name: name ? String(name).slice(0, 120) : null,
+      scopes: list,
+      expires_at: exp.value,
+      created_by: req.user?.id || null,
+    });
+    res.status(201).json({ ok: true, key });
+  } catch (e) {
+    console.error("[project_api_keys] create error:", e);
+    res.status(500).json({ ok: false, error: "create_failed" });
+  }
+});
+
+/**
+ * POST /api/projects/:projectId/api-keys/:id/rotate
+ * Body JSON: { grace_minutes: number | null }  // la key vieja sigue viva ese tiempo (nunca más que su vencimiento)
+ * Una key vencida no se rota (409 key_expired): la nueva nacería vencida.
+ */
+router.post("/api/projects/:projectId/api-keys/:id/rotate", access, async (req, res) => {
+  try {
+    const { data: old, error } = await supabase
+      .from("project_api_keys")
+      .select(PUBLIC_COLS)
+      .eq("id", req.params.id)
+      .eq("project_id", req.params.projectId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!old || old.revoked_at) return res.status(404).json({ ok: false, error: "not_found" });
+    const oldExpiry = old.expires_at ? new Date(old.expires_at).getTime() : Infinity;
+    if (oldExpiry <= Date.now()) return res.status(409).json({ ok: false, error: "key_expired" });
+
+    const key = await createApiKey({
+      project_id: old.project_id,
+      name: old.name,
+      scopes: old.scopes || [],
+      expires_at: old.expires_at,
+      created_by: req.user?.id || null,
+    });
+
+    const grace = Math.max(0, Math.min(Number(req.body?.grace_minutes) || 0, 7 * 24 * 60));
+    const patch = grace
+      ? { expires_at: new Date(Math.min(oldExpiry, Date.now() + grace * 60_000)).toISOString(), rotated_to: key.id }
+      : { revoked_at: new Date().toISOString(), rotated_to: key.id };
+
+    const { error: upErr } = await supabase.from("project_api_keys").update(patch).eq("id", old.id);
+    if (upErr) throw upErr;
+
+    res.status(201).json({ ok: true, key, previous: { id: old.id, ...patch } });
+  } catch (e) {
+    console.error("[project_api_keys] rotate error:", e);
+    res.status(500).json({ ok: false, error: "rotate_failed" });
+  }
+});
+
+/** DELETE /api/projects/:projectId/api-keys/:id (revoca) */
+router.delete("/api/projects/:projectId/api-keys/:id", access, async (req, res) => {
+  const { data, error } = await supabase
+    .from("project_api_keys")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("id", req.params.id)
+    .eq("project_id", req.params.projectId)
+    .is("revoked_at", null)
+    .select("id");
+
+  if (error) {
+    console.error("[project_api_keys] revoke error:", error);
+    return res.status(500).json({ ok: false, error: "revoke_failed" });
+  }
+  if (!data?.length) return res.status(404).json({ ok: false, error: "not_found" });
+  res.json({ ok: true });
+});
+
+export default router;
@@ -0,0 +1,86 @@
+// backend/api/projects/currency-rates.js
+import express from "express";
+import { supabase } from "../../lib/supabase.js";
+import { requireUser, requireProjectAccess, projectFromParam } from "../../lib/auth.js";
+import { CURRENCIES, invalidateCurrencyRates } from "../../lib/currency.js";
+
+const router = express.Router();
+
+const access = [requireUser, requireProjectAccess(projectFromParam)];
+
+/** GET /api/projects/:projectId/currency-rates */
+router.get("/api/projects/:projectId/currency-rates", access, async (req, res) => {
+  const { data, error } = await supabase
+    .from("project_currency_rates")
+    .select("id, currency, ars_per_unit, valid_from, created_by, created_at")
+    .eq("project_id", req.params.projectId)
+    .order("valid_from", { ascending: false });
+
+  if (error) {
+    console.error("[project_currency_rates] list error:", error);
+    return res.status(500).json({ ok: false, error: "list_failed" });
+  }
+  res.json({ ok: true, rates: data || [] });
+});
+
+/**
+ * PUT /api/projects/:projectId/currency-rates
+ * Body JSON: { currency: "USD" | "USDT", ars_per_unit: number, valid_from: "YYYY-MM-DD" | null }
+ * Misma moneda + fecha reemplaza la cotización.
+ */
+router.put("/api/projects/:projectId/currency-rates", access, async (req, res) => {
+  const currency = String(req.body?.currency || "").toUpperCase();
+  const ars_per_unit = Number(req.body?.ars_per_unit);
+  const valid_from = req.body?.valid_from || new Date().toISOString().slice(0, 10);
+
+  if (currency === "ARS" || !CURRENCIES.includes(currency)) {
+    return res.status(400).json({ ok: false, error: "currency inválida", allowed: CURRENCIES.filter((c) => c !== "ARS") });
+  }
+  if (!Number.isFinite(ars_per_unit) || ars_per_unit <= 0) {
+    return res.status(400).json({ ok: false, error: "ars_per_unit inválido" });
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(valid_from))) {
+    return res.status(400).json({ ok: false, error: "valid_from inválido" });
+  }
+
+  const { data, error } = await supabase
+    .from("project_currency_rates")
+    .upsert(
+      {
+        project_id: req.params.projectId,
+        currency,
+        ars_per_unit,
+        valid_from,
+        created_by: req.user.id,
+        created_at: new Date().toISOString(),
+      },
+      { onConflict: "project_id,currency,valid_from" }
+    )
+    .select("id, currency, ars_per_unit, valid_from, created_by, created_at")
+    .single();
+
+  if (error) {
+    console.error("[project_currency_rates] upsert error:", error);
+    return res.status(500).json({ ok: false, error: "upsert_failed" });
+  }
+  invalidateCurrencyRates(req.params.projectId);
+  res.json({ ok: true, rate: data });
+});
+
+/** DELETE /api/projects/:projectId/currency-rates/:id */
+router.delete("/api/projects/:projectId/currency-rates/:id", access, async (req, res) => {
+  const { error } = await supabase
+    .from("project_currency_rates")
+    .delete()
+    .eq("id", req.params.id)
+    .eq("project_id", req.params.projectId);
+
+  if (error) {
+    console.error("[project_currency_rates] delete error:", error);
+    return res.status(500).json({ ok: false, error: "delete_failed" });
+  }
+  invalidateCurrencyRates(req.params.projectId);
+  res.json({ ok: true });
+});
+
+export default router;
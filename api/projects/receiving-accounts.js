@@ -0,0 +1,119 @@
+// backend/api/projects/receiving-accounts.js
+import express from "express";
+import { supabase } from "../../lib/supabase.js";
+import { requireUser, requireProjectAccess, projectFromParam } from "../../lib/auth.js";
+import { invalidateReceivingAccounts } from "../../lib/receipts/accounts.js";
+
+const router = express.Router();
+
+const access = [requireUser, requireProjectAccess(projectFromParam)];
+
+const COLUMNS = "id, project_id, label, cbu, alias, cuit, holder_name, active, created_at";
+
+/** Normaliza y valida el body. Devuelve { row } o { error }. */
+function parseAccount(body = {}, { partial = false } = {}) {
+  const row = {};
+  const str = (v, max) => (v == null || v === "" ? null : String(v).trim().slice(0, max));
+
+  if ("label" in body) row.label = str(body.label, 120);
+  if ("holder_name" in body) row.holder_name = str(body.holder_name, 200);
+  if ("cbu" in body) {
+    row.cbu = body.cbu ? String(body.cbu).replace(/\D+/g, "") : null;
+    if (row.cbu && row.cbu.length !== 22) return { error: "cbu inválido (22 dígitos)" };
+  }
+  if ("alias" in body) {
+    row.alias = body.alias ? String(body.alias).trim().toLowerCase() : null;
+    if (row.alias && !/^[a-z0-9.-]{6,20}$/.test(row.alias)) return { error: "alias inválido" };
+  }
+  if ("cuit" in body) {
+    row.cuit = body.cuit ? String(body.cuit).replace(/\D+/g, "") : null;
+    if (row.cuit && row.cuit.length !== 11) return { error: "cuit inválido (11 dígitos)" };
+  }
+  if ("active" in body) {
+    if (typeof body.active !== "boolean") return { error: "active inválido" };
+    row.active = body.active;
+  }
+
+  if (!partial && !row.cbu && !row.alias && !row.cuit && !row.holder_name) {
+    return { error: "cbu, alias, cuit o holder_name requerido" };
+  }
+  return { row };
+}
+
+/** GET /api/projects/:projectId/receiving-accounts */
+router.get("/api/projects/:projectId/receiving-accounts", access, async (req, res) => {
+  const { data, error } = await supabase
+    .from("project_receiving_accounts")
+    .select(COLUMNS)
+    .eq("project_id", req.params.projectId)
+    .order("created_at", { ascending: true });
+
+  if (error) {
+    console.error("[project_receiving_accounts] list error:", error);
+    return res.status(500).json({ ok: false, error: "list_failed" });
+  }
+  res.json({ ok: true, accounts: data || [] });
+});
+
+/**
+ * POST /api/projects/:projectId/receiving-accounts
+ * Body JSON: { label?, cbu? (CBU/CVU), alias?, cuit?, holder_name? }  (al menos uno de los identificadores)
+ */
+router.post("/api/projects/:projectId/receiving-accounts", access, async (req, res) => {
+  const { row, error: invalid } = parseAccount(req.body);
+  if (invalid) return res.status(400).json({ ok: false, error: invalid });
+
+  const { data, error } = await supabase
+    .from("project_receiving_accounts")
+    .insert({ ...row, project_id: req.params.projectId, created_at: new Date().toISOString() })
+    .select(COLUMNS)
+    .single();
+
+  if (error) {
+    console.error("[project_receiving_accounts] insert error:", error);
+    return res.status(500).json({ ok: false, error: "insert_failed" });
+  }
+  invalidateReceivingAccounts(req.params.projectId);
+  res.status(201).json({ ok: true, account: data });
+});
+
+/** PATCH /api/projects/:projectId/receiving-accounts/:id */
+router.patch("/api/projects/:projectId/receiving-accounts/:id", access, async (req, res) => {
+  const { row, error: invalid } = parseAccount(req.body, { partial: true });
+  if (invalid) return res.status(400).json({ ok: false, error: invalid });
+  if (!Object.keys(row).length) return res.status(400).json({ ok: false, error: "sin cambios" });
+
+  const { data, error } = await supabase
+    .from("project_receiving_accounts")
+    .update(row)
+    .eq("id", req.params.id)
+    .eq("project_id", req.params.projectId)
+    .select(COLUMNS)
+    .maybeSingle();
+
+  if (error) {
+    console.error("[project_receiving_accounts] update error:", error);
+    return res.status(500).json({ ok: false, error: "update_failed" });
+  }
+  if (!data) return res.status(404).json({ ok: false, error: "not_found" });
+  invalidateReceivingAccounts(req.params.projectId);
+  res.json({ ok: true, account: data });
+});
+
+/** DELETE /api/projects/:projectId/receiving-accounts/:id */
+router.delete("/api/projects/:projectId/receiving-accounts/:id", access, async (req, res) => {
+  const { error } = await supabase
+    .from("project_receiving_accounts")
+    .delete()
+    .eq("id", req.params.id)
+    .eq("project_id", req.params.projectId);
+
+  if (error) {
+    console.error("[project_receiving_accounts] delete error:", error);
+    return res.status(500).json({ ok: false, error: "delete_failed" });
+  }
+  invalidateReceivingAccounts(req.params.projectId);
+  res.json({ ok: true });
+});
+
+export default router;
@@ -0,0 +1,29 @@
+// backend/api/projects/settings.js
+import express from "express";
+import { requireUser, requireProjectAccess, projectFromParam } from "../../lib/auth.js";
+import { getProjectSettings, parseSettingsPatch, updateProjectSettings } from "../../lib/settings.js";
+
+const router = express.Router();
+
+const access = [requireUser, requireProjectAccess(projectFromParam)];
+
+/** GET /api/projects/:projectId/settings */
+router.get("/api/projects/:projectId/settings", access, async (req, res) => {
+  res.json({ ok: true, settings: await getProjectSettings(req.params.projectId) });
+});
+
+/** PATCH /api/projects/:projectId/settings  Body JSON: claves de SETTINGS_SCHEMA */
+router.patch("/api/projects/:projectId/settings", access, async (req, res) => {
+  const { patch, error, key } = parseSettingsPatch(req.body);
+  if (error) return res.status(400).json({ ok: false, error, key });
+
+  try {
+    const settings = await updateProjectSettings(req.params.projectId, patch);
+    res.json({ ok: true, settings });
+  } catch (e) {
+    console.error("[project_settings] update error:", e);
+    res.status(500).json({ ok: false, error: "update_failed" });
+  }
+});
+
+export default router;
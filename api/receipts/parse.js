@@ -0,0 +1,140 @@
+// backend/api/receipts/parse.js
+import express from "express";
+import { requireAuth, canAccessProject } from "../../lib/auth.js";
+import { extractReceiptFields } from "../../lib/receipts/parser.js";
+import { analyzeReceipt, MIN_RECEIPT_SCORE } from "../../lib/receipts/pipeline.js";
+import { loadReceiptTemplates } from "../../lib/receipts/templates.js";
+import { getOcrPoolStats } from "../../lib/receipts/ocr-pool.js";
+import { mediaSha256, findDuplicateConversion } from "../../lib/receipts/fingerprint.js";
+import { assessReceiptTampering } from "../../lib/receipts/tamper.js";
+import { reviewReceipt } from "../../lib/receipts/review.js";
+
+const router = express.Router();
+
+const UPLOAD_LIMIT = process.env.JSON_BODY_LIMIT || "25mb";
+const rawUpload = express.raw({ type: ["image/*", "application/pdf"], limit: UPLOAD_LIMIT });
+
+/**
+ * POST /api/receipts/parse  (dry-run: no guarda nada, no usa caché)
+ * - Body binario con Content-Type image/* o application/pdf (`?caption=`, `?project_id=` opcionales), o
+ * - Body JSON: { base64: string, mimetype: string, caption: string | null, project_id: uuid | null }
+ *            | { text: string, caption: string | null, project_id: uuid | null }   // texto OCR ya extraído
+ * Con project_id se usan las plantillas, la configuración, las cuentas receptoras y las conversiones
+ * de ese proyecto (duplicados, imagen reusada); si no, las plantillas globales y la configuración por defecto.
+ * `contact` opcional: el remitente, para no contar como reusada una imagen que ya mandó él mismo.
+ * Devuelve lo mismo que decidiría el pipeline en vivo, paso por paso:
+ * decision = "ignored" | "duplicate" | "conversion" (received) | "pending_review" | "rejected".
+ */
+router.post("/api/receipts/parse", requireAuth("receipts:parse"), rawUpload, async (req, res) => {
+  try {
+    let base64 = null;
+    let mimetype = "";
+    let text = null;
+    let caption = "";
+    let contact = null;
+
+    if (Buffer.isBuffer(req.body)) {
+      base64 = req.body.toString("base64");
+      mimetype = String(req.headers["content-type"] || "").split(";")[0].trim();
+      caption = String(req.query.caption || "");
+      contact = req.query.contact || null;
+    } else {
+      const b = req.body || {};
+      caption = String(b.caption || "");
+      contact = b.contact || null;
+      if (typeof b.text === "string") {
+        text = b.text;
+      } else if (b.base64) {
+        base64 = String(b.base64).replace(/^data:[^;]+;base64,/, "");
+        mimetype = String(b.mimetype || "");
+      }
+    }
+
+    if (text == null && !base64) {
+      return res.status(400).json({ ok: false, error: "archivo, base64 o text requerido" });
+    }
+    if (base64 && !/^image\/(jpe?g|png|webp)$/i.test(mimetype) && mimetype !== "application/pdf") {
+      return res.status(415).json({ ok: false, error: "mimetype no soportado", mimetype });
+    }
+
+    const project_id = (Buffer.isBuffer(req.body) ? req.query.project_id : req.body?.project_id) || null;
+    if (project_id && !(await canAccessProject(req, project_id))) {
+      return res.status(403).json({ ok: false, error: "forbidden" });
+    }
+
+    const media_sha256 = base64 ? mediaSha256(base64) : null;
+    const base = { ok: true, min_score: MIN_RECEIPT_SCORE };
+
+    // mismo orden que el pipeline en vivo: archivo repetido → score → adulteración → retenciones
+    const hashDup = await findDuplicateConversion(project_id, { media_sha256 });
+    if (hashDup) {
+      return res.json({ ...base, decision: "duplicate", duplicate_of: hashDup.original.id, duplicate_reason: hashDup.reason });
+    }
+
+    const registry = await loadReceiptTemplates(project_id);
+    const analysis = await analyzeReceipt({ base64, mimetype, caption, text, registry });
+    const fields = extractReceiptFields(analysis.combined, registry);
+
+    let review = null;
+    let tamper = null;
+    if (analysis.passed) {
+      if (base64) {
+        tamper = await assessReceiptTampering({
+          base64,
+          mimetype,
+          text: analysis.combined,
+          project_id,
+          contact,
+          region: analysis.amountRegion,
+        });
+      }
+      review = await reviewReceipt({
+        project_id,
+        parsed: fields,
+        amount: analysis.amount,
+        combined: analysis.combined,
+        media_sha256,
+        tamper,
+      });
+    }
+
+    let decision = "ignored";
+    if (review?.duplicate) decision = "duplicate";
+    else if (review) decision = review.status === "received" ? "conversion" : review.status;
+
+    res.json({
+      ...base,
+      decision,
+      score: analysis.score,
+      provider: analysis.provider,
+      amount: analysis.amount,
+      currency: analysis.currency,
+      is_mercado_pago: analysis.isMP,
+      duplicate_of: review?.duplicate?.original.id ?? null,
+      duplicate_reason: review?.duplicate?.reason ?? null,
+      review_reasons: review?.review_reasons ?? [],
+      reject_notes: review?.reject_notes ?? [],
+      account_match: review?.account_match ?? null,
+      receipt_age_days: review?.receipt_age_days ?? null,
+      tamper: tamper && {
+        score: tamper.tamper_score,
+        reasons: tamper.tamper_reasons,
+        detail: tamper.tamper_detail,
+      },
+      steps: analysis.steps,
+      ocr_text: analysis.ocrText,
+      combined_text: analysis.combined,
+      fields,
+    });
+  } catch (e) {
+    console.error("[receipts] parse error:", e);
+    res.status(500).json({ ok: false, error: "parse_failed" });
+  }
+});
+
+/** GET /api/receipts/ocr/stats → estado del pool de OCR (workers, cola, latencias). */
+router.get("/api/receipts/ocr/stats", requireAuth("receipts:parse"), (_req, res) => {
+  res.json({ ok: true, ocr: getOcrPoolStats() });
+});
+
+export default router;
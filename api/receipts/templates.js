@@ -0,0 +1,206 @@
+// backend/api/receipts/templates.js
+import express from "express";
+import { supabase } from "../../lib/supabase.js";
+import { requireAuth, requireProjectAccess, projectFromParam, isAdminUser } from "../../lib/auth.js";
+import {
+  TEMPLATE_PATTERN_FIELDS,
+  validateTemplate,
+  invalidateReceiptTemplates,
+} from "../../lib/receipts/templates.js";
+
+const router = express.Router();
+
+const access = [requireAuth("templates:manage"), requireProjectAccess(projectFromParam)];
+
+const EDITABLE = ["provider", "priority", ...TEMPLATE_PATTERN_FIELDS];
+
+function pickTemplateFields(body = {}) {
+  const out = {};
+  for (const k of EDITABLE) {
+    if (!(k in body)) continue;
+    if (k === "priority") out.priority = Number.isFinite(Number(body.priority)) ? Number(body.priority) : 0;
+    else out[k] = body[k] == null || body[k] === "" ? null : String(body[k]);
+  }
+  return out;
+}
+
+/** Plantilla del proyecto, o global si el caller es admin. */
+async function loadEditable(req, res) {
+  const { data: tpl, error } = await supabase
+    .from("receipt_templates")
+    .select("*")
+    .eq("id", req.params.id)
+    .maybeSingle();
+
+  if (error) {
+    console.error("[receipt_templates] get error:", error);
+    res.status(500).json({ ok: false, error: "get_failed" });
+    return null;
+  }
+  if (!tpl || (tpl.project_id && tpl.project_id !== req.params.projectId)) {
+    res.status(404).json({ ok: false, error: "not_found" });
+    return null;
+  }
+  if (!tpl.project_id && !isAdminUser(req.user)) {
+    res.status(403).json({ ok: false, error: "global_template_readonly" });
+    return null;
+  }
+  return tpl;
+}
+
+/** GET /api/projects/:projectId/receipt-templates (propias + globales) */
+router.get("/api/projects/:projectId/receipt-templates", access, async (req, res) => {
+  const { data, error } = await supabase
+    .from("receipt_templates")
+    .select("*")
+    .or(`project_id.is.null,project_id.eq.${req.params.projectId}`)
+    .order("priority", { ascending: false })
+    .order("created_at", { ascending: true });
+
+  if (error) {
+    console.error("[receipt_templates] list error:", error);
+    return res.status(500).json({ ok: false, error: "list_failed" });
+  }
+  res.json({ ok: true, templates: data || [] });
+});
+
+/**
+ * POST /api/projects/:projectId/receipt-templates
+ * Body JSON: { provider, detect_pattern, amount_line_pattern?, name_from_pattern?, name_to_pattern?,
+ *              cuit_pattern?, operation_pattern?, bank_pattern?, priority?, global?: boolean }
+ * Se crea inactiva: pasa a producción con /activate.
+ */
+router.post("/api/projects/:projectId/receipt-templates", access, async (req, res) => {
+  const fields = pickTemplateFields(req.body);
+  const global = req.body?.global === true;
+  if (global && !isAdminUser(req.user)) {
+    return res.status(403).json({ ok: false, error: "global_template_readonly" });
+  }
+
+  const check = validateTemplate(fields, []);
+  if (check.error) return res.status(400).json(check);
+
+  const { data, error } = await supabase
+    .from("receipt_templates")
+    .insert({
+      ...fields,
+      project_id: global ? null : req.params.projectId,
+      active: false,
+      created_by: req.user?.id || null,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error("[receipt_templates] insert error:", error);
+    return res.status(500).json({ ok: false, error: "insert_failed" });
+  }
+  res.status(201).json({ ok: true, template: data });
+});
+
+/** PATCH /api/projects/:projectId/receipt-templates/:id — cambiar un patrón la desactiva. */
+router.patch("/api/projects/:projectId/receipt-templates/:id", access, async (req, res) => {
+  const tpl = await loadEditable(req, res);
+  if (!tpl) return;
+
+  const fields = pickTemplateFields(req.body);
+  const check = validateTemplate({ ...tpl, ...fields }, []);
+  if (check.error) return res.status(400).json(check);
+
+  const patternChanged = TEMPLATE_PATTERN_FIELDS.some((k) => k in fields && fields[k] !== tpl[k]);
+  const patch = { ...fields, updated_at: new Date().toISOString() };
+  if (patternChanged) Object.assign(patch, { active: false, validated_at: null });
+
+  const { data, error } = await supabase
+    .from("receipt_templates")
+    .update(patch)
+    .eq("id", tpl.id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error("[receipt_templates] update error:", error);
+    return res.status(500).json({ ok: false, error: "update_failed" });
+  }
+  invalidateReceiptTemplates();
+  res.json({ ok: true, template: data });
+});
+
+/** DELETE /api/projects/:projectId/receipt-templates/:id */
+router.delete("/api/projects/:projectId/receipt-templates/:id", access, async (req, res) => {
+  const tpl = await loadEditable(req, res);
+  if (!tpl) return;
+
+  const { error } = await supabase.from("receipt_templates").delete().eq("id", tpl.id);
+  if (error) {
+    console.error("[receipt_templates] delete error:", error);
+    return res.status(500).json({ ok: false, error: "delete_failed" });
+  }
+  invalidateReceiptTemplates();
+  res.json({ ok: true });
+});
+
+/**
+ * POST /api/projects/:projectId/receipt-templates/validate
+ * Body JSON: { template: {...campos}, samples: [{ text, expected_amount?, expected_provider?,
+ *              expected_operation_no?, expect_match? }] }
+ * No guarda nada.
+ */
+router.post("/api/projects/:projectId/receipt-templates/validate", access, (req, res) => {
+  const samples = Array.isArray(req.body?.samples) ? req.body.samples : [];
+  if (!samples.length) return res.status(400).json({ ok: false, error: "samples requerido" });
+
+  const result = validateTemplate(pickTemplateFields(req.body?.template), samples);
+  res.status(result.error ? 400 : 200).json(result);
+});
+
+/**
+ * POST /api/projects/:projectId/receipt-templates/:id/activate
+ * Body JSON: { samples: [...] (requerido) } — sólo se activa si pasan todas.
+ */
+router.post("/api/projects/:projectId/receipt-templates/:id/activate", access, async (req, res) => {
+  const tpl = await loadEditable(req, res);
+  if (!tpl) return;
+
+  const samples = Array.isArray(req.body?.samples) ? req.body.samples : [];
+  if (!samples.length) return res.status(400).json({ ok: false, error: "samples requerido" });
+
+  const result = validateTemplate(tpl, samples);
+  if (!result.ok) return res.status(422).json({ ...result, ok: false, error: result.error || "validation_failed" });
+
+  const { data, error } = await supabase
+    .from("receipt_templates")
+    .update({ active: true, validated_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq("id", tpl.id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error("[receipt_templates] activate error:", error);
+    return res.status(500).json({ ok: false, error: "activate_failed" });
+  }
+  invalidateReceiptTemplates();
+  res.json({ ok: true, template: data, results: result.results });
+});
+
+/** POST /api/projects/:projectId/receipt-templates/:id/deactivate */
+router.post("/api/projects/:projectId/receipt-templates/:id/deactivate", access, async (req, res) => {
+  const tpl = await loadEditable(req, res);
+  if (!tpl) return;
+
+  const { error } = await supabase
+    .from("receipt_templates")
+    .update({ active: false, updated_at: new Date().toISOString() })
+    .eq("id", tpl.id);
+
+  if (error) {
+    console.error("[receipt_templates] deactivate error:", error);
+    return res.status(500).json({ ok: false, error: "update_failed" });
+  }
+  invalidateReceiptTemplates();
+  res.json({ ok: true });
+});
+
+export default router;
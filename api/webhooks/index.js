@@ -0,0 +1,130 @@
+// backend/api/webhooks/index.js
+import express from "express";
+import { supabase } from "../../lib/supabase.js";
+import { requireAuth, requireProjectAccess, projectFromParam } from "../../lib/auth.js";
+import {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  replayWebhookDelivery,
+} from "../../lib/webhooks.js";
+import { assertPublicHttpsUrl } from "../../lib/public-url.js";
+
+const router = express.Router();
+
+const access = [requireAuth("webhooks:manage"), requireProjectAccess(projectFromParam)];
+
+/** GET /api/projects/:projectId/webhooks */
+router.get("/api/projects/:projectId/webhooks", access, async (req, res) => {
+  const { data, error } = await supabase
+    .from("project_webhooks")
+    .select("id, project_id, url, events, active, created_at")
+    .eq("project_id", req.params.projectId)
+    .order("created_at", { ascending: false });
+
+  if (error) {
+    console.error("[project_webhooks] list error:", error);
+    return res.status(500).json({ ok: false, error: "list_failed" });
+  }
+  res.json({ ok: true, webhooks: data || [] });
+});
+
+/**
+ * POST /api/projects/:projectId/webhooks
+ * Body JSON: { url: string (requerido, https a un host público), events: string[] | null }
+ * El secreto se devuelve sólo en esta respuesta.
+ */
+router.post("/api/projects/:projectId/webhooks", access, async (req, res) => {
+  const { url, events = null } = req.body || {};
+
+  // sólo https a hosts públicos: el servidor no postea a la red interna
+  try {
+    await assertPublicHttpsUrl(url);
+  } catch (e) {
+    return res.status(400).json({ ok: false, error: "url inválida", detail: e.message });
+  }
+
+  const evs = Array.isArray(events) ? events.filter((e) => WEBHOOK_EVENTS.includes(e)) : [];
+  if (Array.isArray(events) && evs.length !== events.length) {
+    return res.status(400).json({ ok: false, error: "evento desconocido", allowed: WEBHOOK_EVENTS });
+  }
+
+  const secret = generateWebhookSecret();
+  const { data, error } = await supabase
+    .from("project_webhooks")
+    .insert({
+      project_id: req.params.projectId,
+      url: String(url),
+      events: evs,
+      secret,
+      active: true,
+      created_at: new Date().toISOString(),
+    })
+    .select("id, project_id, url, events, active, created_at")
+    .single();
+
+  if (error) {
+    console.error("[project_webhooks] insert error:", error);
+    return res.status(500).json({ ok: false, error: "insert_failed" });
+  }
+  res.status(201).json({ ok: true, webhook: { ...data, secret } });
+});
+
+/** DELETE /api/projects/:projectId/webhooks/:id (desactiva) */
+router.delete("/api/projects/:projectId/webhooks/:id", access, async (req, res) => {
+  const { error } = await supabase
+    .from("project_webhooks")
+    .update({ active: false })
+    .eq("id", req.params.id)
+    .eq("project_id", req.params.projectId);
+
+  if (error) {
+    console.error("[project_webhooks] disable error:", error);
+    return res.status(500).json({ ok: false, error: "update_failed" });
+  }
+  res.json({ ok: true });
+});
+
+/** GET /api/projects/:projectId/webhook-deliveries?status=&event=&limit= */
+router.get("/api/projects/:projectId/webhook-deliveries", access, async (req, res) => {
+  const { status = null, event = null } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+
+  let q = supabase
+    .from("webhook_deliveries")
+    .select("*")
+    .eq("project_id", req.params.projectId)
+    .order("created_at", { ascending: false })
+    .limit(limit);
+  if (status) q = q.eq("status", status);
+  if (event) q = q.eq("event", event);
+
+  const { data, error } = await q;
+  if (error) {
+    console.error("[webhook_deliveries] list error:", error);
+    return res.status(500).json({ ok: false, error: "list_failed" });
+  }
+  res.json({ ok: true, deliveries: data || [] });
+});
+
+/** POST /api/projects/:projectId/webhook-deliveries/:id/replay */
+router.post("/api/projects/:projectId/webhook-deliveries/:id/replay", access, async (req, res) => {
+  try {
+    const { data: delivery, error } = await supabase
+      .from("webhook_deliveries")
+      .select("*")
+      .eq("id", req.params.id)
+      .eq("project_id", req.params.projectId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!delivery) return res.status(404).json({ ok: false, error: "not_found" });
+
+    const result = await replayWebhookDelivery(delivery);
+    res.json({ ok: true, delivery: result });
+  } catch (e) {
+    console.error("[webhook_deliveries] replay error:", e);
+    res.status(500).json({ ok: false, error: "replay_failed" });
+  }
+});
+
+export default router;
@@ -0,0 +1,18 @@
+-- Mensajes salientes enviados desde el dashboard (POST /lines/:lineId/messages)
+create table if not exists wa_outbound_messages (
+  id            uuid primary key default gen_random_uuid(),
+  project_id    uuid references projects(id) on delete cascade,
+  line_id       uuid references lines(id) on delete set null,
+  wa_phone      text,
+  contact       text not null,
+  msg_type      text not null,          -- text | image | pdf | document
+  body          text,
+  file_name     text,
+  file_mime     text,
+  media_url     text,
+  wa_message_id text,
+  created_at    timestamptz not null default now()
+);
+
+create index if not exists wa_outbound_messages_project_contact_idx
+  on wa_outbound_messages (project_id, contact, created_at desc);
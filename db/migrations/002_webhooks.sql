@@ -0,0 +1,36 @@
+-- Webhooks salientes por proyecto + log de entregas
+create table if not exists project_webhooks (
+  id          uuid primary key default gen_random_uuid(),
+  project_id  uuid not null references projects(id) on delete cascade,
+  url         text not null,
+  secret      text not null,
+  events      text[] not null default '{}',   -- vacío = todos
+  active      boolean not null default true,
+  created_at  timestamptz not null default now()
+);
+
+create index if not exists project_webhooks_project_idx on project_webhooks (project_id) where active;
+
+create table if not exists webhook_deliveries (
+  id               uuid primary key default gen_random_uuid(),
+  webhook_id       uuid not null references project_webhooks(id) on delete cascade,
+  project_id       uuid not null references projects(id) on delete cascade,
+  event            text not null,
+  event_id         uuid not null,
+  payload          jsonb not null,
+  status           text not null default 'pending',  -- pending | delivered | failed
+  attempts         int not null default 0,
+  next_attempt_at  timestamptz,
+  last_attempt_at  timestamptz,
+  delivered_at     timestamptz,
+  response_status  int,
+  response_body    text,
+  last_error       text,
+  replay_of        uuid references webhook_deliveries(id) on delete set null,
+  created_at       timestamptz not null default now()
+);
+
+create index if not exists webhook_deliveries_due_idx
+  on webhook_deliveries (next_attempt_at) where status = 'pending';
+create index if not exists webhook_deliveries_project_idx
+  on webhook_deliveries (project_id, created_at desc);
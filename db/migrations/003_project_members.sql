@@ -0,0 +1,43 @@
+-- Usuarios del dashboard con acceso a cada proyecto (verificado en cada ruta del wa-server)
+create table if not exists project_members (
+  project_id  uuid not null references projects(id) on delete cascade,
+  user_id     uuid not null references auth.users(id) on delete cascade,
+  role        text not null default 'member',   -- owner | admin | member
+  created_at  timestamptz not null default now(),
+  primary key (project_id, user_id)
+);
+
+create index if not exists project_members_user_idx on project_members (user_id);
+
+-- Backfill: requireProjectAccess exige una fila acá, así que sin esto cada usuario existente
+-- recibe 403 al desplegar. El dueño de cada proyecto sale de la primera columna uuid que exista
+-- en projects (owner_id, user_id, created_by, owner). Si no hay ninguna, la migración avisa y
+-- project_members se carga a mano ANTES de desplegar el wa-server:
+--   insert into project_members (project_id, user_id, role) values ('<project>', '<user>', 'owner');
+do $$
+declare
+  owner_col text;
+begin
+  select c.column_name into owner_col
+  from information_schema.columns c
+  where c.table_schema = 'public'
+    and c.table_name = 'projects'
+    and c.data_type = 'uuid'
+    and c.column_name in ('owner_id', 'user_id', 'created_by', 'owner')
+  order by array_position(array['owner_id', 'user_id', 'created_by', 'owner'], c.column_name::text)
+  limit 1;
+
+  if owner_col is null then
+    raise notice 'project_members: projects no tiene columna de dueño, cargar los miembros a mano';
+    return;
+  end if;
+
+  execute format(
+    'insert into project_members (project_id, user_id, role)
+     select p.id, p.%1$I, ''owner''
+     from projects p
+     join auth.users u on u.id = p.%1$I
+     on conflict (project_id, user_id) do nothing',
+    owner_col
+  );
+end $$;
@@ -0,0 +1,17 @@
+-- API keys por proyecto para llamadas server-to-server (header x-api-key)
+create table if not exists project_api_keys (
+  id            uuid primary key default gen_random_uuid(),
+  project_id    uuid not null references projects(id) on delete cascade,
+  name          text,
+  prefix        text not null unique,       -- parte visible de la key (ftk_<prefix>_…)
+  key_hash      text not null,              -- sha256 de la key completa
+  scopes        text[] not null default '{}',
+  expires_at    timestamptz,
+  last_used_at  timestamptz,
+  revoked_at    timestamptz,
+  rotated_to    uuid references project_api_keys(id) on delete set null,
+  created_by    uuid references auth.users(id) on delete set null,
+  created_at    timestamptz not null default now()
+);
+
+create index if not exists project_api_keys_project_idx on project_api_keys (project_id);
@@ -0,0 +1,38 @@
+-- Huellas de comprobante sobre analytics_conversions
+alter table analytics_conversions
+  add column if not exists media_sha256       text,
+  add column if not exists operation_no_norm  text,
+  add column if not exists amount_fingerprint text;
+
+-- Un mismo archivo no puede generar dos conversiones en el proyecto (cubre carreras entre mensajes)
+create unique index if not exists analytics_conversions_media_sha_uidx
+  on analytics_conversions (project_id, media_sha256) where media_sha256 is not null;
+create index if not exists analytics_conversions_operation_no_idx
+  on analytics_conversions (project_id, operation_no_norm) where operation_no_norm is not null;
+create index if not exists analytics_conversions_amount_fp_idx
+  on analytics_conversions (project_id, amount_fingerprint) where amount_fingerprint is not null;
+
+-- Comprobantes repetidos: enlazados a la conversión original, sin CAPI
+create table if not exists receipt_duplicates (
+  id             uuid primary key default gen_random_uuid(),
+  project_id     uuid not null references projects(id) on delete cascade,
+  conversion_id  uuid not null references analytics_conversions(id) on delete cascade,
+  reason         text not null,   -- media_hash | operation_no | amount_date_origin
+  contact        text,
+  line_id        uuid references lines(id) on delete set null,
+  media_sha256   text,
+  operation_no   text,
+  amount         numeric,
+  file_url       text,
+  created_at     timestamptz not null default now()
+);
+
+create index if not exists receipt_duplicates_conversion_idx on receipt_duplicates (conversion_id);
+
+-- OCR cacheado por contenido de la media
+create table if not exists receipt_ocr_cache (
+  media_sha256  text primary key,
+  ocr_text      text,
+  grid_amount   numeric,
+  updated_at    timestamptz not null default now()
+);
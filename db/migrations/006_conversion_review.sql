@@ -0,0 +1,23 @@
+-- Configuración por proyecto
+create table if not exists project_settings (
+  project_id                  uuid primary key references projects(id) on delete cascade,
+  purchase_requires_approval  boolean not null default false,
+  updated_at                  timestamptz not null default now()
+);
+
+-- Revisión de conversiones + Purchase diferido
+alter table analytics_conversions
+  add column if not exists provider        text,
+  add column if not exists review_reasons  text[] not null default '{}',
+  add column if not exists reviewed_by     text,      -- user id o key:<api_key_id>
+  add column if not exists reviewed_at     timestamptz,
+  add column if not exists review_note     text,
+  add column if not exists corrected_by    text,
+  add column if not exists corrected_at    timestamptz,
+  add column if not exists capi_sent_at    timestamptz,
+  add column if not exists capi_value      numeric,
+  add column if not exists capi_value_stale boolean not null default false;  -- monto corregido después del Purchase a Meta
+
+create index if not exists analytics_conversions_pending_idx
+  on analytics_conversions (project_id, created_at desc)
+  where reviewed_at is null and status in ('pending_review', 'received');
@@ -0,0 +1,3 @@
+-- Path del comprobante dentro de RECEIPTS_BUCKET (para reprocesarlo sin depender de la URL pública)
+alter table analytics_conversions
+  add column if not exists file_path text;
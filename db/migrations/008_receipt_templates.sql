@@ -0,0 +1,23 @@
+-- Plantillas de comprobantes (project_id null = global). Se crean inactivas y se
+-- activan sólo después de validarlas contra textos de ejemplo.
+create table if not exists receipt_templates (
+  id                   uuid primary key default gen_random_uuid(),
+  project_id           uuid references projects(id) on delete cascade,
+  provider             text not null,
+  detect_pattern       text not null,     -- regex (flag i) que identifica el comprobante
+  amount_line_pattern  text,              -- regex de la línea del monto
+  name_from_pattern    text,              -- regex con grupo 1 = nombre de origen
+  name_to_pattern      text,              -- regex con grupo 1 = nombre de destino
+  cuit_pattern         text,
+  operation_pattern    text,
+  bank_pattern         text,              -- suma el proveedor a la detección de banco
+  priority             int not null default 0,
+  active               boolean not null default false,
+  validated_at         timestamptz,
+  created_by           uuid references auth.users(id) on delete set null,
+  created_at           timestamptz not null default now(),
+  updated_at           timestamptz not null default now()
+);
+
+create index if not exists receipt_templates_active_idx
+  on receipt_templates (project_id, priority desc) where active;
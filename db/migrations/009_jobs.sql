@@ -0,0 +1,52 @@
+-- Cola de trabajos en background (procesamiento de media / comprobantes)
+create table if not exists jobs (
+  id            uuid primary key default gen_random_uuid(),
+  type          text not null,
+  project_id    uuid references projects(id) on delete cascade,
+  payload       jsonb not null default '{}',
+  status        text not null default 'pending',  -- pending | running | done | dead
+  attempts      int not null default 0,
+  max_attempts  int not null default 6,
+  run_at        timestamptz not null default now(),
+  locked_at     timestamptz,
+  locked_by     text,
+  last_error    text,
+  result        jsonb,
+  dedupe_key    text,
+  created_at    timestamptz not null default now(),
+  updated_at    timestamptz not null default now(),
+  finished_at   timestamptz
+);
+
+create unique index if not exists jobs_dedupe_key_idx on jobs (dedupe_key) where dedupe_key is not null;
+create index if not exists jobs_due_idx on jobs (run_at) where status = 'pending';
+create index if not exists jobs_running_idx on jobs (locked_at) where status = 'running';
+create index if not exists jobs_project_idx on jobs (project_id, status, created_at desc);
+
+-- Toma hasta p_limit trabajos vencidos (o "running" abandonados por un proceso que murió)
+-- y los marca como running. SKIP LOCKED: varios procesos pueden reclamar sin pisarse.
+create or replace function claim_jobs(
+  p_worker        text,
+  p_limit         int default 1,
+  p_types         text[] default null,
+  p_stale_after   interval default interval '10 minutes'
+) returns setof jobs
+language sql
+as $$
+  update jobs j
+     set status = 'running',
+         attempts = j.attempts + 1,
+         locked_at = now(),
+         locked_by = p_worker,
+         updated_at = now()
+   where j.id in (
+     select id from jobs
+      where ((status = 'pending' and run_at <= now())
+          or (status = 'running' and locked_at < now() - p_stale_after))
+        and (p_types is null or type = any(p_types))
+      order by run_at
+      limit p_limit
+      for update skip locked
+   )
+  returning j.*;
+$$;
@@ -0,0 +1,20 @@
+-- Moneda detectada en el comprobante + montos normalizados para reportes
+alter table analytics_conversions
+  add column if not exists currency   text not null default 'ARS',  -- ARS | USD | USDT
+  add column if not exists amount_ars numeric,
+  add column if not exists amount_usd numeric;
+
+-- Cotizaciones por proyecto (opcional): cuántos ARS vale 1 unidad de la moneda desde valid_from
+create table if not exists project_currency_rates (
+  id            uuid primary key default gen_random_uuid(),
+  project_id    uuid not null references projects(id) on delete cascade,
+  currency      text not null,              -- USD | USDT
+  ars_per_unit  numeric not null check (ars_per_unit > 0),
+  valid_from    date not null default current_date,
+  created_by    text,
+  created_at    timestamptz not null default now(),
+  unique (project_id, currency, valid_from)
+);
+
+create index if not exists project_currency_rates_lookup_idx
+  on project_currency_rates (project_id, currency, valid_from desc);
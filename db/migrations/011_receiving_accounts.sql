@@ -0,0 +1,22 @@
+-- Cuentas donde cobra cada proyecto (para validar el destino de los comprobantes)
+create table if not exists project_receiving_accounts (
+  id           uuid primary key default gen_random_uuid(),
+  project_id   uuid not null references projects(id) on delete cascade,
+  label        text,
+  cbu          text,          -- CBU o CVU (22 dígitos)
+  alias        text,
+  cuit         text,          -- 11 dígitos, sin guiones
+  holder_name  text,
+  active       boolean not null default true,
+  created_at   timestamptz not null default now()
+);
+
+create index if not exists project_receiving_accounts_project_idx
+  on project_receiving_accounts (project_id) where active;
+
+alter table project_settings
+  add column if not exists account_mismatch_policy text not null default 'count';  -- count | review | reject
+
+alter table analytics_conversions
+  add column if not exists account_match         text,   -- matched | mismatched | unknown
+  add column if not exists account_match_detail  jsonb;
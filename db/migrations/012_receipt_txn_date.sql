@@ -0,0 +1,10 @@
+-- Fecha/hora impresa en el comprobante + ventana de antigüedad por proyecto
+alter table analytics_conversions
+  add column if not exists txn_at timestamptz;
+
+create index if not exists analytics_conversions_txn_at_idx
+  on analytics_conversions (project_id, txn_at desc);
+
+alter table project_settings
+  add column if not exists max_receipt_age_days  int,                            -- null = sin límite
+  add column if not exists stale_receipt_policy  text not null default 'flag';   -- flag | review | reject
@@ -0,0 +1,16 @@
+-- Señales de adulteración de comprobantes (ver lib/receipts/tamper.js)
+alter table analytics_conversions
+  add column if not exists tamper_score    numeric(3,2),                       -- 0..1
+  add column if not exists tamper_reasons  text[] not null default '{}',
+  add column if not exists tamper_detail   jsonb,
+  add column if not exists media_phash     text;                               -- dHash 48×48 sin la zona del monto (hex), para copias editadas
+
+-- tile donde la grilla encontró el monto (un reenvío sale del caché y necesita la misma zona)
+alter table receipt_ocr_cache
+  add column if not exists grid_region     jsonb;                              -- { left, top, width, height } en px
+
+create index if not exists analytics_conversions_phash_idx
+  on analytics_conversions (project_id, created_at desc) where media_phash is not null;
+
+create index if not exists analytics_conversions_tamper_idx
+  on analytics_conversions (project_id, tamper_score desc) where tamper_score > 0;
@@ -0,0 +1,24 @@
+-- Toques de landing: datos del navegador (Pixel) enlazados al chat por el token #t:TOKEN
+create table if not exists landing_touches (
+  id           uuid primary key default gen_random_uuid(),
+  token        text not null unique,
+  project_id   uuid not null references projects(id) on delete cascade,
+  page_id      uuid references pages(id) on delete set null,
+  slug         text,
+  fbc          text,
+  fbp          text,
+  fbclid       text,
+  event_id     text,          -- event_id del Lead del Pixel (dedupe con CAPI)
+  client_ip    text,
+  user_agent   text,
+  country      text,          -- ISO alfa-2 en minúsculas
+  contact      text,          -- se completa al llegar el chat con el token
+  claimed_at   timestamptz,
+  created_at   timestamptz not null default now()
+);
+
+create index if not exists landing_touches_contact_idx
+  on landing_touches (project_id, contact, claimed_at desc) where contact is not null;
+
+alter table analytics_chats
+  add column if not exists landing_touch_id uuid references landing_touches(id) on delete set null;
@@ -0,0 +1,32 @@
+-- Log + cola de eventos de conversión salientes (Meta CAPI y otros destinos)
+create table if not exists capi_deliveries (
+  id               uuid primary key default gen_random_uuid(),
+  destination      text not null default 'meta',      -- meta | …
+  project_id       uuid references projects(id) on delete cascade,
+  page_id          uuid references pages(id) on delete set null,
+  target           text not null,                      -- pixel / measurement id
+  event_name       text not null,
+  event_id         text,
+  payload          jsonb not null,                     -- el evento tal cual se manda (sin token)
+  test_code        text,
+  conversion_id    uuid references analytics_conversions(id) on delete set null,
+  status           text not null default 'pending',    -- pending | sent | failed | cancelled
+  attempts         int not null default 0,
+  next_attempt_at  timestamptz,
+  last_attempt_at  timestamptz,
+  sent_at          timestamptz,
+  response_status  int,
+  response_body    text,
+  last_error       text,
+  replay_of        uuid references capi_deliveries(id) on delete set null,
+  created_at       timestamptz not null default now()
+);
+
+create index if not exists capi_deliveries_due_idx
+  on capi_deliveries (next_attempt_at) where status = 'pending';
+create index if not exists capi_deliveries_page_idx
+  on capi_deliveries (page_id, created_at desc);
+create index if not exists capi_deliveries_conversion_idx
+  on capi_deliveries (conversion_id) where conversion_id is not null;
+create index if not exists capi_deliveries_event_idx
+  on capi_deliveries (page_id, event_id);
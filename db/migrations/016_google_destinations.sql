@@ -0,0 +1,15 @@
+-- GA4 (Measurement Protocol) + Google Ads (export offline) como destinos por página
+alter table pages
+  add column if not exists ga4_measurement_id    text,   -- G-XXXXXXX
+  add column if not exists ga4_api_secret        text,
+  add column if not exists gads_conversion_name  text;   -- nombre de la acción de conversión en Google Ads
+
+-- ids de Google capturados en la landing
+alter table landing_touches
+  add column if not exists gclid         text,
+  add column if not exists gbraid        text,
+  add column if not exists wbraid        text,
+  add column if not exists ga_client_id  text;
+
+create index if not exists landing_touches_gclid_idx
+  on landing_touches (project_id, contact) where gclid is not null;
@@ -0,0 +1,10 @@
+-- TikTok Events API como destino por página
+alter table pages
+  add column if not exists tiktok_pixel_code       text,
+  add column if not exists tiktok_access_token     text,
+  add column if not exists tiktok_test_event_code  text;
+
+-- ids de TikTok capturados en la landing
+alter table landing_touches
+  add column if not exists ttclid  text,
+  add column if not exists ttp     text;
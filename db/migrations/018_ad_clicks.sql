@@ -0,0 +1,69 @@
+-- Clicks de anuncios (/r/:slug) y atribución a campaña/anuncio
+create table if not exists ad_clicks (
+  id                uuid primary key default gen_random_uuid(),
+  token             text not null unique,     -- viaja como #c:TOKEN en el mensaje
+  project_id        uuid not null references projects(id) on delete cascade,
+  page_id           uuid references pages(id) on delete set null,
+  slug              text,
+  line_id           uuid references lines(id) on delete set null,
+  wa_phone          text,
+  utm_source        text,
+  utm_medium        text,
+  utm_campaign      text,
+  utm_content       text,
+  utm_term          text,
+  campaign_id       text,
+  adset_id          text,
+  ad_id             text,
+  fbclid            text,
+  gclid             text,
+  gbraid            text,
+  wbraid            text,
+  ttclid            text,
+  client_ip         text,
+  user_agent        text,
+  referer           text,
+  landing_touch_id  uuid references landing_touches(id) on delete set null,
+  touch_token       text,
+  contact           text,
+  claimed_at        timestamptz,
+  created_at        timestamptz not null default now()
+);
+
+create index if not exists ad_clicks_contact_idx
+  on ad_clicks (project_id, contact, claimed_at desc) where contact is not null;
+create index if not exists ad_clicks_page_idx
+  on ad_clicks (page_id, created_at desc);
+
+alter table analytics_chats
+  add column if not exists ad_click_id   uuid references ad_clicks(id) on delete set null,
+  add column if not exists utm_source    text,
+  add column if not exists utm_medium    text,
+  add column if not exists utm_campaign  text,
+  add column if not exists utm_content   text,
+  add column if not exists utm_term      text,
+  add column if not exists campaign_id   text,
+  add column if not exists adset_id      text,
+  add column if not exists ad_id         text;
+
+alter table analytics_leads
+  add column if not exists ad_click_id   uuid references ad_clicks(id) on delete set null,
+  add column if not exists utm_source    text,
+  add column if not exists utm_medium    text,
+  add column if not exists utm_campaign  text,
+  add column if not exists utm_content   text,
+  add column if not exists utm_term      text,
+  add column if not exists campaign_id   text,
+  add column if not exists adset_id      text,
+  add column if not exists ad_id         text;
+
+alter table analytics_conversions
+  add column if not exists ad_click_id   uuid references ad_clicks(id) on delete set null,
+  add column if not exists utm_source    text,
+  add column if not exists utm_medium    text,
+  add column if not exists utm_campaign  text,
+  add column if not exists utm_content   text,
+  add column if not exists utm_term      text,
+  add column if not exists campaign_id   text,
+  add column if not exists adset_id      text,
+  add column if not exists ad_id         text;
@@ -0,0 +1,21 @@
+-- Rotación de líneas: peso y tope por número, líneas por página y log de chats derivados
+alter table lines
+  add column if not exists routing_weight     integer not null default 1 check (routing_weight >= 0),  -- 0 = fuera de rotación
+  add column if not exists routing_daily_cap  integer check (routing_daily_cap > 0);                   -- chats derivados en 24 h; null = sin tope
+
+-- null = todas las líneas del proyecto
+alter table pages
+  add column if not exists routing_line_ids   uuid[];
+
+create table if not exists line_routings (
+  id          uuid primary key default gen_random_uuid(),
+  project_id  uuid not null references projects(id) on delete cascade,
+  page_id     uuid references pages(id) on delete set null,
+  line_id     uuid not null references lines(id) on delete cascade,
+  contact     text,
+  source      text not null default 'tag',   -- 'redirect' | 'landing' | 'tag'
+  created_at  timestamptz not null default now()
+);
+
+create index if not exists line_routings_line_idx
+  on line_routings (line_id, created_at desc);
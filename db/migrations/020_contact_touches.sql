@@ -0,0 +1,23 @@
+-- Historial de toques por contacto + modelo de atribución por proyecto
+create table if not exists contact_touches (
+  id                uuid primary key default gen_random_uuid(),
+  project_id        uuid not null references projects(id) on delete cascade,
+  contact           text not null,
+  page_id           uuid references pages(id) on delete set null,   -- null = mensaje sin página
+  slug              text,
+  source            text not null default 'organic',                -- click | landing | tag | api | organic
+  ad_click_id       uuid references ad_clicks(id) on delete set null,
+  landing_touch_id  uuid references landing_touches(id) on delete set null,
+  line_id           uuid references lines(id) on delete set null,
+  created_at        timestamptz not null default now()
+);
+
+create index if not exists contact_touches_contact_idx
+  on contact_touches (project_id, contact, created_at desc);
+
+alter table analytics_chats
+  add column if not exists contact_touch_id  uuid references contact_touches(id) on delete set null;
+
+alter table project_settings
+  add column if not exists attribution_model          text not null default 'last_non_null',  -- first_touch | last_touch | last_non_null
+  add column if not exists attribution_lookback_days  int  not null default 30;
@@ -0,0 +1,12 @@
+-- Remitentes @lid: LID de WhatsApp ↔ teléfono (contactos sin teléfono quedan como "lid:<id>")
+create table if not exists wa_lid_map (
+  lid           text primary key,                                  -- "<id>@lid"
+  phone         text,                                              -- E.164 sin "+"; null = sin resolver
+  line_id       uuid references lines(id) on delete set null,      -- última línea que lo vio
+  resolved_at   timestamptz,
+  first_seen_at timestamptz not null default now(),
+  last_seen_at  timestamptz not null default now()
+);
+
+create index if not exists wa_lid_map_phone_idx
+  on wa_lid_map (phone) where phone is not null;
@@ -0,0 +1,137 @@
+// backend/lib/ad-clicks.js
+import { supabase } from "./supabase.js";
+import { newShortToken, createLandingTouch } from "./landing-touches.js";
+
+/* =========================
+   Clicks de anuncios: /r/:slug registra el click (UTM + ids de click) y redirige a wa.me
+   con `#c:TOKEN` en el mensaje. El chat que trae el token queda atribuido a campaña/anuncio,
+   y lo mismo el lead y las conversiones posteriores del contacto.
+   ========================= */
+export const CLICK_TAG_RE = /#c:([a-z0-9]{8})\b/i;
+
+// columnas de atribución que se copian a analytics_chats / analytics_leads / analytics_conversions
+export const ATTRIBUTION_FIELDS = [
+  "utm_source",
+  "utm_medium",
+  "utm_campaign",
+  "utm_content",
+  "utm_term",
+  "campaign_id",
+  "adset_id",
+  "ad_id",
+];
+
+const CLAIM_WINDOW_DAYS = 7;
+const ATTRIBUTION_LOOKBACK_DAYS = 30;
+
+const clip = (v, max) => (v == null || v === "" ? null : String(v).trim().slice(0, max));
+
+/**
+ * Registra el click. `page` = { id, project_id, slug }; `query` = req.query de la redirección.
+ * También deja un toque de landing (fbclid/gclid/ttclid/IP/UA) para CAPI/GA4/TikTok.
+ * Devuelve la fila o null (la redirección sigue igual sin token).
+ */
+export async function recordAdClick(page, { query = {}, line_id = null, wa_phone = null, client_ip = null, user_agent = null, referer = null } = {}) {
+  const touch = await createLandingTouch(page, {
+    fbclid: query.fbclid,
+    gclid: query.gclid,
+    gbraid: query.gbraid,
+    wbraid: query.wbraid,
+    ttclid: query.ttclid,
+    client_ip,
+    user_agent,
+  });
+
+  const row = {
+    project_id: page.project_id,
+    page_id: page.id,
+    slug: page.slug || null,
+    line_id,
+    wa_phone,
+    fbclid: clip(query.fbclid, 500),
+    gclid: clip(query.gclid, 500),
+    gbraid: clip(query.gbraid, 500),
+    wbraid: clip(query.wbraid, 500),
+    ttclid: clip(query.ttclid, 500),
+    client_ip: clip(client_ip, 64),
+    user_agent: clip(user_agent, 500),
+    referer: clip(referer, 1000),
+    landing_touch_id: touch?.id || null,
+    touch_token: touch?.token || null,
+    created_at: new Date().toISOString(),
+  };
+  for (const f of ATTRIBUTION_FIELDS) row[f] = clip(query[f], 200);
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const { data, error } = await supabase
+      .from("ad_clicks")
+      .insert({ ...row, token: newShortToken() })
+      .select()
+      .maybeSingle();
+    if (!error) return data;
+    if (error.code !== "23505") {
+      console.error("[ad_clicks] insert error:", error);
+      return null;
+    }
+  }
+  return null;
+}
+
+/** Enlaza el token del mensaje con el contacto (la primera vez). null si no existe, es de otro proyecto o venció. */
+export async function claimAdClick(token, { project_id, contact }) {
+  if (!token || !contact) return null;
+  const since = new Date(Date.now() - CLAIM_WINDOW_DAYS * 86_400_000).toISOString();
+
+  const { data: click, error } = await supabase
+    .from("ad_clicks")
+    .select("*")
+    .eq("token", String(token).toLowerCase())
+    .gte("created_at", since)
+    .maybeSingle();
+
+  if (error) {
+    console.error("[ad_clicks] select error:", error);
+    return null;
+  }
+  if (!click || (project_id && click.project_id !== project_id)) return null;
+  if (click.contact) return click.contact === contact ? click : null;
+
+  const { data: claimed, error: upErr } = await supabase
+    .from("ad_clicks")
+    .update({ contact, claimed_at: new Date().toISOString() })
+    .eq("id", click.id)
+    .is("contact", null)
+    .select()
+    .maybeSingle();
+  if (upErr) console.error("[ad_clicks] claim error:", upErr);
+  return claimed || null;
+}
+
+/** Último click enlazado al contacto (para leads/conversiones que llegan en mensajes sin token). */
+export async function latestClickForContact(project_id, contact) {
+  if (!project_id || !contact) return null;
+  const since = new Date(Date.now() - ATTRIBUTION_LOOKBACK_DAYS * 86_400_000).toISOString();
+
+  const { data, error } = await supabase
+    .from("ad_clicks")
+    .select("*")
+    .eq("project_id", project_id)
+    .eq("contact", contact)
+    .gte("claimed_at", since)
+    .order("claimed_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.error("[ad_clicks] latest error:", error);
+    return null;
+  }
+  return data || null;
+}
+
+/** { ad_click_id, utm_*, campaign_id, adset_id, ad_id } para guardar en chats/leads/conversiones. */
+export function clickAttribution(click) {
+  const out = { ad_click_id: click?.id || null };
+  for (const f of ATTRIBUTION_FIELDS) out[f] = click?.[f] || null;
+  return out;
+}
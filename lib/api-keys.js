@@ -0,0 +1,98 @@
+// backend/lib/api-keys.js
+import crypto from "crypto";
+import { supabase } from "./supabase.js";
+
+/* =========================
+   API keys por proyecto (hasheadas, con scopes)
+   ========================= */
+export const API_KEY_SCOPES = [
+  "chats:write",
+  "lines:manage",
+  "messages:send",
+  "conversions:read",
+  "conversions:review",
+  "webhooks:manage",
+  "receipts:parse",
+  "templates:manage",
+  "jobs:manage",
+  "capi:manage",
+];
+
+const KEY_PREFIX = "ftk";
+const LAST_USED_THROTTLE_MS = 60_000;
+const lastUsedWrites = new Map(); // key_id -> ts del último update de last_used_at
+
+export function hashApiKey(raw) {
+  return crypto.createHash("sha256").update(String(raw)).digest("hex");
+}
+
+/** Formato: ftk_<prefix 8 hex>_<secreto>. El prefix se guarda en claro para buscar la fila. */
+function mintKey() {
+  const prefix = crypto.randomBytes(4).toString("hex");
+  const secret = crypto.randomBytes(24).toString("base64url");
+  return { prefix, key: `${KEY_PREFIX}_${prefix}_${secret}` };
+}
+
+export function normalizeScopes(scopes) {
+  const list = Array.isArray(scopes) ? [...new Set(scopes.map(String))] : [];
+  const unknown = list.filter((s) => !API_KEY_SCOPES.includes(s));
+  return { scopes: list, unknown };
+}
+
+export async function createApiKey({ project_id, name = null, scopes = [], expires_at = null, created_by = null }) {
+  const { prefix, key } = mintKey();
+  const { data, error } = await supabase
+    .from("project_api_keys")
+    .insert({
+      project_id,
+      name,
+      prefix,
+      key_hash: hashApiKey(key),
+      scopes,
+      expires_at,
+      created_by,
+      created_at: new Date().toISOString(),
+    })
+    .select("id, project_id, name, prefix, scopes, expires_at, last_used_at, revoked_at, created_at")
+    .single();
+
+  if (error) throw error;
+  return { ...data, key };
+}
+
+/** Devuelve { id, project_id, scopes } si la key es válida, vigente y no revocada. */
+export async function verifyApiKey(raw) {
+  const key = String(raw || "").trim();
+  const m = key.match(new RegExp(`^${KEY_PREFIX}_([0-9a-f]{8})_[A-Za-z0-9_-]+$`));
+  if (!m) return null;
+
+  const { data: row, error } = await supabase
+    .from("project_api_keys")
+    .select("id, project_id, key_hash, scopes, expires_at, revoked_at")
+    .eq("prefix", m[1])
+    .maybeSingle();
+
+  if (error) {
+    console.error("[api-keys] lookup error:", error);
+    return null;
+  }
+  if (!row) return null;
+
+  const a = Buffer.from(hashApiKey(key), "hex");
+  const b = Buffer.from(String(row.key_hash || ""), "hex");
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+  if (row.revoked_at) return null;
+  if (row.expires_at && new Date(row.expires_at).getTime() <= Date.now()) return null;
+
+  const last = lastUsedWrites.get(row.id) || 0;
+  if (Date.now() - last > LAST_USED_THROTTLE_MS) {
+    lastUsedWrites.set(row.id, Date.now());
+    supabase
+      .from("project_api_keys")
+      .update({ last_used_at: new Date().toISOString() })
+      .eq("id", row.id)
+      .then(({ error: upErr }) => upErr && console.error("[api-keys] last_used update error:", upErr));
+  }
+
+  return { id: row.id, project_id: row.project_id, scopes: row.scopes || [] };
+}
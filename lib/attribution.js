@@ -0,0 +1,74 @@
+// backend/lib/attribution.js
+import { supabase } from "./supabase.js";
+import { getProjectSettings } from "./settings.js";
+
+/* =========================
+   Atribución de contactos que vuelven. Cada chat deja un toque en contact_touches
+   (con o sin página) y el modelo del proyecto decide a qué página se acredita:
+     first_touch   → el primer toque con página dentro de la ventana
+     last_touch    → el último toque, aunque no traiga página (queda sin acreditar)
+     last_non_null → el último toque con página dentro de la ventana
+   Chats, leads, agenda y conversiones usan el mismo resultado.
+   ========================= */
+
+/**
+ * Guarda el toque de un mensaje. `source` = 'click' | 'landing' | 'tag' | 'api' | 'organic'.
+ * Devuelve la fila o null.
+ */
+export async function recordContactTouch({
+  project_id,
+  contact,
+  page_id = null,
+  slug = null,
+  source = "organic",
+  ad_click_id = null,
+  landing_touch_id = null,
+  line_id = null,
+}) {
+  if (!project_id || !contact) return null;
+  const { data, error } = await supabase
+    .from("contact_touches")
+    .insert({
+      project_id,
+      contact,
+      page_id,
+      slug: page_id ? slug : null,
+      source,
+      ad_click_id,
+      landing_touch_id,
+      line_id,
+      created_at: new Date().toISOString(),
+    })
+    .select()
+    .maybeSingle();
+  if (error) console.error("[contact_touches] insert error:", error);
+  return data || null;
+}
+
+/**
+ * Toque acreditado según el modelo del proyecto, con su click de anuncio (`ad_click`) embebido.
+ * null si el contacto no tiene toques en la ventana (o, con last_touch, si el último no trae página).
+ */
+export async function resolveAttribution(project_id, contact) {
+  if (!project_id || !contact) return null;
+  const { attribution_model: model, attribution_lookback_days: days } = await getProjectSettings(project_id);
+  const since = new Date(Date.now() - days * 86_400_000).toISOString();
+
+  let q = supabase
+    .from("contact_touches")
+    .select("*, ad_click:ad_clicks(*)")
+    .eq("project_id", project_id)
+    .eq("contact", contact)
+    .gte("created_at", since);
+  if (model !== "last_touch") q = q.not("page_id", "is", null);
+
+  const { data, error } = await q
+    .order("created_at", { ascending: model === "first_touch" })
+    .limit(1)
+    .maybeSingle();
+  if (error) {
+    console.error("[contact_touches] resolve error:", error);
+    return null;
+  }
+  return data?.page_id ? data : null;
+}
@@ -0,0 +1,175 @@
+// backend/lib/auth.js
+import { supabase } from "./supabase.js";
+import { verifyApiKey } from "./api-keys.js";
+
+/* =========================
+   Autenticación (JWT de Supabase o x-api-key) + pertenencia a proyecto
+   ========================= */
+const AUTH_CACHE_MS = 60_000;
+const tokenCache  = new Map(); // jwt -> { user, exp }
+const memberCache = new Map(); // `${user_id}:${project_id}` -> { ok, exp }
+
+function cacheGet(map, key) {
+  const hit = map.get(key);
+  if (!hit) return undefined;
+  if (hit.exp < Date.now()) {
+    map.delete(key);
+    return undefined;
+  }
+  return hit.value;
+}
+
+function cacheSet(map, key, value, maxExp = Infinity) {
+  if (map.size > 5000) map.clear();
+  map.set(key, { value, exp: Math.min(Date.now() + AUTH_CACHE_MS, maxExp) });
+}
+
+/** `exp` del JWT en ms (sin verificar firma: sólo acota el cache). 0 si no se puede leer. */
+function jwtExpiryMs(jwt) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(jwt).split(".")[1], "base64url").toString("utf8"));
+    return Number.isFinite(payload?.exp) ? payload.exp * 1000 : 0;
+  } catch {
+    return 0;
+  }
+}
+
+/** Bearer del header Authorization; `?access_token=` sólo para EventSource (no manda headers). */
+export function getBearerToken(req) {
+  const h = req.headers.authorization || "";
+  const m = h.match(/^Bearer\s+(.+)$/i);
+  if (m) return m[1].trim();
+  if (typeof req.query?.access_token === "string") return req.query.access_token.trim();
+  return null;
+}
+
+export async function verifyUserToken(jwt) {
+  if (!jwt) return null;
+  const cached = cacheGet(tokenCache, jwt);
+  if (cached !== undefined) return cached;
+
+  const { data, error } = await supabase.auth.getUser(jwt);
+  const user = error ? null : data?.user || null;
+  // un token válido no sigue en cache más allá de su vencimiento
+  if (user) cacheSet(tokenCache, jwt, user, jwtExpiryMs(jwt));
+  else cacheSet(tokenCache, jwt, null);
+  return user;
+}
+
+export async function isProjectMember(user_id, project_id) {
+  if (!user_id || !project_id) return false;
+  const key = `${user_id}:${project_id}`;
+  const cached = cacheGet(memberCache, key);
+  if (cached !== undefined) return cached;
+
+  const { data, error } = await supabase
+    .from("project_members")
+    .select("user_id")
+    .eq("project_id", project_id)
+    .eq("user_id", user_id)
+    .maybeSingle();
+
+  if (error) {
+    console.error("[auth] project_members error:", error);
+    return false;
+  }
+  cacheSet(memberCache, key, !!data);
+  return !!data;
+}
+
+/** Proyecto dueño de la línea (lo usan las rutas /lines/* y el cliente de WhatsApp). */
+export async function projectIdForLine(line_id) {
+  if (!line_id) return null;
+  const { data, error } = await supabase
+    .from("lines")
+    .select("project_id")
+    .eq("id", line_id)
+    .maybeSingle();
+
+  if (error) {
+    console.error("[auth] lines lookup error:", error);
+    return null;
+  }
+  return data?.project_id || null;
+}
+
+/** ¿El caller autenticado (req.user o req.apiKey) puede operar sobre este proyecto? */
+export async function canAccessProject(req, project_id) {
+  if (!project_id) return false;
+  if (req.apiKey) return req.apiKey.project_id === project_id;
+  return isProjectMember(req.user?.id, project_id);
+}
+
+/** 401 si no hay JWT válido. Deja el usuario en req.user. */
+export async function requireUser(req, res, next) {
+  try {
+    const jwt = getBearerToken(req);
+    if (!jwt) return res.status(401).json({ ok: false, error: "unauthorized" });
+
+    const user = await verifyUserToken(jwt);
+    if (!user) return res.status(401).json({ ok: false, error: "invalid_token" });
+
+    req.user = user;
+    next();
+  } catch (e) {
+    console.error("[auth] verify error:", e);
+    res.status(401).json({ ok: false, error: "invalid_token" });
+  }
+}
+
+/**
+ * Acepta `x-api-key` (debe tener `scope`) o, si no viene, un JWT de usuario.
+ * Las keys quedan atadas a su proyecto: ver canAccessProject.
+ */
+export function requireAuth(scope = null) {
+  return async (req, res, next) => {
+    const raw = req.headers["x-api-key"];
+    if (!raw) return requireUser(req, res, next);
+
+    try {
+      const key = await verifyApiKey(raw);
+      if (!key) return res.status(401).json({ ok: false, error: "invalid_api_key" });
+      if (scope && !key.scopes.includes(scope)) {
+        return res.status(403).json({ ok: false, error: "insufficient_scope", required: scope });
+      }
+      req.apiKey = key;
+      next();
+    } catch (e) {
+      console.error("[auth] api key error:", e);
+      res.status(401).json({ ok: false, error: "invalid_api_key" });
+    }
+  };
+}
+
+/**
+ * 404 si no se puede resolver el proyecto, 403 si el usuario no pertenece.
+ * `resolveProjectId(req)` puede ser async. Deja el proyecto en req.project_id.
+ */
+export function requireProjectAccess(resolveProjectId) {
+  return async (req, res, next) => {
+    try {
+      const project_id = await resolveProjectId(req);
+      if (!project_id) return res.status(404).json({ ok: false, error: "project_not_found" });
+
+      if (!(await canAccessProject(req, project_id))) {
+        return res.status(403).json({ ok: false, error: "forbidden" });
+      }
+      req.project_id = project_id;
+      next();
+    } catch (e) {
+      console.error("[auth] project access error:", e);
+      res.status(500).json({ ok: false, error: "auth_failed" });
+    }
+  };
+}
+
+/** Admins de la plataforma (plantillas globales, etc.): ADMIN_USER_IDS=uuid1,uuid2 */
+export function isAdminUser(user) {
+  if (!user?.id) return false;
+  const ids = String(process.env.ADMIN_USER_IDS || "").split(",").map((s) => s.trim()).filter(Boolean);
+  return ids.includes(user.id);
+}
+
+// Resolvers comunes
+export const projectFromParam = (req) => req.params.projectId;
+export const projectFromLineParam = (req) => projectIdForLine(req.params.lineId);
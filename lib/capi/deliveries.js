@@ -0,0 +1,238 @@
+// backend/lib/capi/deliveries.js
+import { supabase } from "../supabase.js";
+
+/* =========================
+   Log + cola de eventos de conversión salientes (Meta CAPI y otros destinos)
+   Cada evento queda en capi_deliveries con payload, respuesta e intentos.
+   Primer intento: en lote por destino+pixel, tras una ventana corta.
+   Reintentos: de a uno, con backoff, desde el worker.
+   ========================= */
+const CAPI_MAX_ATTEMPTS    = Number(process.env.CAPI_MAX_ATTEMPTS || 8);
+const CAPI_BATCH_WINDOW_MS = Number(process.env.CAPI_BATCH_WINDOW_MS || 1500);
+
+const senders = new Map();  // destination -> { send, batchMax, onSent }
+const inFlight = new Set(); // delivery_id en lote o enviándose (el worker no los toma)
+const buffers = new Map();  // `${destination}|${target}|${test_code}` -> { items: [{ row, resolve }], timer }
+
+// 1m, 2m, 4m… con tope de 6h
+function backoffMs(attempts) {
+  return Math.min(60_000 * 2 ** Math.max(0, attempts - 1), 6 * 60 * 60 * 1000);
+}
+
+/**
+ * Registra cómo se envía un destino.
+ * `send(rows)` → { ok, status_code, body, error, retryable } para el lote entero
+ * (las APIs de eventos aceptan o rechazan el request completo; un lote rechazado sin reintento
+ * posible se reenvía de a una fila, así un evento inválido no arrastra a los demás).
+ * `onSent(row)` opcional: efectos al confirmarse un envío (también en reintentos).
+ */
+export function registerCapiSender(destination, { send, batchMax = 1, onSent = null }) {
+  senders.set(destination, { send, batchMax, onSent });
+}
+
+/**
+ * Guarda el evento y lo manda en el próximo lote. Resuelve true/false según el primer intento;
+ * si el fallo es reintentable queda pendiente y lo sigue el worker.
+ * `delivery` = { destination, project_id, page_id, target, event_name, event_id, payload, test_code?, conversion_id? }
+ */
+export async function enqueueCapiDelivery(delivery) {
+  const now = Date.now();
+  const { data: row, error } = await supabase
+    .from("capi_deliveries")
+    .insert({
+      destination: delivery.destination,
+      project_id: delivery.project_id || null,
+      page_id: delivery.page_id || null,
+      target: String(delivery.target),
+      event_name: delivery.event_name,
+      event_id: delivery.event_id || null,
+      payload: delivery.payload,
+      test_code: delivery.test_code || null,
+      conversion_id: delivery.conversion_id || null,
+      status: "pending",
+      attempts: 0,
+      next_attempt_at: new Date(now + CAPI_BATCH_WINDOW_MS).toISOString(),
+      created_at: new Date(now).toISOString(),
+    })
+    .select()
+    .single();
+
+  if (error) {
+    // sin log no se pierde el evento: se manda igual, sin reintentos
+    console.error("[capi_deliveries] insert error:", error);
+    const r = await deliverCapiBatch([{ ...delivery, id: null, attempts: 0 }]);
+    return r.status === "sent";
+  }
+
+  inFlight.add(row.id);
+  return bufferRow(row);
+}
+
+function bufferRow(row) {
+  const key = `${row.destination}|${row.target}|${row.test_code || ""}`;
+  return new Promise((resolve) => {
+    let buf = buffers.get(key);
+    if (!buf) {
+      buf = { items: [], timer: null };
+      buffers.set(key, buf);
+    }
+    buf.items.push({ row, resolve });
+
+    const max = senders.get(row.destination)?.batchMax || 1;
+    if (buf.items.length >= max) flushBuffer(key);
+    else if (!buf.timer) buf.timer = setTimeout(() => flushBuffer(key), CAPI_BATCH_WINDOW_MS);
+  });
+}
+
+async function flushBuffer(key) {
+  const buf = buffers.get(key);
+  if (!buf) return;
+  buffers.delete(key);
+  clearTimeout(buf.timer);
+
+  const r = await deliverCapiBatch(buf.items.map((i) => i.row)).catch((e) => {
+    console.warn("[capi] flush error:", e?.message || e);
+    return null;
+  });
+  buf.items.forEach(({ resolve }, i) => resolve((r?.results?.[i] || r)?.status === "sent"));
+}
+
+/**
+ * Un intento para un lote (mismo destino + target). Actualiza las filas con el resultado
+ * y agenda el reintento. Filas sin id (insert fallido) se mandan pero no se registran.
+ * Si el lote entero se rechaza sin reintento posible, cada fila se manda sola y se devuelve
+ * { status, results } con el resultado de cada una (en el orden de `rows`).
+ */
+export async function deliverCapiBatch(rows) {
+  const ids = rows.map((r) => r.id).filter(Boolean);
+  ids.forEach((id) => inFlight.add(id));
+
+  try {
+    const { destination, event_name } = rows[0];
+    const sender = senders.get(destination);
+
+    let r;
+    try {
+      r = sender ? await sender.send(rows) : { ok: false, error: "unknown_destination", retryable: false };
+    } catch (e) {
+      r = { ok: false, error: e?.name === "TimeoutError" ? "timeout" : e?.message || String(e), retryable: true };
+    }
+
+    // un evento inválido hace rechazar el lote completo: de a uno sólo falla ese
+    // (sólo si respondió la API; fallas locales como missing_credentials valen para todas)
+    if (!r.ok && !r.retryable && rows.length > 1 && r.status_code != null) {
+      console.warn(`[capi] ${destination} ${event_name} ×${rows.length} rechazado (${r.error || "failed"}), se reenvía de a uno`);
+      const results = [];
+      for (const row of rows) results.push(await deliverCapiBatch([row]));
+      const sent = results.filter((x) => x.status === "sent").length;
+      return { status: sent === rows.length ? "sent" : sent ? "partial" : results[0].status, results };
+    }
+
+    const now = new Date().toISOString();
+    const base = {
+      last_attempt_at: now,
+      response_status: r.status_code ?? null,
+      response_body: r.body != null ? String(r.body).slice(0, 2000) : null,
+    };
+
+    // en un lote todas las filas vienen con los mismos intentos (primer envío); en reintentos va de a una
+    const attempts = Math.max(...rows.map((x) => x.attempts || 0)) + 1;
+    let patch;
+    if (r.ok) {
+      patch = { ...base, attempts, status: "sent", sent_at: now, last_error: null };
+    } else if (!r.retryable || attempts >= CAPI_MAX_ATTEMPTS) {
+      patch = { ...base, attempts, status: "failed", last_error: r.error || "failed" };
+    } else {
+      patch = {
+        ...base,
+        attempts,
+        status: "pending",
+        last_error: r.error || "failed",
+        next_attempt_at: new Date(Date.now() + backoffMs(attempts)).toISOString(),
+      };
+    }
+
+    // sin fila no hay reintento posible
+    if (!ids.length && patch.status === "pending") patch.status = "failed";
+
+    if (ids.length) {
+      const { error } = await supabase.from("capi_deliveries").update(patch).in("id", ids);
+      if (error) console.error("[capi_deliveries] update error:", error);
+    }
+
+    if (r.ok && sender?.onSent) {
+      for (const row of rows) await sender.onSent({ ...row, ...patch }).catch(() => {});
+    }
+    if (!r.ok) {
+      console.warn(`[capi] ${destination} ${event_name} ×${rows.length} → ${patch.status} (intento ${attempts}):`, patch.last_error);
+    }
+    return patch;
+  } finally {
+    ids.forEach((id) => inFlight.delete(id));
+  }
+}
+
+/** Reenvía una entrega existente como una fila nueva (queda el historial de ambas). */
+export async function replayCapiDelivery(delivery) {
+  const now = new Date().toISOString();
+  const { data: row, error } = await supabase
+    .from("capi_deliveries")
+    .insert({
+      destination: delivery.destination,
+      project_id: delivery.project_id,
+      page_id: delivery.page_id,
+      target: delivery.target,
+      event_name: delivery.event_name,
+      event_id: delivery.event_id,
+      payload: delivery.payload,
+      test_code: delivery.test_code,
+      conversion_id: delivery.conversion_id,
+      replay_of: delivery.id,
+      status: "pending",
+      attempts: 0,
+      next_attempt_at: now,
+      created_at: now,
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  const patch = await deliverCapiBatch([row]);
+  return { ...row, ...patch };
+}
+
+/** Un Purchase que todavía no salió no debe salir si la conversión se rechazó. */
+export async function cancelPendingCapiDeliveries(conversion_id) {
+  if (!conversion_id) return;
+  const { error } = await supabase
+    .from("capi_deliveries")
+    .update({ status: "cancelled", last_error: "conversion_rejected" })
+    .eq("conversion_id", conversion_id)
+    .eq("status", "pending");
+  if (error) console.error("[capi_deliveries] cancel error:", error);
+}
+
+/** Toma las entregas pendientes vencidas y las reintenta de a una. */
+export async function processDueCapiDeliveries(limit = 50) {
+  const { data: due, error } = await supabase
+    .from("capi_deliveries")
+    .select("*")
+    .eq("status", "pending")
+    .lte("next_attempt_at", new Date().toISOString())
+    .order("next_attempt_at", { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    console.error("[capi_deliveries] select due error:", error);
+    return;
+  }
+  for (const d of due || []) {
+    if (!inFlight.has(d.id)) await deliverCapiBatch([d]);
+  }
+}
+
+export function startCapiWorker(intervalMs = 15_000) {
+  return setInterval(() => {
+    processDueCapiDeliveries().catch((e) => console.warn("[capi] worker error:", e?.message || e));
+  }, intervalMs);
+}
@@ -0,0 +1,174 @@
+// backend/lib/capi/ga4.js
+import crypto from "crypto";
+import { supabase } from "../supabase.js";
+import { registerCapiSender, enqueueCapiDelivery } from "./deliveries.js";
+
+/* =========================
+   GA4 Measurement Protocol (destino por página: pages.ga4_measurement_id + ga4_api_secret)
+   Mismos momentos que Meta: generate_lead al chat, purchase al contar la conversión,
+   refund si se rechaza una ya enviada, refund + purchase nuevo si se corrige el monto.
+   Pasa por capi_deliveries (log + reintentos).
+   ========================= */
+const GA4_ENDPOINT   = process.env.GA4_MP_ENDPOINT || "https://www.google-analytics.com/mp/collect";
+const GA4_TIMEOUT_MS = Number(process.env.GA4_MP_TIMEOUT_MS || 10_000);
+
+/**
+ * client_id: el de la cookie _ga si la landing lo mandó (une la sesión web con el chat);
+ * si no, uno estable derivado del contacto.
+ */
+export function ga4ClientId(contact, ga_client_id = null) {
+  if (ga_client_id) return ga_client_id;
+  const h = crypto.createHash("sha256").update(String(contact || "")).digest();
+  return `${h.readUInt32BE(0)}.${h.readUInt32BE(4)}`;
+}
+
+// MP no junta eventos de distintos client_id en un request → lotes de 1
+async function sendGa4(rows) {
+  const row = rows[0];
+  const { data: page, error } = await supabase
+    .from("pages")
+    .select("ga4_api_secret")
+    .eq("id", row.page_id)
+    .maybeSingle();
+  if (error) return { ok: false, error: "page_lookup_failed", retryable: true };
+  if (!page?.ga4_api_secret) return { ok: false, error: "missing_credentials", retryable: false };
+
+  const url = `${GA4_ENDPOINT}?measurement_id=${encodeURIComponent(row.target)}&api_secret=${encodeURIComponent(page.ga4_api_secret)}`;
+  const resp = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(row.payload),
+    signal: AbortSignal.timeout(GA4_TIMEOUT_MS),
+  });
+
+  const body = await resp.text().catch(() => "");
+  if (resp.ok) return { ok: true, status_code: resp.status, body };
+  return {
+    ok: false,
+    status_code: resp.status,
+    body,
+    error: `http_${resp.status}`,
+    retryable: resp.status >= 500 || resp.status === 429,
+  };
+}
+
+registerCapiSender("ga4", { send: sendGa4, batchMax: 1 });
+
+/**
+ * Encola un evento GA4 para la página. Devuelve false si la página no tiene GA4 configurado.
+ * `name` = 'generate_lead' | 'purchase' | 'refund' · `params` = parámetros del evento.
+ */
+export async function sendGa4Event({
+  page_id,
+  name,
+  params = {},
+  contact = null,
+  ga_client_id = null,
+  event_id = null,
+  conversion_id = null,
+}) {
+  try {
+    if (!page_id) return false;
+
+    const { data: page, error } = await supabase
+      .from("pages")
+      .select("project_id, ga4_measurement_id, ga4_api_secret")
+      .eq("id", page_id)
+      .maybeSingle();
+
+    if (error || !page?.ga4_measurement_id || !page?.ga4_api_secret) return false;
+
+    // timestamp del momento real: los reintentos no corren el evento (MP acepta hasta 72 h atrás)
+    const payload = {
+      client_id: ga4ClientId(contact, ga_client_id),
+      timestamp_micros: Date.now() * 1000,
+      events: [{ name, params: { engagement_time_msec: 1, ...params } }],
+    };
+
+    return await enqueueCapiDelivery({
+      destination: "ga4",
+      project_id: page.project_id,
+      page_id,
+      target: page.ga4_measurement_id,
+      event_name: name,
+      event_id: event_id || crypto.randomUUID(),
+      payload,
+      conversion_id,
+    });
+  } catch (e) {
+    console.warn("sendGa4Event failed:", e?.message || e);
+    return false;
+  }
+}
+
+/**
+ * Último purchase de la conversión en GA4 (`statuses` = estados de capi_deliveries que cuentan).
+ * Tras una corrección el vigente es el de transaction_id "<conversión>-c…", no el original.
+ */
+async function lastGa4Purchase(conversion_id, statuses) {
+  const { data, error } = await supabase
+    .from("capi_deliveries")
+    .select("id, status, payload")
+    .eq("destination", "ga4")
+    .eq("conversion_id", conversion_id)
+    .eq("event_name", "purchase")
+    .in("status", statuses)
+    .order("created_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) console.error("[capi_deliveries] ga4 purchase lookup error:", error);
+  const params = data?.payload?.events?.[0]?.params;
+  return params?.transaction_id ? { id: data.id, status: data.status, params } : null;
+}
+
+function refundPurchase(conv, params, ga_client_id) {
+  return sendGa4Event({
+    page_id: conv.page_id,
+    name: "refund",
+    params: { transaction_id: params.transaction_id, value: params.value, currency: params.currency },
+    contact: conv.contact,
+    ga_client_id,
+    event_id: `ga4-refund-${params.transaction_id}`,
+    conversion_id: conv.id,
+  });
+}
+
+/** refund del purchase vigente de una conversión rechazada, si ya llegó a GA4 (los pendientes se cancelan antes). */
+export async function sendGa4Refund(conv, { ga_client_id = null } = {}) {
+  if (!conv?.id || !conv.page_id) return false;
+  const last = await lastGa4Purchase(conv.id, ["sent"]);
+  return last ? refundPurchase(conv, last.params, ga_client_id) : false;
+}
+
+/**
+ * Corrección de monto/moneda de una conversión ya contada: refund del purchase vigente y purchase
+ * nuevo con el valor corregido (transaction_id nuevo: GA4 descarta un purchase repetido).
+ * Si el purchase todavía estaba en cola, se cancela en vez de reembolsarlo. false si GA4 no tenía nada.
+ */
+export async function sendGa4Correction(conv, { ga_client_id = null, currency = "ARS" } = {}) {
+  if (!conv?.id || !conv.page_id) return false;
+  const last = await lastGa4Purchase(conv.id, ["pending", "sent"]);
+  if (!last) return false;
+
+  if (last.status === "pending") {
+    const { error } = await supabase
+      .from("capi_deliveries")
+      .update({ status: "cancelled", last_error: "conversion_corrected" })
+      .eq("id", last.id)
+      .eq("status", "pending");
+    if (error) console.error("[capi_deliveries] ga4 cancel error:", error);
+  } else {
+    await refundPurchase(conv, last.params, ga_client_id);
+  }
+
+  const transaction_id = `${conv.id}-c${Date.now().toString(36)}`;
+  return sendGa4Event({
+    page_id: conv.page_id,
+    name: "purchase",
+    params: { transaction_id, value: Number(conv.amount) || 0, currency },
+    contact: conv.contact,
+    ga_client_id,
+    event_id: `ga4-purchase-${transaction_id}`,
+    conversion_id: conv.id,
+  });
+}
@@ -0,0 +1,192 @@
+// backend/lib/capi/meta.js
+import crypto from "crypto";
+import { supabase } from "../supabase.js";
+import { registerCapiSender, enqueueCapiDelivery } from "./deliveries.js";
+import { isLidContact } from "../phone.js";
+
+/* ===== Meta CAPI helper (envío server-side) ===== */
+
+const sha256 = (v) => crypto.createHash("sha256").update(v).digest("hex");
+
+// prefijo internacional → país (ISO 3166-1 alfa-2); el más largo primero
+const PHONE_COUNTRY = [
+  ["598", "uy"], ["595", "py"], ["593", "ec"], ["591", "bo"],
+  ["54", "ar"], ["55", "br"], ["56", "cl"], ["57", "co"], ["58", "ve"], ["51", "pe"], ["52", "mx"],
+  ["34", "es"], ["1", "us"],
+];
+
+/** Teléfono en E.164 sin "+" (como lo pide Meta para `ph`). Los JID de WhatsApp ya vienen así; los "lid:" no son teléfonos. */
+export function phoneForMeta(phone) {
+  if (isLidContact(phone)) return null;
+  const d = String(phone || "").replace(/\D+/g, "").replace(/^00/, "");
+  return d.length >= 8 && d.length <= 15 ? d : null;
+}
+
+function countryFromPhone(phone) {
+  const d = phoneForMeta(phone);
+  if (!d) return null;
+  const hit = PHONE_COUNTRY.find(([prefix]) => d.startsWith(prefix));
+  return hit ? hit[1] : null;
+}
+
+// minúsculas, sin tildes ni signos (criterio de normalización de Meta para fn/ln)
+function normNamePart(s) {
+  return String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-zñ]/g, "");
+}
+
+/** "Juan Carlos Pérez" → { fn: "juan", ln: "perez" }. Nombres de WhatsApp con emojis/apodos sueltos no sirven. */
+function splitName(name) {
+  const parts = String(name || "").split(/\s+/).map(normNamePart).filter((p) => p.length >= 2);
+  if (!parts.length) return {};
+  return parts.length >= 2 ? { fn: parts[0], ln: parts[parts.length - 1] } : { fn: parts[0] };
+}
+
+/**
+ * user_data de CAPI. Se hashean ph/fn/ln/country/external_id; fbc/fbp/IP/UA viajan en claro.
+ * `user` = { phone, name, country, fbc, fbp, client_ip_address, client_user_agent }.
+ */
+export function buildMetaUserData({ external_id = null, user = null } = {}) {
+  const user_data = {};
+  if (external_id) user_data.external_id = sha256(String(external_id).trim().toLowerCase());
+  if (!user) return user_data;
+
+  const ph = phoneForMeta(user.phone);
+  if (ph) user_data.ph = sha256(ph);
+
+  const { fn, ln } = splitName(user.name);
+  if (fn) user_data.fn = sha256(fn);
+  if (ln) user_data.ln = sha256(ln);
+
+  const country = (user.country || countryFromPhone(user.phone) || "").toLowerCase();
+  if (/^[a-z]{2}$/.test(country)) user_data.country = sha256(country);
+
+  if (user.fbc) user_data.fbc = user.fbc;
+  if (user.fbp) user_data.fbp = user.fbp;
+  if (user.client_ip_address) user_data.client_ip_address = user.client_ip_address;
+  if (user.client_user_agent) user_data.client_user_agent = user.client_user_agent;
+  return user_data;
+}
+
+/* ===== Envío: lotes por pixel vía capi_deliveries (log + reintentos) ===== */
+
+const META_GRAPH_VERSION = process.env.META_GRAPH_VERSION || "v18.0";
+const META_TIMEOUT_MS    = Number(process.env.META_CAPI_TIMEOUT_MS || 10_000);
+const META_BATCH_MAX     = 500; // Meta acepta hasta 1000 eventos por request
+
+// códigos de error de Graph que son límites de uso (se reintentan)
+const META_THROTTLE_CODES = new Set([1, 2, 4, 17, 341, 613]);
+
+/** Un request a /{pixel}/events con todo el lote. El token sale de la página del primer evento. */
+async function sendMetaBatch(rows) {
+  const { data: page, error } = await supabase
+    .from("pages")
+    .select("fb_access_token")
+    .eq("id", rows[0].page_id)
+    .maybeSingle();
+  if (error) return { ok: false, error: "page_lookup_failed", retryable: true };
+  if (!page?.fb_access_token) return { ok: false, error: "missing_credentials", retryable: false };
+
+  const resp = await fetch(
+    `https://graph.facebook.com/${META_GRAPH_VERSION}/${rows[0].target}/events?access_token=${page.fb_access_token}`,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        data: rows.map((r) => r.payload),
+        test_event_code: rows[0].test_code || undefined,
+      }),
+      signal: AbortSignal.timeout(META_TIMEOUT_MS),
+    }
+  );
+
+  const body = await resp.text().catch(() => "");
+  if (resp.ok) return { ok: true, status_code: resp.status, body };
+
+  let err = null;
+  try { err = JSON.parse(body)?.error || null; } catch {}
+  const retryable =
+    resp.status >= 500 || resp.status === 429 || err?.is_transient === true || META_THROTTLE_CODES.has(err?.code);
+  return {
+    ok: false,
+    status_code: resp.status,
+    body,
+    error: err?.message ? `${err.code || resp.status}: ${err.message}` : `http_${resp.status}`,
+    retryable,
+  };
+}
+
+// Purchase confirmado en un reintento → la conversión queda marcada como enviada
+async function stampPurchase(row) {
+  if (row.event_name !== "Purchase" || !row.conversion_id) return;
+  const { error } = await supabase
+    .from("analytics_conversions")
+    .update({ capi_sent_at: row.sent_at, capi_value: row.payload?.custom_data?.value ?? null })
+    .eq("id", row.conversion_id)
+    .is("capi_sent_at", null);
+  if (error) console.error("[analytics_conversions] capi stamp error:", error);
+}
+
+registerCapiSender("meta", { send: sendMetaBatch, batchMax: META_BATCH_MAX, onSent: stampPurchase });
+
+/**
+ * Devuelve true si Meta aceptó el evento en el primer intento. Si falló por algo
+ * transitorio queda en capi_deliveries y se reintenta solo.
+ */
+export async function sendMetaCapiEvent({
+  page_id,
+  event_name,        // 'PageView' | 'Lead' | 'Purchase' | ...
+  value = undefined, // number (para Purchase)
+  currency = "ARS",
+  external_id = null, // teléfono/email en claro (se hashea acá)
+  user = null,        // { phone, name, country, fbc, fbp, ... } → ver buildMetaUserData
+  event_id = null,    // estable para que Meta deduplique reintentos (y contra el Pixel)
+  custom_data = null, // extra (se mezcla con value/currency)
+  event_source_url = null,
+  action_source = "chat", // 'chat' porque el origen es WhatsApp
+  conversion_id = null,   // para poder buscar "¿llegó el Purchase de esta conversión?"
+}) {
+  try {
+    if (!page_id) return false;
+
+    // Traemos las credenciales (pixel/token) de esa landing
+    const { data: page, error } = await supabase
+      .from("pages")
+      .select("project_id, fb_pixel_id, fb_access_token, fb_test_event_code")
+      .eq("id", page_id)
+      .maybeSingle();
+
+    if (error || !page?.fb_pixel_id || !page?.fb_access_token) return false;
+
+    const event = {
+      event_name,
+      event_time: Math.floor(Date.now() / 1000),
+      event_id: event_id || crypto.randomUUID(),
+      action_source,
+      event_source_url: event_source_url || undefined,
+      user_data: buildMetaUserData({ external_id, user }),
+      custom_data: {
+        ...(Number.isFinite(value) ? { value, currency } : {}),
+        ...(custom_data || {}),
+      },
+    };
+
+    return await enqueueCapiDelivery({
+      destination: "meta",
+      project_id: page.project_id,
+      page_id,
+      target: page.fb_pixel_id,
+      event_name,
+      event_id: event.event_id,
+      payload: event,
+      test_code: page.fb_test_event_code || null,
+      conversion_id,
+    });
+  } catch (e) {
+    console.warn("sendMetaCapiEvent failed:", e?.message || e);
+    return false;
+  }
+}
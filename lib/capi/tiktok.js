@@ -0,0 +1,121 @@
+// backend/lib/capi/tiktok.js
+import crypto from "crypto";
+import { supabase } from "../supabase.js";
+import { registerCapiSender, enqueueCapiDelivery } from "./deliveries.js";
+import { phoneForMeta } from "./meta.js";
+
+/* =========================
+   TikTok Events API (destino por página: pages.tiktok_pixel_code + tiktok_access_token)
+   Lead al chat y CompletePayment al contar la conversión, en los mismos puntos que Meta.
+   Pasa por capi_deliveries (log + lotes por pixel + reintentos).
+   ========================= */
+const TIKTOK_ENDPOINT   = process.env.TIKTOK_EVENTS_ENDPOINT || "https://business-api.tiktok.com/open_api/v1.3/event/track/";
+const TIKTOK_TIMEOUT_MS = Number(process.env.TIKTOK_TIMEOUT_MS || 10_000);
+const TIKTOK_BATCH_MAX  = 500; // la API acepta hasta 1000 eventos por request
+
+const sha256 = (v) => crypto.createHash("sha256").update(v).digest("hex");
+
+/** user de TikTok: phone en E.164 con "+" y external_id hasheados; ttclid/ttp/IP/UA en claro. */
+export function buildTikTokUser({ external_id = null, user = null } = {}) {
+  const out = {};
+  if (external_id) out.external_id = sha256(String(external_id).trim().toLowerCase());
+  if (!user) return out;
+
+  const ph = phoneForMeta(user.phone);
+  if (ph) out.phone = sha256(`+${ph}`);
+  if (user.ttclid) out.ttclid = user.ttclid;
+  if (user.ttp) out.ttp = user.ttp;
+  if (user.client_ip_address) out.ip = user.client_ip_address;
+  if (user.client_user_agent) out.user_agent = user.client_user_agent;
+  return out;
+}
+
+async function sendTikTokBatch(rows) {
+  const { data: page, error } = await supabase
+    .from("pages")
+    .select("tiktok_access_token")
+    .eq("id", rows[0].page_id)
+    .maybeSingle();
+  if (error) return { ok: false, error: "page_lookup_failed", retryable: true };
+  if (!page?.tiktok_access_token) return { ok: false, error: "missing_credentials", retryable: false };
+
+  const resp = await fetch(TIKTOK_ENDPOINT, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "Access-Token": page.tiktok_access_token },
+    body: JSON.stringify({
+      event_source: "web",
+      event_source_id: rows[0].target,
+      test_event_code: rows[0].test_code || undefined,
+      data: rows.map((r) => r.payload),
+    }),
+    signal: AbortSignal.timeout(TIKTOK_TIMEOUT_MS),
+  });
+
+  const body = await resp.text().catch(() => "");
+  let j = null;
+  try { j = JSON.parse(body); } catch {}
+
+  // TikTok responde 200 también con errores: el resultado está en `code` (0 = OK)
+  if (resp.ok && j?.code === 0) return { ok: true, status_code: resp.status, body };
+  const code = j?.code ?? null;
+  return {
+    ok: false,
+    status_code: resp.status,
+    body,
+    error: j?.message ? `${code}: ${j.message}` : `http_${resp.status}`,
+    retryable: resp.status >= 500 || resp.status === 429 || (Number(code) >= 50000 && Number(code) < 60000),
+  };
+}
+
+registerCapiSender("tiktok", { send: sendTikTokBatch, batchMax: TIKTOK_BATCH_MAX });
+
+/**
+ * Encola un evento TikTok para la página. Devuelve true si salió en el primer intento;
+ * false si la página no tiene TikTok configurado o falló (los transitorios se reintentan).
+ * `event` = 'Lead' | 'CompletePayment' | …
+ */
+export async function sendTikTokEvent({
+  page_id,
+  event,
+  value = undefined,
+  currency = "ARS",
+  external_id = null,
+  user = null,
+  event_id = null,   // mismo que el del pixel en la landing → TikTok deduplica
+  conversion_id = null,
+}) {
+  try {
+    if (!page_id) return false;
+
+    const { data: page, error } = await supabase
+      .from("pages")
+      .select("project_id, tiktok_pixel_code, tiktok_access_token, tiktok_test_event_code")
+      .eq("id", page_id)
+      .maybeSingle();
+
+    if (error || !page?.tiktok_pixel_code || !page?.tiktok_access_token) return false;
+
+    const payload = {
+      event,
+      event_time: Math.floor(Date.now() / 1000),
+      event_id: event_id || crypto.randomUUID(),
+      user: buildTikTokUser({ external_id, user }),
+      properties: Number.isFinite(value) ? { value, currency } : {},
+    };
+
+    return await enqueueCapiDelivery({
+      destination: "tiktok",
+      project_id: page.project_id,
+      page_id,
+      target: page.tiktok_pixel_code,
+      event_name: event,
+      event_id: payload.event_id,
+      payload,
+      test_code: page.tiktok_test_event_code || null,
+      conversion_id,
+    });
+  } catch (e) {
+    console.warn("sendTikTokEvent failed:", e?.message || e);
+    return false;
+  }
+}
@@ -0,0 +1,98 @@
+// backend/lib/contact-merge.js
+import { supabase } from "./supabase.js";
+
+/* =========================
+   Mover todo lo de un contacto a otro identificador dentro del proyecto
+   (teléfono mal escrito → E.164, LID → teléfono). Las tablas con clave única
+   por contacto se fusionan si ya existe la fila de destino.
+   ========================= */
+
+// tablas sin clave única por contacto: alcanza con reescribir la columna
+export const PLAIN_TABLES = [
+  ["analytics_chats", "contact"],
+  ["analytics_conversions", "contact"],
+  ["contact_touches", "contact"],
+  ["landing_touches", "contact"],
+  ["ad_clicks", "contact"],
+  ["line_routings", "contact"],
+  ["wa_outbound_messages", "contact"],
+];
+
+// tablas con unique (project_id, contacto): si ya está la fila canónica, se fusionan
+export const UNIQUE_TABLES = {
+  agenda: {
+    key: "contact",
+    // base = la de actividad más reciente; "conversion" no se pierde
+    merge(a, b) {
+      const [base, other] = Date.parse(a.last_message_at || 0) >= Date.parse(b.last_message_at || 0) ? [a, b] : [b, a];
+      const out = fillNulls(base, other);
+      if (a.status === "conversion" || b.status === "conversion") out.status = "conversion";
+      return out;
+    },
+  },
+  analytics_leads: {
+    key: "contact",
+    // el lead cuenta desde el primer contacto
+    merge(a, b) {
+      const [base, other] = Date.parse(a.created_at || 0) <= Date.parse(b.created_at || 0) ? [a, b] : [b, a];
+      return fillNulls(base, other);
+    },
+  },
+  wa_contact_names: {
+    key: "phone",
+    merge(a, b) {
+      const [base, other] = Date.parse(a.updated_at || 0) >= Date.parse(b.updated_at || 0) ? [a, b] : [b, a];
+      return fillNulls(base, other);
+    },
+  },
+};
+
+function fillNulls(base, other) {
+  const out = { ...base };
+  for (const [k, v] of Object.entries(other)) if (out[k] == null && v != null) out[k] = v;
+  return out;
+}
+
+async function renamePlain(table, key, project_id, from, to) {
+  const { error } = await supabase.from(table).update({ [key]: to }).eq("project_id", project_id).eq(key, from);
+  if (error) throw new Error(`${table}: ${error.message}`);
+}
+
+async function renameUnique(table, def, project_id, from, to) {
+  const { key } = def;
+  const { data: rows, error } = await supabase.from(table).select("*").eq("project_id", project_id).in(key, [from, to]);
+  if (error) throw new Error(`${table}: ${error.message}`);
+
+  const dup = rows.find((r) => r[key] === from);
+  const canon = rows.find((r) => r[key] === to);
+  if (!dup) return "none";
+
+  // por (project_id, contacto), que es la clave única (no todas estas tablas tienen id)
+  const byKey = (q, v) => q.eq("project_id", project_id).eq(key, v);
+
+  if (!canon) {
+    const { error: upErr } = await byKey(supabase.from(table).update({ [key]: to }), from);
+    if (upErr) throw new Error(`${table}: ${upErr.message}`);
+    return "renamed";
+  }
+
+  const { id, ...merged } = def.merge(canon, dup);
+  merged[key] = to;
+  const { error: upErr } = await byKey(supabase.from(table).update(merged), to);
+  if (upErr) throw new Error(`${table}: ${upErr.message}`);
+  const { error: delErr } = await byKey(supabase.from(table).delete(), from);
+  if (delErr) throw new Error(`${table}: ${delErr.message}`);
+  return "merged";
+}
+
+/** Reescribe `from` → `to` en todas las tablas del proyecto. Devuelve { renamed, merged } de las tablas únicas. */
+export async function mergeContactRows(project_id, from, to) {
+  const stats = { renamed: 0, merged: 0 };
+  if (!project_id || !from || !to || from === to) return stats;
+  for (const [table, key] of PLAIN_TABLES) await renamePlain(table, key, project_id, from, to);
+  for (const [table, def] of Object.entries(UNIQUE_TABLES)) {
+    const r = await renameUnique(table, def, project_id, from, to);
+    if (r in stats) stats[r]++;
+  }
+  return stats;
+}
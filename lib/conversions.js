@@ -0,0 +1,225 @@
+// backend/lib/conversions.js
+import { supabase } from "./supabase.js";
+import { sendMetaCapiEvent } from "./capi/meta.js";
+import { cancelPendingCapiDeliveries } from "./capi/deliveries.js";
+import { sendGa4Event, sendGa4Refund, sendGa4Correction } from "./capi/ga4.js";
+import { sendTikTokEvent } from "./capi/tiktok.js";
+import { emitWebhookEvent } from "./webhooks.js";
+import { normalizeOperationNo } from "./receipts/fingerprint.js";
+import { capiCurrency, normalizeAmounts } from "./currency.js";
+import { loadReceivingAccounts, classifyReceivingAccount } from "./receipts/accounts.js";
+import { capiUserForContact } from "./landing-touches.js";
+
+/* =========================
+   Conversiones: Purchase diferido + revisión (aprobar / rechazar / corregir)
+   Corregir monto/moneda de una conversión ya contada emite el evento compensatorio donde el
+   destino lo admite: en GA4 refund del valor anterior + purchase con el corregido.
+   Meta y TikTok no tienen cómo corregir un Purchase recibido (repetido con el mismo event_id se
+   descarta, un valor negativo no resta): capi_value queda con lo que se mandó y capi_value_stale
+   marca que ya no coincide con el monto.
+   ========================= */
+
+// Campos que el revisor puede corregir
+export const CORRECTABLE_FIELDS = [
+  "amount",
+  "currency",
+  "txn_at",
+  "provider",
+  "concept",
+  "reference",
+  "operation_no",
+  "origin_name",
+  "origin_cuit",
+  "origin_account",
+  "origin_bank",
+  "dest_name",
+  "dest_cuit",
+  "dest_account",
+  "dest_bank",
+];
+
+export async function getConversion(id) {
+  const { data, error } = await supabase
+    .from("analytics_conversions")
+    .select("*")
+    .eq("id", id)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+export async function projectIdForConversion(id) {
+  const conv = await getConversion(id).catch(() => null);
+  return conv?.project_id || null;
+}
+
+async function patchConversion(id, patch) {
+  const { data, error } = await supabase
+    .from("analytics_conversions")
+    .update(patch)
+    .eq("id", id)
+    .select()
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * 🔵 Meta CAPI: Purchase de una conversión.
+ * event_id estable por conversión → si se reintenta, Meta lo deduplica.
+ * Sin id (insert fallido) se manda igual pero no queda registrado el envío.
+ */
+export async function sendPurchaseForConversion(conv) {
+  const amount = Number(conv?.amount);
+  if (!conv?.page_id || !Number.isFinite(amount) || amount <= 0) return false;
+
+  const user = await capiUserForContact(conv.project_id, conv.contact);
+  const ok = await sendMetaCapiEvent({
+    page_id: conv.page_id,
+    event_name: "Purchase",
+    external_id: conv.contact,
+    user,
+    value: amount,
+    currency: capiCurrency(conv.currency),
+    event_id: conv.id ? `purchase-${conv.id}` : null,
+    action_source: "chat",
+    conversion_id: conv.id || null,
+  });
+
+  if (ok && conv.id) {
+    await patchConversion(conv.id, {
+      capi_sent_at: new Date().toISOString(),
+      capi_value: amount,
+    }).catch((e) => console.error("[analytics_conversions] capi stamp error:", e));
+  }
+
+  // ⚫ TikTok: CompletePayment
+  await sendTikTokEvent({
+    page_id: conv.page_id,
+    event: "CompletePayment",
+    value: amount,
+    currency: capiCurrency(conv.currency),
+    external_id: conv.contact,
+    user,
+    event_id: conv.id ? `purchase-${conv.id}` : null,
+    conversion_id: conv.id || null,
+  });
+
+  // 🟢 GA4: purchase (transaction_id = conversión, GA4 no la cuenta dos veces)
+  await sendGa4Event({
+    page_id: conv.page_id,
+    name: "purchase",
+    params: { transaction_id: conv.id || undefined, value: amount, currency: capiCurrency(conv.currency) },
+    contact: conv.contact,
+    ga_client_id: user?.ga_client_id,
+    event_id: conv.id ? `ga4-purchase-${conv.id}` : null,
+    conversion_id: conv.id || null,
+  });
+  return ok;
+}
+
+/** ¿Ya hay una Purchase de Meta enviada o en cola para esta conversión? */
+async function metaPurchaseQueued(conversion_id) {
+  const { data, error } = await supabase
+    .from("capi_deliveries")
+    .select("id")
+    .eq("destination", "meta")
+    .eq("conversion_id", conversion_id)
+    .eq("event_name", "Purchase")
+    .in("status", ["pending", "sent"])
+    .limit(1);
+  if (error) console.error("[capi_deliveries] purchase lookup error:", error);
+  return !!data?.length;
+}
+
+const reviewStamp = (reviewer, note) => ({
+  reviewed_by: reviewer,
+  reviewed_at: new Date().toISOString(),
+  review_note: note ? String(note).slice(0, 1000) : null,
+});
+
+export async function approveConversion(conv, { reviewer, note = null }) {
+  let updated = await patchConversion(conv.id, { status: "approved", ...reviewStamp(reviewer, note) });
+  // sólo las que estaban frenadas: las "received" (incluidas las de antes de capi_sent_at) ya salieron al crearse.
+  // Una rechazada no se aprueba (la ruta responde 409 already_rejected)
+  if (conv.status === "pending_review" && !updated.capi_sent_at && !(await metaPurchaseQueued(conv.id))) {
+    await sendPurchaseForConversion(updated);
+    updated = (await getConversion(conv.id)) || updated;
+  }
+  emitWebhookEvent(updated.project_id, "conversion.updated", { action: "approved", conversion: updated });
+  return updated;
+}
+
+export async function rejectConversion(conv, { reviewer, note = null }) {
+  // lo que no salió todavía ya no sale; en Meta lo enviado queda (CAPI no admite anularlo), GA4 sí tiene refund
+  await cancelPendingCapiDeliveries(conv.id);
+  const user = await capiUserForContact(conv.project_id, conv.contact);
+  await sendGa4Refund(conv, { ga_client_id: user?.ga_client_id });
+  const updated = await patchConversion(conv.id, { status: "rejected", ...reviewStamp(reviewer, note) });
+  emitWebhookEvent(updated.project_id, "conversion.updated", { action: "rejected", conversion: updated });
+  return updated;
+}
+
+/** Aplica la corrección y, si cambia el valor de una conversión ya contada, compensa lo enviado (ver nota arriba). */
+export async function correctConversion(conv, fields, { reviewer, note = null }) {
+  const patch = {};
+  for (const k of CORRECTABLE_FIELDS) {
+    if (k in fields) patch[k] = fields[k] === "" ? null : fields[k];
+  }
+  if ("operation_no" in patch) patch.operation_no_norm = normalizeOperationNo(patch.operation_no);
+  if (["dest_account", "dest_cuit", "dest_name"].some((k) => k in patch)) {
+    // destino corregido → se reclasifica (el estado no cambia: eso lo decide el revisor)
+    const merged = { ...conv, ...patch };
+    const match = classifyReceivingAccount(
+      merged,
+      await loadReceivingAccounts(conv.project_id),
+      [merged.dest_account, merged.dest_cuit].filter(Boolean).join("\n")
+    );
+    patch.account_match = match.status;
+    patch.account_match_detail = match;
+  }
+  if ("amount" in patch || "currency" in patch) {
+    Object.assign(
+      patch,
+      await normalizeAmounts(
+        conv.project_id,
+        patch.amount ?? conv.amount,
+        patch.currency ?? conv.currency ?? "ARS",
+        conv.created_at || new Date()
+      )
+    );
+  }
+
+  const updated = await patchConversion(conv.id, {
+    ...patch,
+    corrected_by: reviewer,
+    corrected_at: new Date().toISOString(),
+    review_note: note ? String(note).slice(0, 1000) : conv.review_note ?? null,
+  });
+
+  let fresh = (await getConversion(conv.id)) || updated;
+
+  const valueChanged =
+    Number(fresh.amount) !== Number(conv.amount) || (fresh.currency || "ARS") !== (conv.currency || "ARS");
+  if (valueChanged && (fresh.status === "received" || fresh.status === "approved")) {
+    const user = await capiUserForContact(fresh.project_id, fresh.contact);
+    await sendGa4Correction(fresh, { ga_client_id: user?.ga_client_id, currency: capiCurrency(fresh.currency) });
+
+    const metaSent = fresh.capi_sent_at || (await metaPurchaseQueued(fresh.id));
+    if (metaSent) {
+      const sentValue = fresh.capi_value ?? conv.amount;
+      const stale = Number(sentValue) !== Number(fresh.amount) || (fresh.currency || "ARS") !== (conv.currency || "ARS");
+      fresh = await patchConversion(fresh.id, { capi_value_stale: stale }).catch((e) => {
+        console.error("[analytics_conversions] capi_value_stale error:", e);
+        return fresh;
+      });
+    }
+  }
+
+  emitWebhookEvent(fresh.project_id, "conversion.updated", {
+    action: "corrected",
+    changes: patch,
+    conversion: fresh,
+  });
+  return fresh;
+}
@@ -0,0 +1,66 @@
+// backend/lib/currency.js
+import { supabase } from "./supabase.js";
+import { CURRENCIES } from "./receipts/parser.js";
+
+/* =========================
+   Monedas: código para CAPI + normalización ARS/USD con cotizaciones del proyecto
+   ========================= */
+export { CURRENCIES };
+
+const CACHE_MS = 60_000;
+const cache = new Map(); // project_id -> { rows, exp }
+
+/** Meta/GA sólo aceptan ISO 4217: USDT viaja como USD. */
+export function capiCurrency(currency) {
+  const c = String(currency || "ARS").toUpperCase();
+  return c === "USDT" ? "USD" : c;
+}
+
+async function loadRates(project_id) {
+  const hit = cache.get(project_id);
+  if (hit && hit.exp > Date.now()) return hit.rows;
+
+  const { data, error } = await supabase
+    .from("project_currency_rates")
+    .select("currency, ars_per_unit, valid_from")
+    .eq("project_id", project_id)
+    .order("valid_from", { ascending: false });
+  if (error) console.error("[project_currency_rates] select error:", error);
+
+  const rows = data || [];
+  cache.set(project_id, { rows, exp: Date.now() + CACHE_MS });
+  return rows;
+}
+
+export function invalidateCurrencyRates(project_id) {
+  cache.delete(project_id);
+}
+
+/** ARS por unidad de `currency` vigente en la fecha `at` (USDT sin cotización propia usa la de USD). */
+export async function getArsRate(project_id, currency, at = new Date()) {
+  if (!project_id) return null;
+  if (currency === "ARS") return 1;
+
+  const day = new Date(at).toISOString().slice(0, 10);
+  const rows = await loadRates(project_id);
+  const pick = (c) => rows.find((r) => r.currency === c && String(r.valid_from) <= day);
+  const row = pick(currency) || (currency === "USDT" ? pick("USD") : null);
+  return row ? Number(row.ars_per_unit) : null;
+}
+
+/**
+ * { amount_ars, amount_usd } para reportes. Sin cotización cargada queda null la que no se puede calcular.
+ */
+export async function normalizeAmounts(project_id, amount, currency = "ARS", at = new Date()) {
+  const v = Number(amount);
+  if (!Number.isFinite(v)) return { amount_ars: null, amount_usd: null };
+
+  const round = (n) => (Number.isFinite(n) ? Math.round(n * 100) / 100 : null);
+  if (currency === "ARS") {
+    const usdRate = await getArsRate(project_id, "USD", at);
+    return { amount_ars: round(v), amount_usd: usdRate ? round(v / usdRate) : null };
+  }
+  // USD / USDT: el valor en dólares es el propio monto
+  const rate = await getArsRate(project_id, currency, at);
+  return { amount_ars: rate ? round(v * rate) : null, amount_usd: round(v) };
+}
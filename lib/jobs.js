@@ -0,0 +1,197 @@
+// backend/lib/jobs.js
+import os from "os";
+import { supabase } from "./supabase.js";
+
+/* =========================
+   Cola de trabajos persistente (tabla jobs + claim_jobs)
+   - enqueueJob() sólo inserta; el worker reclama con SKIP LOCKED y ejecuta el handler del tipo
+   - error → reintento con backoff; sin intentos o error no reintentable → "dead"
+   - deferJobError → vuelve a la cola más tarde sin gastar un intento
+   ========================= */
+const JOB_CONCURRENCY = Math.max(1, Number(process.env.JOB_CONCURRENCY || 2));
+const JOB_POLL_MS = Number(process.env.JOB_POLL_MS || 2_000);
+const JOB_MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS || 6);
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = new Map(); // type -> async (job) => result
+let running = 0;
+let ticking = false;
+let wakeTimer = null;
+
+// 15s, 30s, 1m, 2m… con tope de 1h
+function backoffMs(attempts) {
+  return Math.min(15_000 * 2 ** Math.max(0, attempts - 1), 60 * 60 * 1000);
+}
+
+/** Error que manda el trabajo directo a "dead" (no tiene sentido reintentar). */
+export function permanentJobError(message) {
+  return Object.assign(new Error(message), { permanent: true });
+}
+
+/**
+ * Error que reprograma el trabajo en `delayMs` sin contar el intento: para esperas
+ * ajenas al trabajo (p.ej. una línea que todavía no reconectó). El handler decide hasta cuándo.
+ */
+export function deferJobError(message, delayMs = 60_000) {
+  return Object.assign(new Error(message), { deferMs: delayMs });
+}
+
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Inserta un trabajo. Con `dedupe_key` no se duplica: si ya existe devuelve la fila existente.
+ * Devuelve null si no se pudo guardar (el llamador decide si procesa en línea).
+ */
+export async function enqueueJob(type, payload = {}, { project_id = null, run_at = null, max_attempts = JOB_MAX_ATTEMPTS, dedupe_key = null } = {}) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from("jobs")
+    .insert({
+      type,
+      project_id,
+      payload,
+      status: "pending",
+      attempts: 0,
+      max_attempts,
+      run_at: run_at || now,
+      dedupe_key,
+      created_at: now,
+      updated_at: now,
+    })
+    .select()
+    .maybeSingle();
+
+  if (error?.code === "23505" && dedupe_key) {
+    const { data: existing } = await supabase.from("jobs").select("*").eq("dedupe_key", dedupe_key).maybeSingle();
+    return existing || null;
+  }
+  if (error) {
+    console.error("[jobs] insert error:", error);
+    return null;
+  }
+
+  wakeJobWorker();
+  return data;
+}
+
+async function finishJob(job, patch) {
+  const { error } = await supabase
+    .from("jobs")
+    .update({ ...patch, locked_at: null, locked_by: null, updated_at: new Date().toISOString() })
+    .eq("id", job.id)
+    .eq("locked_by", WORKER_ID);
+  if (error) console.error("[jobs] update error:", error);
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  const startedAt = Date.now();
+
+  try {
+    if (job.attempts > job.max_attempts) {
+      throw permanentJobError("max_attempts");
+    }
+    const result = await handler(job);
+    await finishJob(job, {
+      status: "done",
+      result: result ?? null,
+      last_error: null,
+      finished_at: new Date().toISOString(),
+    });
+    console.log(`[jobs] ✅ ${job.type} ${job.id} (${Date.now() - startedAt}ms)`);
+  } catch (e) {
+    const last_error = String(e?.message || e).slice(0, 2000);
+    if (e?.deferMs != null && e.permanent !== true) {
+      // claim_jobs ya sumó el intento: se devuelve
+      await finishJob(job, {
+        status: "pending",
+        attempts: Math.max(0, job.attempts - 1),
+        last_error,
+        run_at: new Date(Date.now() + e.deferMs).toISOString(),
+      });
+      console.log(`[jobs] ⏳ ${job.type} ${job.id} en espera (${last_error})`);
+      return;
+    }
+    const dead = e?.permanent === true || job.attempts >= job.max_attempts;
+    await finishJob(
+      job,
+      dead
+        ? { status: "dead", last_error, finished_at: new Date().toISOString() }
+        : { status: "pending", last_error, run_at: new Date(Date.now() + backoffMs(job.attempts)).toISOString() }
+    );
+    console.warn(`[jobs] ${job.type} ${job.id} → ${dead ? "dead" : "reintento"} (intento ${job.attempts}):`, last_error);
+  }
+}
+
+/** Reclama lo que entra en los slots libres y lo ejecuta sin bloquear al llamador. */
+async function tick() {
+  if (ticking || !handlers.size) return;
+  ticking = true;
+  try {
+    const free = JOB_CONCURRENCY - running;
+    if (free <= 0) return;
+
+    const { data: claimed, error } = await supabase.rpc("claim_jobs", {
+      p_worker: WORKER_ID,
+      p_limit: free,
+      p_types: [...handlers.keys()],
+    });
+    if (error) {
+      console.error("[jobs] claim error:", error);
+      return;
+    }
+
+    for (const job of claimed || []) {
+      running++;
+      runJob(job).finally(() => {
+        running--;
+        wakeJobWorker();
+      });
+    }
+  } finally {
+    ticking = false;
+  }
+}
+
+/** Despierta el worker ya (p.ej. al encolar) en vez de esperar al próximo poll. */
+export function wakeJobWorker() {
+  if (wakeTimer) return;
+  wakeTimer = setTimeout(() => {
+    wakeTimer = null;
+    tick().catch((e) => console.warn("[jobs] worker error:", e?.message || e));
+  }, 0);
+}
+
+export function startJobWorker(intervalMs = JOB_POLL_MS) {
+  wakeJobWorker();
+  return setInterval(() => {
+    tick().catch((e) => console.warn("[jobs] worker error:", e?.message || e));
+  }, intervalMs);
+}
+
+/** Vuelve a poner en cola un trabajo muerto (o pendiente) con los intentos en cero. */
+export async function retryJob(job) {
+  if (!["dead", "pending"].includes(job.status)) {
+    throw Object.assign(new Error("job_not_retryable"), { code: "job_not_retryable" });
+  }
+  const { data, error } = await supabase
+    .from("jobs")
+    .update({
+      status: "pending",
+      attempts: 0,
+      run_at: new Date().toISOString(),
+      finished_at: null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", job.id)
+    .eq("status", job.status)
+    .select()
+    .maybeSingle();
+  if (error) throw error;
+
+  wakeJobWorker();
+  return data;
+}
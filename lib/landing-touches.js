@@ -0,0 +1,171 @@
+// backend/lib/landing-touches.js
+import crypto from "crypto";
+import { supabase } from "./supabase.js";
+
+/* =========================
+   Toques de landing: lo que el navegador sabe (fbc/fbp/event_id del Pixel, gclid/_ga, ttclid/_ttp, IP, UA)
+   guardado con un token corto que viaja en el mensaje prellenado (`#t:TOKEN`).
+   Al llegar el chat, el token enlaza el contacto con su toque → CAPI con match alto
+   y el Lead deduplicado contra el Pixel de la landing.
+   ========================= */
+export const TOUCH_TAG_RE = /#t:([a-z0-9]{8})\b/i;
+
+const TOKEN_ALPHABET = "abcdefghijkmnpqrstuvwxyz23456789"; // sin 0/o/1/l
+const CLAIM_WINDOW_DAYS = 7;   // un token viejo ya no se enlaza
+const TOUCH_LOOKBACK_DAYS = 90; // para enriquecer eventos posteriores (Purchase)
+
+/** Token corto para mensajes prellenados (8 caracteres, sin ambiguos). */
+export function newShortToken() {
+  const bytes = crypto.randomBytes(8);
+  let s = "";
+  for (const b of bytes) s += TOKEN_ALPHABET[b % TOKEN_ALPHABET.length];
+  return s;
+}
+
+const clip = (v, max) => (v == null || v === "" ? null : String(v).trim().slice(0, max));
+
+/** fbc a partir del fbclid de la URL cuando el Pixel todavía no dejó la cookie _fbc. */
+export function fbcFromFbclid(fbclid, at = Date.now()) {
+  const id = clip(fbclid, 500);
+  return id ? `fb.1.${at}.${id}` : null;
+}
+
+/** client_id de GA4: acepta la cookie _ga completa ("GA1.1.123.456") o el id ya recortado. */
+export function gaClientId(v) {
+  const m = String(v || "").trim().match(/(\d+\.\d+)$/);
+  return m ? m[1] : null;
+}
+
+/**
+ * Registra un toque de la landing. `page` = { id, project_id, slug }.
+ * Devuelve la fila (con token) o null si no se pudo guardar.
+ */
+export async function createLandingTouch(
+  page,
+  { fbc, fbp, fbclid, event_id, gclid, gbraid, wbraid, ga_client_id, ttclid, ttp, client_ip, user_agent, country } = {}
+) {
+  const row = {
+    project_id: page.project_id,
+    page_id: page.id,
+    slug: page.slug || null,
+    fbc: clip(fbc, 500) || fbcFromFbclid(fbclid),
+    fbp: clip(fbp, 200),
+    fbclid: clip(fbclid, 500),
+    event_id: clip(event_id, 100),
+    gclid: clip(gclid, 500),
+    gbraid: clip(gbraid, 500),
+    wbraid: clip(wbraid, 500),
+    ga_client_id: gaClientId(ga_client_id),
+    ttclid: clip(ttclid, 500),
+    ttp: clip(ttp, 200),
+    client_ip: clip(client_ip, 64),
+    user_agent: clip(user_agent, 500),
+    country: /^[a-z]{2}$/i.test(country || "") ? country.toLowerCase() : null,
+    created_at: new Date().toISOString(),
+  };
+
+  // colisión de token (unique) → otro intento
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const { data, error } = await supabase
+      .from("landing_touches")
+      .insert({ ...row, token: newShortToken() })
+      .select()
+      .maybeSingle();
+    if (!error) return data;
+    if (error.code !== "23505") {
+      console.error("[landing_touches] insert error:", error);
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Enlaza el token del mensaje con el contacto (sólo la primera vez). Devuelve el toque
+ * o null si no existe, es de otro proyecto o venció.
+ */
+export async function claimLandingTouch(token, { project_id, contact }) {
+  if (!token || !contact) return null;
+  const since = new Date(Date.now() - CLAIM_WINDOW_DAYS * 86_400_000).toISOString();
+
+  const { data: touch, error } = await supabase
+    .from("landing_touches")
+    .select("*")
+    .eq("token", String(token).toLowerCase())
+    .gte("created_at", since)
+    .maybeSingle();
+
+  if (error) {
+    console.error("[landing_touches] select error:", error);
+    return null;
+  }
+  if (!touch || (project_id && touch.project_id !== project_id)) return null;
+  if (touch.contact && touch.contact !== contact) return null;
+  if (touch.contact) return touch;
+
+  const { data: claimed, error: upErr } = await supabase
+    .from("landing_touches")
+    .update({ contact, claimed_at: new Date().toISOString() })
+    .eq("id", touch.id)
+    .is("contact", null)
+    .select()
+    .maybeSingle();
+  if (upErr) console.error("[landing_touches] claim error:", upErr);
+  return claimed || null;
+}
+
+/** Último toque enlazado al contacto en el proyecto (para eventos posteriores al chat). */
+export async function latestTouchForContact(project_id, contact) {
+  if (!project_id || !contact) return null;
+  const since = new Date(Date.now() - TOUCH_LOOKBACK_DAYS * 86_400_000).toISOString();
+
+  const { data, error } = await supabase
+    .from("landing_touches")
+    .select("*")
+    .eq("project_id", project_id)
+    .eq("contact", contact)
+    .gte("claimed_at", since)
+    .order("claimed_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.error("[landing_touches] latest error:", error);
+    return null;
+  }
+  return data || null;
+}
+
+/**
+ * Datos de usuario para CAPI: teléfono, nombre (wa_contact_names) y lo que dejó la landing.
+ * `touch` opcional (si ya se tiene a mano, p. ej. recién reclamado).
+ */
+export async function capiUserForContact(project_id, contact, { touch = undefined } = {}) {
+  if (!contact) return null;
+
+  const [t, nameRow] = await Promise.all([
+    touch !== undefined ? touch : latestTouchForContact(project_id, contact),
+    project_id
+      ? supabase
+          .from("wa_contact_names")
+          .select("name")
+          .eq("project_id", project_id)
+          .eq("phone", contact)
+          .maybeSingle()
+          .then(({ data }) => data, () => null)
+      : null,
+  ]);
+
+  return {
+    phone: contact,
+    name: nameRow?.name || null,
+    country: t?.country || null,
+    fbc: t?.fbc || null,
+    fbp: t?.fbp || null,
+    client_ip_address: t?.client_ip || null,
+    client_user_agent: t?.user_agent || null,
+    ga_client_id: t?.ga_client_id || null,
+    ttclid: t?.ttclid || null,
+    ttp: t?.ttp || null,
+  };
+}
@@ -0,0 +1,179 @@
+// backend/lib/line-routing.js
+import { supabase } from "./supabase.js";
+
+/* =========================
+   Rotación de líneas: reparte los clientes de una página/proyecto entre sus números conectados.
+   Round-robin ponderado (lines.routing_weight; 0 = fuera de rotación) con tope de derivaciones
+   por línea en 24 h (lines.routing_daily_cap; null = sin tope). Una derivación cuenta cuando el
+   chat llega a la línea (recordLineRouting → line_routings), no cuando se entrega el link: pedir
+   números al endpoint público no gasta cupo. Los links en camino pueden pasar el tope por poco.
+   La salud la decide quien llama (estado en memoria del cliente de WhatsApp) + whatsapp_sessions.wa_status;
+   sin líneas listas en memoria (proceso recién arrancado o líneas en otro proceso) vale lines.status.
+   ========================= */
+const CONFIG_CACHE_MS = 30_000;
+const COUNT_CACHE_MS  = 60_000;
+const CAP_WINDOW_MS   = 24 * 3_600_000;
+
+const configCache = new Map(); // project_id -> { value: { lines, sessions }, exp }
+const pageCache   = new Map(); // page_id -> { value: routing_line_ids | null, exp }
+const countCache  = new Map(); // line_id -> { n, exp } chats derivados en las últimas 24 h
+const rrState     = new Map(); // "project:page" -> Map(line_id -> peso acumulado)
+
+export function invalidateLineRouting(project_id) {
+  configCache.delete(project_id);
+  pageCache.clear();
+}
+
+async function loadProjectRouting(project_id) {
+  const hit = configCache.get(project_id);
+  if (hit && hit.exp > Date.now()) return hit.value;
+
+  const [linesRes, sessRes] = await Promise.all([
+    supabase
+      .from("lines")
+      .select("id, phone, status, routing_weight, routing_daily_cap")
+      .eq("project_id", project_id),
+    supabase
+      .from("whatsapp_sessions")
+      .select("line_id, wa_status")
+      .eq("project_id", project_id),
+  ]);
+  if (linesRes.error) console.error("[line-routing] lines error:", linesRes.error);
+  if (sessRes.error) console.error("[line-routing] sessions error:", sessRes.error);
+
+  const value = {
+    lines: linesRes.data || [],
+    sessions: new Map((sessRes.data || []).map((s) => [s.line_id, s.wa_status])),
+  };
+  configCache.set(project_id, { value, exp: Date.now() + CONFIG_CACHE_MS });
+  return value;
+}
+
+async function loadPageLines(page_id) {
+  if (!page_id) return null;
+  const hit = pageCache.get(page_id);
+  if (hit && hit.exp > Date.now()) return hit.value;
+
+  const { data, error } = await supabase
+    .from("pages")
+    .select("routing_line_ids")
+    .eq("id", page_id)
+    .maybeSingle();
+  if (error) console.error("[line-routing] page error:", error);
+
+  const value = data?.routing_line_ids?.length ? data.routing_line_ids : null;
+  pageCache.set(page_id, { value, exp: Date.now() + CONFIG_CACHE_MS });
+  return value;
+}
+
+async function routedLast24h(line_id) {
+  const hit = countCache.get(line_id);
+  if (hit && hit.exp > Date.now()) return hit.n;
+
+  const since = new Date(Date.now() - CAP_WINDOW_MS).toISOString();
+  const { count, error } = await supabase
+    .from("line_routings")
+    .select("id", { count: "exact", head: true })
+    .eq("line_id", line_id)
+    .gte("created_at", since);
+  if (error) console.error("[line_routings] count error:", error);
+
+  const n = count || 0;
+  countCache.set(line_id, { n, exp: Date.now() + COUNT_CACHE_MS });
+  return n;
+}
+
+/** Round-robin ponderado suave (cada línea sale en proporción a su peso, sin ráfagas). */
+function weightedPick(key, candidates) {
+  let state = rrState.get(key);
+  if (!state) rrState.set(key, (state = new Map()));
+
+  let total = 0;
+  let best = null;
+  for (const c of candidates) {
+    const cur = (state.get(c.line_id) || 0) + c.weight;
+    state.set(c.line_id, cur);
+    total += c.weight;
+    if (!best || cur > state.get(best.line_id)) best = c;
+  }
+  state.set(best.line_id, state.get(best.line_id) - total);
+  return best;
+}
+
+/**
+ * Elige la línea a la que mandar al cliente. `live` = [{ line_id, phone }] con las líneas del
+ * proyecto que están listas en memoria; si no hay ninguna se toman las "connected" en la DB.
+ * Descarta las que la DB da por desconectadas, las de peso 0, las que no están en
+ * pages.routing_line_ids (si la página lo define) y las que llegaron a su tope.
+ * Devuelve { line_id, phone } o null.
+ */
+export async function pickRoutedLine({ project_id, page_id = null, live = [] }) {
+  if (!project_id) return null;
+
+  const [{ lines: rows, sessions }, pageLines] = await Promise.all([
+    loadProjectRouting(project_id),
+    loadPageLines(page_id),
+  ]);
+  const byId = new Map(rows.map((r) => [r.id, r]));
+  const pool = live.length
+    ? live
+    : rows.filter((r) => r.status === "connected" && r.phone).map((r) => ({ line_id: r.id, phone: r.phone }));
+
+  const candidates = [];
+  for (const l of pool) {
+    const row = byId.get(l.line_id);
+    if (!row || !l.phone) continue;
+    if (pageLines && !pageLines.includes(l.line_id)) continue;
+    const wa = sessions.get(l.line_id);
+    if (wa && wa !== "connected") continue;
+    const weight = row.routing_weight ?? 1;
+    if (weight <= 0) continue;
+    if (row.routing_daily_cap != null && (await routedLast24h(l.line_id)) >= row.routing_daily_cap) continue;
+    candidates.push({ line_id: l.line_id, phone: l.phone, weight });
+  }
+  if (!candidates.length) return null;
+
+  const pick = weightedPick(`${project_id}:${page_id || "*"}`, candidates);
+  return { line_id: pick.line_id, phone: pick.phone };
+}
+
+/**
+ * Registra un chat que llegó a la línea desde un link de derivación (mensaje con #p/#c/#t).
+ * `source` = 'redirect' (click en /r/:slug) | 'landing' (toque de landing) | 'tag' (sólo #p:).
+ * Un mismo contacto cuenta una sola vez por línea en la ventana del tope: si vuelve a escribir
+ * con el tag no se registra de nuevo.
+ */
+export async function recordLineRouting({ project_id, page_id = null, line_id, contact = null, source = "tag" }) {
+  if (!project_id || !line_id) return;
+
+  if (contact) {
+    const since = new Date(Date.now() - CAP_WINDOW_MS).toISOString();
+    const { data: prev, error: prevErr } = await supabase
+      .from("line_routings")
+      .select("id")
+      .eq("line_id", line_id)
+      .eq("contact", contact)
+      .gte("created_at", since)
+      .limit(1);
+    if (prevErr) console.error("[line_routings] lookup error:", prevErr);
+    if (prev?.length) return;
+  }
+
+  const hit = countCache.get(line_id);
+  if (hit) hit.n++;
+  const { error } = await supabase.from("line_routings").insert({
+    project_id,
+    page_id,
+    line_id,
+    contact,
+    source,
+    created_at: new Date().toISOString(),
+  });
+  if (error) console.error("[line_routings] insert error:", error);
+}
+
+/** Link wa.me con el texto prellenado. */
+export function waMeLink(phone, text = null) {
+  const base = `https://wa.me/${String(phone).replace(/\D+/g, "")}`;
+  return text ? `${base}?text=${encodeURIComponent(text)}` : base;
+}
@@ -0,0 +1,89 @@
+// backend/lib/phone.js
+
+/* =========================
+   Teléfonos de contactos en un solo formato: E.164 sin "+" (como los JID de WhatsApp),
+   así el mismo cliente no queda partido en leads/agenda por cómo se escribió el número.
+   Reglas por país enchufables (registerPhoneRules); Argentina viene de fábrica.
+   ========================= */
+const DEFAULT_COUNTRY = (process.env.DEFAULT_PHONE_COUNTRY || "ar").toLowerCase();
+
+// país -> { calling_code, significant(rest) => número nacional normalizado | null }
+const PHONE_RULES = new Map();
+
+/**
+ * Registra las reglas de un país. `significant` recibe los dígitos después del código de país
+ * (o el número nacional tal cual se escribió) y devuelve el número nacional canónico o null.
+ */
+export function registerPhoneRules(country, { calling_code, significant }) {
+  PHONE_RULES.set(String(country).toLowerCase(), { calling_code: String(calling_code), significant });
+}
+
+/**
+ * Argentina: los celulares en WhatsApp son 54 9 + área + abonado (10 dígitos entre ambos).
+ *   0341 15 1234567 · 341 15 1234567 · +54 341 15 1234567 · +54 9 341 1234567 → 5493411234567
+ * El "15" va después del código de área (2 a 4 dígitos); el "0" es el prefijo de larga distancia.
+ * Ningún código de área empieza con 15: "15 1234 5678" es un celular sin área, ambiguo → null.
+ */
+function argentinaSignificant(rest) {
+  let d = rest.replace(/^0/, "");
+  if (d.startsWith("9") && (d.length === 11 || d.length === 13)) d = d.slice(1);
+  if (d.length === 12) {
+    const at = [2, 3, 4].find((i) => d.slice(i, i + 2) === "15");
+    if (at == null) return null;
+    d = d.slice(0, at) + d.slice(at + 2);
+  }
+  return d.length === 10 && !d.startsWith("15") ? `9${d}` : null;
+}
+
+registerPhoneRules("ar", { calling_code: "54", significant: argentinaSignificant });
+
+// contactos que WhatsApp sólo identifica por LID (sin teléfono conocido): "lid:<id>"
+export const LID_CONTACT_PREFIX = "lid:";
+export const isLidContact = (v) => String(v || "").startsWith(LID_CONTACT_PREFIX);
+
+const plausible = (d) => (d.length >= 8 && d.length <= 15 ? d : null);
+
+/**
+ * Normaliza un teléfono escrito a mano (API, formularios). Devuelve E.164 sin "+" o null.
+ * Sin "+"/"00" y sin el código del país por defecto, se toma como número nacional de ese país.
+ */
+export function normalizePhone(raw, { country = DEFAULT_COUNTRY } = {}) {
+  const s = String(raw ?? "").trim();
+  if (isLidContact(s)) return null;
+  let d = s.replace(/\D+/g, "");
+  if (!d) return null;
+
+  let intl = s.startsWith("+");
+  if (!intl && d.startsWith("00")) {
+    d = d.slice(2);
+    intl = true;
+  }
+
+  const home = PHONE_RULES.get(String(country).toLowerCase());
+  if (!intl && home) {
+    if (!d.startsWith(home.calling_code)) {
+      const n = home.significant(d);
+      return n ? home.calling_code + n : null;
+    }
+    intl = true;
+  }
+
+  for (const rules of PHONE_RULES.values()) {
+    if (!d.startsWith(rules.calling_code)) continue;
+    const n = rules.significant(d.slice(rules.calling_code.length));
+    if (n) return rules.calling_code + n;
+  }
+  return plausible(d);
+}
+
+/**
+ * Contacto a partir de un JID de WhatsApp ("5493411234567@c.us"): los dígitos ya son E.164
+ * tal cual los registra WhatsApp (incluye líneas fijas de cuentas Business), no se reescriben.
+ * Un JID "@lid" da el id estable "lid:<id>" (resolverlo a teléfono es cosa de lib/wa-lid.js).
+ */
+export function contactFromJid(jid) {
+  const [userPart, server = ""] = String(jid || "").toLowerCase().split("@");
+  const user = userPart.split(":")[0].replace(/\D+/g, "");
+  if (server === "lid") return user ? LID_CONTACT_PREFIX + user : null;
+  return plausible(user);
+}
@@ -0,0 +1,119 @@
+// backend/lib/public-url.js
+import dns from "dns";
+import net from "net";
+import https from "https";
+import fetch from "node-fetch";
+
+/* =========================
+   Pedidos salientes a URLs que manda un usuario (media por URL, webhooks):
+   sólo https y sólo a direcciones públicas, así nadie usa el servidor para llegar a la red
+   interna o al endpoint de metadata de la nube. La dirección se valida en el lookup del agente
+   (vale también para redirecciones y para un DNS que cambia entre chequeo y conexión).
+   ========================= */
+
+// [red, bits] IPv4 no ruteables / internas
+const BLOCKED_V4 = [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],   // CGNAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],  // link-local (metadata de la nube)
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],     // multicast
+  ["240.0.0.0", 4],     // reservada + broadcast
+];
+
+const v4ToInt = (ip) => ip.split(".").reduce((n, o) => n * 256 + Number(o), 0);
+
+function isPublicV4(ip) {
+  const n = v4ToInt(ip);
+  return !BLOCKED_V4.some(([net4, bits]) => {
+    const size = 2 ** (32 - bits);
+    const base = v4ToInt(net4);
+    return n >= base && n < base + size;
+  });
+}
+
+function isPublicV6(ip) {
+  const a = ip.toLowerCase();
+  // IPv4 embebida (::ffff:a.b.c.d, 64:ff9b::a.b.c.d) → se evalúa la IPv4
+  const v4 = a.match(/^(?:::ffff:|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/);
+  if (v4) return isPublicV4(v4[1]);
+  if (a === "::" || a === "::1" || a.startsWith("::ffff:")) return false;
+  const first = parseInt(a.split(":")[0] || "0", 16);
+  if ((first & 0xfe00) === 0xfc00) return false;  // fc00::/7 única local
+  if ((first & 0xffc0) === 0xfe80) return false;  // fe80::/10 link-local
+  if ((first & 0xff00) === 0xff00) return false;  // multicast
+  return true;
+}
+
+export function isPublicAddress(ip) {
+  const v = net.isIP(ip);
+  if (v === 4) return isPublicV4(ip);
+  if (v === 6) return isPublicV6(ip);
+  return false;
+}
+
+const urlNotAllowed = (detail) =>
+  Object.assign(new Error(`url no permitida: ${detail}`), { code: "url_not_allowed" });
+
+// lookup del agente: resuelve y rechaza si alguna dirección no es pública
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const bad = addresses.find((a) => !isPublicAddress(a.address));
+    if (bad) return callback(urlNotAllowed(`${hostname} → ${bad.address}`));
+    if (options?.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const publicAgent = new https.Agent({ lookup: publicLookup });
+
+/** Valida esquema y host (https + direcciones públicas). Devuelve el URL o tira `url_not_allowed`. */
+export async function assertPublicHttpsUrl(raw) {
+  let u;
+  try {
+    u = new URL(String(raw || ""));
+  } catch {
+    throw urlNotAllowed("url inválida");
+  }
+  if (u.protocol !== "https:") throw urlNotAllowed("sólo https");
+  if (u.username || u.password) throw urlNotAllowed("credenciales en la url");
+
+  const host = u.hostname.replace(/^\[|\]$/g, "");
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await dns.promises.lookup(host, { all: true }).catch(() => {
+        throw urlNotAllowed(`no resuelve ${host}`);
+      });
+  const bad = addresses.find((a) => !isPublicAddress(a.address));
+  if (bad) throw urlNotAllowed(`${host} → ${bad.address}`);
+  return u;
+}
+
+/**
+ * fetch a una URL pública por https (también en cada redirección).
+ * `maxBytes` corta el cuerpo al pasarse (FetchError type "max-size"); `timeoutMs` aborta el pedido.
+ */
+export async function fetchPublicUrl(raw, { maxBytes = 0, timeoutMs = 15_000, ...init } = {}) {
+  const u = await assertPublicHttpsUrl(raw);
+  return fetch(u.href, {
+    ...init,
+    size: maxBytes,
+    signal: AbortSignal.timeout(timeoutMs),
+    agent: (parsed) => {
+      if (parsed.protocol !== "https:") throw urlNotAllowed("redirección fuera de https");
+      // con una IP literal no hay lookup: se valida acá
+      const host = parsed.hostname.replace(/^\[|\]$/g, "");
+      if (net.isIP(host) && !isPublicAddress(host)) throw urlNotAllowed(host);
+      return publicAgent;
+    },
+  });
+}
@@ -0,0 +1,34 @@
+// backend/lib/rate-limit.js
+
+/* =========================
+   Límite de pedidos por IP para endpoints públicos (ventana fija, en memoria).
+   req.ip ya viene resuelto por "trust proxy" (X-Forwarded-For del proxy de adelante).
+   ========================= */
+const SWEEP_EVERY_MS = 60_000;
+
+/**
+ * Middleware: hasta `max` pedidos por IP cada `windowMs`. Pasado el tope responde
+ * 429 { ok:false, error:"rate_limited" } con Retry-After (segundos).
+ */
+export function rateLimitByIp({ windowMs = 60_000, max = 30 } = {}) {
+  const hits = new Map(); // ip -> { n, reset }
+  let nextSweep = Date.now() + SWEEP_EVERY_MS;
+
+  return (req, res, next) => {
+    const now = Date.now();
+    if (now >= nextSweep) {
+      for (const [ip, h] of hits) if (h.reset <= now) hits.delete(ip);
+      nextSweep = now + SWEEP_EVERY_MS;
+    }
+
+    const ip = req.ip || req.socket?.remoteAddress || "unknown";
+    let h = hits.get(ip);
+    if (!h || h.reset <= now) hits.set(ip, (h = { n: 0, reset: now + windowMs }));
+
+    if (++h.n > max) {
+      res.set("Retry-After", String(Math.ceil((h.reset - now) / 1000)));
+      return res.status(429).json({ ok: false, error: "rate_limited" });
+    }
+    next();
+  };
+}
@@ -0,0 +1,205 @@
+// backend/lib/receipts/accounts.js
+import { supabase } from "../supabase.js";
+
+/* =========================
+   Cuentas receptoras del proyecto: ¿el comprobante es una transferencia a nosotros?
+   matched    → el destino es un CBU/CVU, alias o CUIT nuestro, o el titular (2+ palabras) coincide
+   mismatched → el destino trae identificadores (o un nombre claro) que no son nuestros
+   unknown    → no hay cuentas cargadas o el comprobante no dice a quién fue
+   ========================= */
+export const ACCOUNT_MATCH = ["matched", "mismatched", "unknown"];
+
+const NAME_MATCH_MIN = 0.8;     // desde acá el titular cuenta como nuestro
+const NAME_MISMATCH_MAX = 0.5;  // por debajo (y con nombre "limpio") es de otro
+
+const CACHE_MS = 60_000;
+const cache = new Map(); // project_id -> { rows, exp }
+
+export async function loadReceivingAccounts(project_id) {
+  if (!project_id) return [];
+  const hit = cache.get(project_id);
+  if (hit && hit.exp > Date.now()) return hit.rows;
+
+  const { data, error } = await supabase
+    .from("project_receiving_accounts")
+    .select("id, label, cbu, alias, cuit, holder_name")
+    .eq("project_id", project_id)
+    .eq("active", true);
+  if (error) console.error("[project_receiving_accounts] select error:", error);
+
+  const rows = data || [];
+  cache.set(project_id, { rows, exp: Date.now() + CACHE_MS });
+  return rows;
+}
+
+export function invalidateReceivingAccounts(project_id) {
+  cache.delete(project_id);
+}
+
+const digits = (s) => String(s || "").replace(/\D+/g, "");
+const normAlias = (s) => String(s || "").trim().toLowerCase();
+
+// sin tildes, minúsculas, sin sufijos societarios ni signos
+const COMPANY_SUFFIX = /\b(s\.?r\.?l|s\.?a\.?s?|s\.?a|sociedad|anonima|responsabilidad|limitada)\b\.?/g;
+export function normalizeHolderName(s) {
+  return String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(COMPANY_SUFFIX, " ")
+    .replace(/[^a-zñ ]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+const ratio = (a, b) => 1 - levenshtein(a, b) / Math.max(a.length, b.length, 1);
+
+/**
+ * Similitud 0..1 tolerante a ruido de OCR y a nombres recortados
+ * ("lvarez" ~ "Martin Alvarez", "Perez Juan" ~ "Juan Perez").
+ */
+export function nameSimilarity(a, b) {
+  const x = normalizeHolderName(a);
+  const y = normalizeHolderName(b);
+  if (!x || !y) return 0;
+
+  const whole = ratio(x, y);
+
+  // cada palabra del nombre más corto contra la mejor del otro
+  const [short, long] = x.split(" ").length <= y.split(" ").length ? [x, y] : [y, x];
+  const longTokens = long.split(" ");
+  const tokenScores = short.split(" ").map((t) => Math.max(...longTokens.map((u) => ratio(t, u))));
+  const tokens = tokenScores.reduce((s, v) => s + v, 0) / tokenScores.length;
+
+  return Math.round(Math.max(whole, tokens) * 100) / 100;
+}
+
+// CBU/CVU con a lo sumo un dígito mal leído
+function sameCbu(a, b) {
+  if (a.length !== 22 || b.length !== 22) return false;
+  let diff = 0;
+  for (let i = 0; i < 22 && diff <= 1; i++) if (a[i] !== b[i]) diff++;
+  return diff <= 1;
+}
+
+// rótulos que abren el bloque del destinatario y los que lo cierran (concepto, referencia, origen…)
+const DEST_LABEL = /\b(?:para|destino|destinatario|beneficiario|receptor|acreditad[oa]\s+en)\b/gi;
+const OTHER_LABEL = /\b(?:concepto|motivo|referencia|descripci[oó]n|mensaje|comentario|nota|detalle|origen|de\s*:)/i;
+const DEST_WINDOW_LINES = 4;
+
+/**
+ * Tramos del texto que siguen a un rótulo de destino (hasta DEST_WINDOW_LINES renglones o el
+ * próximo rótulo ajeno). Un "para" dentro del concepto o la referencia no abre tramo.
+ */
+function destinationSnippets(text) {
+  const src = String(text || "");
+  const out = [];
+  for (const m of src.matchAll(DEST_LABEL)) {
+    const lineStart = src.lastIndexOf("\n", m.index) + 1;
+    if (OTHER_LABEL.test(src.slice(lineStart, m.index))) continue;
+
+    const lines = src.slice(m.index).split("\n").slice(0, DEST_WINDOW_LINES);
+    const cut = lines[0].slice(m[0].length).search(OTHER_LABEL);
+    const kept = [cut < 0 ? lines[0] : lines[0].slice(0, m[0].length + cut)];
+    for (const l of lines.slice(1)) {
+      if (OTHER_LABEL.test(l)) break;
+      kept.push(l);
+    }
+    out.push(kept.join("\n"));
+  }
+  return out;
+}
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// ¿aparece algún identificador de `acc` en `text`? Devuelve "cbu" | "alias" | "cuit" | null
+function identifierIn(acc, text) {
+  const found = [...text.matchAll(/\d[\d\s-]{9,}\d/g)].map((m) => digits(m[0]));
+  const cbu = digits(acc.cbu);
+  if (cbu && found.some((d) => d === cbu || sameCbu(d, cbu))) return "cbu";
+  const alias = normAlias(acc.alias);
+  if (alias && new RegExp(`(^|[^a-z0-9.-])${escapeRe(alias)}($|[^a-z0-9.-])`).test(text.toLowerCase())) return "alias";
+  const cuit = digits(acc.cuit);
+  if (cuit && found.includes(cuit)) return "cuit";
+  return null;
+}
+
+/**
+ * Clasifica el destino del comprobante contra las cuentas del proyecto.
+ * `fields` = { dest_account, dest_cuit, dest_name } (columnas de la conversión); `text` = texto combinado.
+ * Los identificadores se buscan primero en los campos de destino y, si no están, sólo cerca de un
+ * rótulo de destino del texto: un alias nuestro escrito en el concepto no alcanza.
+ * Devuelve { status, reason, account_id, similarity }.
+ */
+export function classifyReceivingAccount(fields = {}, accounts = [], text = "") {
+  if (!accounts.length) return { status: "unknown", reason: "no_accounts", account_id: null, similarity: null };
+
+  const destAccount = fields.dest_account ? String(fields.dest_account) : "";
+  const destDigits = digits(destAccount);
+  const destCuit = digits(fields.dest_cuit);
+
+  // 1) identificadores nuestros en los campos de destino
+  for (const acc of accounts) {
+    const cbu = digits(acc.cbu);
+    if (cbu && destDigits && (destDigits === cbu || sameCbu(destDigits, cbu))) {
+      return { status: "matched", reason: "cbu", account_id: acc.id, similarity: 1 };
+    }
+    const alias = normAlias(acc.alias);
+    if (alias && normAlias(destAccount) === alias) {
+      return { status: "matched", reason: "alias", account_id: acc.id, similarity: 1 };
+    }
+    const cuit = digits(acc.cuit);
+    if (cuit && destCuit === cuit) {
+      return { status: "matched", reason: "cuit", account_id: acc.id, similarity: 1 };
+    }
+  }
+
+  // 1b) … o en el bloque del destinatario del texto (el parser a veces no separa los campos)
+  const destText = destinationSnippets(text).join("\n");
+  if (destText) {
+    for (const acc of accounts) {
+      const reason = identifierIn(acc, destText);
+      if (reason) return { status: "matched", reason, account_id: acc.id, similarity: 1 };
+    }
+  }
+
+  // 2) titular: con una sola palabra ("Juan") cualquier titular que la contenga daría 1.0
+  const nameTokens = normalizeHolderName(fields.dest_name).split(" ").filter((t) => t.length >= 2);
+  let best = { account_id: null, similarity: 0 };
+  if (nameTokens.length >= 2) {
+    for (const acc of accounts) {
+      if (!acc.holder_name) continue;
+      const sim = nameSimilarity(fields.dest_name, acc.holder_name);
+      if (sim > best.similarity) best = { account_id: acc.id, similarity: sim };
+    }
+    if (best.similarity >= NAME_MATCH_MIN) return { status: "matched", reason: "holder_name", ...best };
+  }
+
+  // 3) el destino trae una cuenta / CUIT que no es ninguna de las nuestras
+  const destIsCbu = destDigits.length === 22;
+  if (destIsCbu || destCuit.length === 11) {
+    return { status: "mismatched", reason: destIsCbu ? "foreign_cbu" : "foreign_cuit", ...best };
+  }
+
+  // nombre legible (2+ palabras) y nada parecido a nuestros titulares
+  if (nameTokens.length >= 2 && accounts.some((a) => a.holder_name) && best.similarity < NAME_MISMATCH_MAX) {
+    return { status: "mismatched", reason: "foreign_holder", ...best };
+  }
+
+  return { status: "unknown", reason: "no_destination", ...best };
+}
@@ -0,0 +1,118 @@
+// backend/lib/receipts/fingerprint.js
+import crypto from "crypto";
+import { supabase } from "../supabase.js";
+
+/* =========================
+   Huellas de comprobantes (anti-duplicados) + caché de OCR por hash
+   ========================= */
+const AR_TZ = "America/Argentina/Buenos_Aires";
+
+export function mediaSha256(base64) {
+  return crypto.createHash("sha256").update(Buffer.from(base64 || "", "base64")).digest("hex");
+}
+
+/** Nº de operación comparable: sin separadores y en mayúsculas. Muy cortos no sirven de huella. */
+export function normalizeOperationNo(op) {
+  const s = String(op || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  return s.length >= 6 ? s : null;
+}
+
+/** Día (YYYY-MM-DD, hora argentina) de una fecha; por defecto hoy. */
+export function receiptDay(date = new Date()) {
+  return new Date(date).toLocaleDateString("en-CA", { timeZone: AR_TZ });
+}
+
+/**
+ * monto + fecha + cuenta de origen. Sin cuenta de origen no hay huella:
+ * dos clientes pagando el mismo monto el mismo día no son un duplicado.
+ */
+export function amountFingerprint({ amount, date, origin_account }) {
+  const acct = String(origin_account || "").toLowerCase().replace(/[^a-z0-9.]/g, "");
+  if (!Number.isFinite(amount) || amount <= 0 || !acct) return null;
+  return `${Number(amount).toFixed(2)}|${receiptDay(date || new Date())}|${acct}`;
+}
+
+/**
+ * Busca una conversión previa del proyecto con la misma huella.
+ * Orden: hash de la media → nº de operación → monto+fecha+origen.
+ * Devuelve { original, reason } o null.
+ */
+export async function findDuplicateConversion(project_id, { media_sha256 = null, operation_no = null, amount_fingerprint = null }) {
+  if (!project_id) return null;
+
+  const checks = [
+    ["media_sha256", media_sha256, "media_hash"],
+    ["operation_no_norm", normalizeOperationNo(operation_no), "operation_no"],
+    ["amount_fingerprint", amount_fingerprint, "amount_date_origin"],
+  ];
+
+  for (const [col, value, reason] of checks) {
+    if (!value) continue;
+    const { data, error } = await supabase
+      .from("analytics_conversions")
+      .select("id, contact, amount, created_at")
+      .eq("project_id", project_id)
+      .eq(col, value)
+      .order("created_at", { ascending: true })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      console.error(`[receipts] dup lookup (${col}) error:`, error);
+      continue;
+    }
+    if (data) return { original: data, reason };
+  }
+  return null;
+}
+
+/** Deja registro del duplicado enlazado a la conversión original (no crea conversión nueva). */
+export async function recordDuplicateReceipt({
+  project_id,
+  conversion_id,
+  reason,
+  contact,
+  line_id = null,
+  media_sha256 = null,
+  operation_no = null,
+  amount = null,
+  file_url = null,
+}) {
+  const { error } = await supabase.from("receipt_duplicates").insert({
+    project_id,
+    conversion_id,
+    reason,
+    contact,
+    line_id,
+    media_sha256,
+    operation_no,
+    amount,
+    file_url,
+    created_at: new Date().toISOString(),
+  });
+  if (error) console.error("[receipt_duplicates] insert error:", error);
+}
+
+/** Caché de OCR por hash de la media: { ocr_text, grid_amount, grid_region } o null. */
+export async function getCachedOcr(media_sha256) {
+  if (!media_sha256) return null;
+  const { data, error } = await supabase
+    .from("receipt_ocr_cache")
+    .select("ocr_text, grid_amount, grid_region")
+    .eq("media_sha256", media_sha256)
+    .maybeSingle();
+
+  if (error) {
+    console.error("[receipt_ocr_cache] select error:", error);
+    return null;
+  }
+  return data || null;
+}
+
+export async function putCachedOcr(media_sha256, patch) {
+  if (!media_sha256) return;
+  const { error } = await supabase
+    .from("receipt_ocr_cache")
+    .upsert({ media_sha256, ...patch, updated_at: new Date().toISOString() }, { onConflict: "media_sha256" });
+  if (error) console.error("[receipt_ocr_cache] upsert error:", error);
+}
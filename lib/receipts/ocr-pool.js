@@ -0,0 +1,189 @@
+// backend/lib/receipts/ocr-pool.js
+import * as TesseractNS from "tesseract.js";
+const Tesseract = TesseractNS.default || TesseractNS;
+
+/* =========================
+   Pool de workers Tesseract (long-lived, idioma fijo)
+   - OCR_POOL_SIZE workers como máximo, creados a demanda y reutilizados
+   - los trabajos que no entran esperan en cola FIFO
+   - cada trabajo fija sus parámetros (whitelist/PSM) sobre los defaults
+   ========================= */
+const POOL_SIZE = Math.max(1, Number(process.env.OCR_POOL_SIZE || 2));
+const OCR_LANGS = process.env.OCR_LANGS || "spa+eng";
+const JOB_TIMEOUT_MS = Number(process.env.OCR_JOB_TIMEOUT_MS || 60_000);
+const INIT_RETRY_MS = Number(process.env.OCR_INIT_RETRY_MS || 60_000);
+const LATENCY_WINDOW = 200;
+
+// defaults de tesseract.js; se reponen en cada trabajo porque setParameters persiste en el worker
+const DEFAULT_PARAMS = {
+  tessedit_char_whitelist: "",
+  tessedit_pageseg_mode: "6",
+  preserve_interword_spaces: "0",
+};
+
+const workers = []; // { id, worker: Promise<Worker>, busy }
+const queue = [];   // { image, params, resolve, reject, enqueuedAt }
+let nextWorkerId = 1;
+
+// tras un init fallido (p.ej. sin traineddata) no se crean workers nuevos por un rato
+let unavailableUntil = 0;
+let lastInitError = null;
+
+const stats = {
+  completed: 0,
+  failed: 0,
+  timeouts: 0,
+  workers_created: 0,
+  max_queue_depth: 0,
+  wait_ms: [],
+  run_ms: [],
+};
+
+function pushSample(arr, v) {
+  arr.push(v);
+  if (arr.length > LATENCY_WINDOW) arr.shift();
+}
+
+function spawnWorker() {
+  const slot = { id: nextWorkerId++, worker: null, busy: false };
+
+  // Si falla la carga del idioma, tesseract.js llama a errorHandler pero la promesa de
+  // createWorker nunca se resuelve: la carrera contra initFailed corta esa espera.
+  let failInit;
+  const initFailed = new Promise((_, reject) => { failInit = reject; });
+  slot.worker = Promise.race([
+    Tesseract.createWorker(OCR_LANGS, 1, {
+      errorHandler: (e) => {
+        console.warn(`[OCR pool] worker ${slot.id} error:`, e?.message || e);
+        failInit(e instanceof Error ? e : new Error(String(e)));
+      },
+    }),
+    initFailed,
+  ]);
+  slot.worker.catch((e) => {
+    console.error(`[OCR pool] worker ${slot.id} init error:`, e?.message || e);
+    lastInitError = String(e?.message || e);
+    unavailableUntil = Date.now() + INIT_RETRY_MS;
+    dropWorker(slot);
+  });
+
+  workers.push(slot);
+  stats.workers_created++;
+  return slot;
+}
+
+function dropWorker(slot) {
+  const i = workers.indexOf(slot);
+  if (i >= 0) workers.splice(i, 1);
+  slot.worker?.then((w) => w.terminate()).catch(() => {});
+}
+
+function withTimeout(promise, ms) {
+  if (!ms) return promise;
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(Object.assign(new Error("ocr_timeout"), { code: "ocr_timeout" })), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+async function runJob(slot, job) {
+  slot.busy = true;
+  const startedAt = Date.now();
+  pushSample(stats.wait_ms, startedAt - job.enqueuedAt);
+
+  try {
+    const worker = await slot.worker;
+    const data = await withTimeout(
+      (async () => {
+        await worker.setParameters({ ...DEFAULT_PARAMS, ...job.params });
+        const { data } = await worker.recognize(job.image);
+        return data;
+      })(),
+      JOB_TIMEOUT_MS
+    );
+    stats.completed++;
+    job.resolve(data);
+  } catch (e) {
+    stats.failed++;
+    if (e?.code === "ocr_timeout") {
+      // un worker colgado no se reutiliza: se descarta y el próximo trabajo crea otro
+      stats.timeouts++;
+      console.warn(`[OCR pool] worker ${slot.id} timeout (${JOB_TIMEOUT_MS}ms), se reemplaza`);
+      dropWorker(slot);
+    }
+    job.reject(e);
+  } finally {
+    pushSample(stats.run_ms, Date.now() - startedAt);
+    slot.busy = false;
+    drain();
+  }
+}
+
+function drain() {
+  if (queue.length && !workers.length && Date.now() < unavailableUntil) {
+    const err = Object.assign(new Error(`ocr_unavailable: ${lastInitError}`), { code: "ocr_unavailable" });
+    for (const job of queue.splice(0, queue.length)) {
+      stats.failed++;
+      job.reject(err);
+    }
+    return;
+  }
+  while (queue.length) {
+    let slot = workers.find((w) => !w.busy);
+    if (!slot && workers.length < POOL_SIZE) slot = spawnWorker();
+    if (!slot) return;
+    runJob(slot, queue.shift());
+  }
+}
+
+/**
+ * OCR de una imagen (Buffer/PNG) en el pool. `params` = parámetros Tesseract del trabajo
+ * (p.ej. tessedit_char_whitelist, tessedit_pageseg_mode). Devuelve `data` de Tesseract.
+ */
+export function recognizeOcr(image, params = {}) {
+  return new Promise((resolve, reject) => {
+    queue.push({ image, params, resolve, reject, enqueuedAt: Date.now() });
+    stats.max_queue_depth = Math.max(stats.max_queue_depth, queue.length);
+    drain();
+  });
+}
+
+function summarize(arr) {
+  if (!arr.length) return { avg: null, p95: null, max: null };
+  const sorted = [...arr].sort((a, b) => a - b);
+  return {
+    avg: Math.round(sorted.reduce((s, v) => s + v, 0) / sorted.length),
+    p95: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+    max: sorted[sorted.length - 1],
+  };
+}
+
+/** Métricas del pool: tamaño, ocupación, cola y latencias (espera / ejecución) de los últimos trabajos. */
+export function getOcrPoolStats() {
+  return {
+    size: POOL_SIZE,
+    langs: OCR_LANGS,
+    workers: workers.length,
+    busy: workers.filter((w) => w.busy).length,
+    queue_depth: queue.length,
+    max_queue_depth: stats.max_queue_depth,
+    completed: stats.completed,
+    failed: stats.failed,
+    timeouts: stats.timeouts,
+    workers_created: stats.workers_created,
+    wait_ms: summarize(stats.wait_ms),
+    run_ms: summarize(stats.run_ms),
+    sample_size: stats.run_ms.length,
+    unavailable_until: unavailableUntil > Date.now() ? new Date(unavailableUntil).toISOString() : null,
+    last_init_error: lastInitError,
+  };
+}
+
+/** Cierra los workers (scripts que tienen que terminar el proceso). */
+export async function terminateOcrPool() {
+  const all = workers.splice(0, workers.length);
+  await Promise.all(all.map((s) => s.worker.then((w) => w.terminate()).catch(() => {})));
+}
@@ -0,0 +1,191 @@
+// backend/lib/receipts/ocr.js
+import { toNumberARS } from "./parser.js";
+import { recognizeOcr } from "./ocr-pool.js";
+
+/* ===== OCR & parsers ===== */
+
+import * as pdfParseCjs from "pdf-parse";
+const pdfParse = pdfParseCjs.default || pdfParseCjs;
+
+// sharp opcional (mejora OCR en imágenes)
+let sharp = null;
+try {
+  const mod = await import("sharp");
+  sharp = mod.default || mod;
+} catch { /* opcional */ }
+
+// === OCR: imagen/PDF -> texto ===============================================
+// Caracteres del OCR de texto completo (los parsers y el baseline de eval se ajustaron con esto)
+const MAIN_OCR_WHITELIST = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz$.,:-/ ";
+
+export async function ocrFromMedia({ base64, mimetype }) {
+  try {
+    const buf = Buffer.from(base64 || "", "base64");
+    if (!buf.length) return "";
+
+    // PDFs
+    if (mimetype === "application/pdf" || /\.pdf$/i.test(mimetype || "")) {
+      try {
+        const { text } = await pdfParse(buf);
+        return (text || "").toString();
+      } catch (e) {
+        console.warn("[OCR] pdf-parse error:", e?.message || e);
+        return "";
+      }
+    }
+
+    // Imágenes: pre-proceso suave si sharp está disponible
+    let img = buf;
+    if (sharp && /^image\/(jpe?g|png|webp)$/i.test(mimetype || "")) {
+      try {
+        img = await sharp(buf)
+          .rotate() // endereza EXIF
+          .resize({ width: 1600, withoutEnlargement: true })
+          .grayscale()
+          .normalize()
+          .toFormat("png")
+          .toBuffer();
+      } catch (e) {
+        console.warn("[OCR] sharp pipeline error:", e?.message || e);
+      }
+    }
+
+    // Tesseract (pool), con los mismos parámetros que se usaban antes del pool
+    const data = await recognizeOcr(img, { tessedit_char_whitelist: MAIN_OCR_WHITELIST });
+    return data?.text || "";
+  } catch (e) {
+    console.warn("[OCR] error:", e?.message || e);
+    return "";
+  }
+}
+
+// Zona típica del monto en MP (header izq.): 4% → 70% del ancho, 8% → 48% del alto
+const AMOUNT_ZONE = { X0: 0.04, X1: 0.70, Y0: 0.08, Y1: 0.48 };
+
+/** Rectángulo (px, sin rotar por EXIF) donde la grilla busca el monto. */
+export function amountSearchZone(W, H) {
+  const { X0, X1, Y0, Y1 } = AMOUNT_ZONE;
+  return {
+    left: Math.floor(W * X0),
+    top: Math.floor(H * Y0),
+    width: Math.max(1, Math.floor(W * (X1 - X0))),
+    height: Math.max(1, Math.floor(H * (Y1 - Y0))),
+  };
+}
+
+/// === OCR extra: fallback agresivo por grilla (Mercado Pago) — v3 con triple-cero por tile ===
+export async function tryExtractAmountFromImage({ base64, mimetype }) {
+  const hit = await locateAmountInImage({ base64, mimetype });
+  return hit ? hit.amount : null;
+}
+
+/** Igual que tryExtractAmountFromImage pero devuelve también el tile donde apareció: { amount, region } o null. */
+export async function locateAmountInImage({ base64, mimetype }) {
+  if (!sharp) return null;
+  if (!/^image\/(jpe?g|png|webp)$/i.test(mimetype || "")) return null;
+
+  const buf = Buffer.from(base64 || "", "base64");
+  let W = 1200, H = 1800;
+  try {
+    const meta = await sharp(buf).metadata();
+    W = Math.max(1, meta.width  || W);
+    H = Math.max(1, meta.height || H);
+  } catch {}
+
+  // Grilla
+  const COLS = 4;
+  const ROWS = 6;
+
+  const zone = amountSearchZone(W, H);
+  const startX = zone.left;
+  const startY = zone.top;
+  const spanW  = zone.width;
+  const spanH  = zone.height;
+
+  const tileW  = Math.max(1, Math.floor(spanW / COLS));
+  const tileH  = Math.max(1, Math.floor(spanH / ROWS));
+
+  const padW = Math.floor(W * 0.08);
+  const padH = Math.floor(H * 0.04);
+
+  const NBSP = "\u00A0", NNSP = "\u202F";
+  const RE_$AMT   = new RegExp(String.raw`\$\s*([0-9][0-9.,\s${NBSP}${NNSP}]*)`);
+  const RE_GROUP  = new RegExp(String.raw`\b([1-9][0-9]{0,2}(?:[.\s${NBSP}${NNSP}][0-9]{3})+|[1-9][0-9]{4,})(?:[.,]\d{1,2})?\b`);
+  const RE_TRIPLE_ZERO_HINT = /[.,](?:0{3}|0{2}[oO]|0[oO]0|[oO]0{2})(?!\d)/;
+
+  const pipelines = [
+    i => i.grayscale().normalize().linear(1.35, -18),
+    i => i.grayscale().normalize().median(1).linear(1.5, -20).threshold(150),
+    i => i.grayscale().normalize().linear(1.8, -25).gamma(0.9),
+  ];
+
+  const readPiece = async (input) => {
+    for (const psm of [6, 7]) {
+      try {
+        const data = await recognizeOcr(input, {
+          tessedit_char_whitelist: "0123456789$., ",
+          tessedit_pageseg_mode: String(psm),
+          preserve_interword_spaces: "1",
+        });
+        const raw = (data?.text || "").trim();
+        if (!raw) continue;
+
+        const hasTripleZero = RE_TRIPLE_ZERO_HINT.test(raw);
+
+        let m = raw.match(RE_$AMT);
+        if (m) {
+          let v = toNumberARS(m[1]);
+          if (Number.isFinite(v) && v < 1000 && hasTripleZero) v *= 1000;
+          if (Number.isFinite(v) && v > 0) return v;
+        }
+
+        m = raw.match(RE_GROUP);
+        if (m) {
+          let v = toNumberARS(m[0]);
+          if (Number.isFinite(v) && v < 1000 && hasTripleZero) v *= 1000;
+          if (Number.isFinite(v) && v > 0) return v;
+        }
+      } catch {}
+    }
+    return null;
+  };
+
+  let best = null;
+  let region = null;
+
+  for (let r = 0; r < ROWS && !best; r++) {
+    for (let c = 0; c < COLS && !best; c++) {
+      const baseLeft = startX + c * tileW;
+      const baseTop  = startY + r * tileH;
+
+      const left = Math.max(0, baseLeft - Math.floor(padW / 2));
+      const top  = Math.max(0, baseTop  - Math.floor(padH / 2));
+
+      let width  = Math.min(tileW + padW, W - left);
+      let height = Math.min(tileH + padH, H - top);
+
+      if (!Number.isFinite(width) || !Number.isFinite(height)) continue;
+      width  = Math.floor(width);
+      height = Math.floor(height);
+      if (width <= 16 || height <= 16) continue;
+
+      try {
+        const resized = await sharp(buf)
+          .extract({ left, top, width, height })
+          .resize({ width: Math.max(600, width * 2), withoutEnlargement: false })
+          .toBuffer();
+
+        for (const make of pipelines) {
+          const png = await make(sharp(resized).clone()).toFormat("png").toBuffer();
+          const v = await readPiece(png);
+          if (Number.isFinite(v) && v > 0) {
+            best = best ? Math.max(best, v) : v;
+            region = { left, top, width, height };
+            break;
+          }
+        }
+      } catch {}
+    }
+  }
+  return best ? { amount: best, region } : null;
+}
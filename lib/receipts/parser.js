@@ -0,0 +1,691 @@
+// backend/lib/receipts/parser.js
+// Parsers de comprobantes (texto -> monto / proveedor / partes). Sin I/O: se usa también offline.
+import safeRegex from "safe-regex2";
+
+/* ======== Regex + parsers (Argentina) ======== */
+const RE_CUIT  = /\b\d{2}-?\d{8}-?\d\b/g;
+const RE_CBU   = /\b\d{22}\b/g;
+const RE_ALIAS = /\b[a-z0-9._-]{6,}\b/gi;
+// Nº de operación / referencia. Se lee el grupo 2 del primer match:
+// - sin /g (con /g, String#match devuelve sólo los matches completos y [2] era el tercero)
+// - el valor tiene que tener al menos un dígito: si no, "Número de operación de Mercado Pago 845…"
+//   devolvía "de" y "Código de identificación" devolvía "de"
+// - las etiquetas largas de Mercado Pago ("operación de Mercado Pago", "código de identificación")
+//   se saltean explícitamente; un salto genérico de palabras agarraría fechas ("Transacción aprobada 12/05")
+const RE_LABEL_SUFFIX = String.raw`(?:\s+de\s+(?:mercado\s*pago|identificaci[oó]n))?`;
+const RE_ID_VALUE     = String.raw`\s*[:\-]?\s*([A-Z0-9\-]*\d[A-Z0-9\-]*)`;
+const RE_REF   = new RegExp(String.raw`(referencia|ref\.?|c[oó]digo|cod\.?)` + RE_LABEL_SUFFIX + RE_ID_VALUE, "i");
+const RE_TXN   = new RegExp(String.raw`(operaci[oó]n|transacci[oó]n|nro\.?\s*op\.?)` + RE_LABEL_SUFFIX + RE_ID_VALUE, "i");
+const RE_BANK  =
+  /(banco\s+[A-Za-zÁÉÍÓÚÑ .]+|mercado\s*pago|mercado\s*libre|uala|u?al[aá]|santander|galicia|macro|naci[óo]n|provincia|bbva|patagonia|credicoop|brubank|hsbc|icbc|naranja\s*x|prex)/gi;
+
+/* ======== Bancos comunes (para detección automática) ======== */
+const RE_BANK_NAMES = [
+  { rx: /mercado\s*pago|mercado\s*libre/i, name: "Mercado Pago" },
+  { rx: /\bual[aá]\b/i,                     name: "Ualá" },
+  { rx: /\bsantander\b/i,                   name: "Santander" },
+  { rx: /\bgalicia\b/i,                     name: "Galicia" },
+  { rx: /\bbbva\b/i,                        name: "BBVA" },
+  { rx: /\bmacro\b/i,                       name: "Macro" },
+  { rx: /\bhsbc\b/i,                        name: "HSBC" },
+  { rx: /\bicbc\b/i,                        name: "ICBC" },
+  { rx: /\bnaci[óo]n\b|\bbna\b/i,           name: "Banco Nación" },
+  { rx: /\bpatagonia\b/i,                   name: "Patagonia" },
+  { rx: /\bcredicoop\b/i,                   name: "Credicoop" },
+  { rx: /\bbrubank\b/i,                     name: "Brubank" },
+  { rx: /\bnaranja\s*x\b/i,                 name: "Naranja X" },
+  { rx: /\bprex\b/i,                        name: "Prex" },
+];
+
+export function guessBank(text = "", banks = RE_BANK_NAMES) {
+  for (const b of banks) {
+    if (b.rx.test(text)) return b.name;
+  }
+  return null;
+}
+
+/* ======================
+   Monto en ARS robusto (v2)
+   ====================== */
+export const NBSP = "\u00A0";
+export const NNSP = "\u202F";
+const RE_SEP = new RegExp(`[.\\s${NBSP}${NNSP}]`, "g");
+
+export function toNumberARS(raw) {
+  if (raw == null) return null;
+
+  const original = String(raw);
+
+  let s = original
+    .replace(/(?<=\d)[oO](?=\d)/g, "0")
+    .replace(/[^\d.,\u00A0\u202F]/g, "")
+    .replace(/\u00A0|\u202F/g, " ")
+    .replace(/\s+/g, "")
+    .replace(/^[.,]+|[.,]+$/g, "");
+
+  if (!s) return null;
+
+  const hasOcrTripleZero =
+    /[.,](?:0{3}|0{2}[oO]|0[oO]0|[oO]0{2})(?!\d)/.test(original);
+
+  if (s.includes(".") && s.includes(",")) {
+    // el último separador es el decimal: 1.250,50 (AR) | 1,250.50 (US, comprobantes en dólares)
+    s = s.lastIndexOf(".") > s.lastIndexOf(",")
+      ? s.replace(/,/g, "")
+      : s.replace(/\./g, "").replace(",", ".");
+    const v = parseFloat(s);
+    return Number.isFinite(v) ? v : null;
+  }
+
+  if (s.includes(",")) {
+    const looksThousandsComma = /^\d{1,3}(?:,\d{3})+(?:,\d{1,2})?$/.test(s);
+    if (looksThousandsComma) {
+      const parts = s.split(",");
+      if (parts[parts.length - 1].length <= 2) {
+        const dec = parts.pop();
+        s = parts.join("") + "." + dec;
+      } else {
+        s = parts.join("");
+      }
+    } else {
+      s = s.replace(/\./g, "").replace(",", ".");
+    }
+    const v = parseFloat(s);
+    return Number.isFinite(v) ? v : null;
+  }
+
+  if (s.includes(".")) {
+    const parts = s.split(".");
+    const last = parts[parts.length - 1];
+
+    if (hasOcrTripleZero) {
+      s = s.replace(/\./g, "");
+      const v = parseFloat(s);
+      return Number.isFinite(v) ? v : null;
+    }
+
+    if (/^0{3}$/.test(last) || last.length === 3) {
+      s = s.replace(/\./g, "");
+      const v = parseFloat(s);
+      return Number.isFinite(v) ? v : null;
+    }
+
+    if (/^\d{1,3}(?:\.\d{3})+(?:\.\d{1,2})?$/.test(s)) {
+      const dec = parts.pop();
+      s = parts.join("") + "." + dec;
+      const v = parseFloat(s);
+      return Number.isFinite(v) ? v : null;
+    }
+
+    let v = parseFloat(s);
+
+    if (Number.isFinite(v) && v < 1000 && /\.0{3,}\b/.test(original)) {
+      v *= 1000;
+    }
+    return Number.isFinite(v) ? v : null;
+  }
+
+  const v = parseFloat(s);
+  return Number.isFinite(v) ? v : null;
+}
+
+/* ======================
+   Moneda (ARS por defecto; USD / U$S / US$ / USDT / dólar MEP)
+   ====================== */
+export const CURRENCIES = ["ARS", "USD", "USDT"];
+
+// monto mínimo creíble por moneda (en ARS < 50 suele ser basura de OCR; en USD no)
+export const MIN_AMOUNT_BY_CURRENCY = { ARS: 50, USD: 1, USDT: 1 };
+
+const RE_USD_MARK = String.raw`(?:u\s*\$\s*[sd]|us\s*\$|usd)`;
+// la moneda detrás del número tiene que estar en la misma línea ("250\nUSD" son dos datos distintos)
+const RE_USDT_AMOUNT = /\busdt\s*[0-9]|[0-9][ \t]*usdt\b/i;
+const RE_USD_AMOUNT = new RegExp(String.raw`${RE_USD_MARK}\s*[0-9]|[0-9][ \t]*(?:usd|d[oó]lares)\b`, "i");
+// "MEP" suelto no alcanza (aparece en razones sociales, códigos, etc.): tiene que ser "dólar MEP"
+const RE_USD_CONTEXT =
+  /d[oó]lar(?:es)?\s*mep\b|(?:cuenta|caja\s+de\s+ahorro|moneda)\s*(?:en\s*)?[:\-]?\s*(?:d[oó]lares|usd|u\$s)\b/i;
+
+/** Moneda del comprobante: primero la marca pegada al monto, después el contexto (cuenta en dólares / MEP). */
+export function detectCurrency(text = "") {
+  const t = String(text || "").replace(/\u00A0|\u202F/g, " ");
+  if (RE_USDT_AMOUNT.test(t)) return "USDT";
+  if (RE_USD_AMOUNT.test(t)) return "USD";
+  if (RE_USD_CONTEXT.test(t)) return "USD";
+  return "ARS";
+}
+
+// "U$S 1.250" / "USD 250" / "250 USD" → "$…" para que los detectores de monto lo vean
+function _currencyToDollarSign(s) {
+  return s
+    .replace(new RegExp(String.raw`\b${RE_USD_MARK}t?\s*(?=[0-9])`, "gi"), "$")
+    .replace(/([0-9][0-9.,]*)[ \t]*(?:usdt?|d[oó]lares)\b/gi, "$$$1");
+}
+
+// 🔎 Detector de monto muy tolerante
+export function findBestAmount(text = "", { minAmount = MIN_AMOUNT_BY_CURRENCY.ARS } = {}) {
+  if (!text) return null;
+
+  const norm = _currencyToDollarSign(String(text))
+    .replace(/\r/g, "")
+    .replace(/[‘’´`]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(new RegExp(`[${NBSP}${NNSP}]`, "g"), " ")
+    .replace(/S\s*\$/gi, "$")
+    .replace(/\bS\s*([0-9])/gi, "$$1")
+    .replace(/\bARS\s*/gi, "$");
+
+  const lines = norm.split(/\n+/).map(s => s.trim()).filter(Boolean);
+
+  const BAD_CTX =
+    /(cuit|cuil|cvu|cbu|coelsa|operaci[oó]n|transacci[oó]n|identificaci[oó]n|c[oó]digo|n[uú]mero|referencia)/i;
+
+  const KEY_NEAR =
+    /(comprobante|transferencia|motivo|mercado\s*pago|pagaste|enviaste|de\b|para\b|monto|importe|total)/i;
+
+  const toFloatFlexible = (raw) =>
+    toNumberARS(String(raw).replace(new RegExp(`[${NBSP}${NNSP}]`, "g"), " ").trim());
+
+  const candidates = [];
+  const pushCand = (v, prio) => {
+    if (Number.isFinite(v) && v >= minAmount && v <= 10_000_000) candidates.push({ v, prio });
+  };
+
+  const RE_CURRENCY_ANY = /\$\s*([0-9][0-9.,\s\u00A0\u202F]*)/g;
+
+  lines.forEach((line) => {
+    if (!line || BAD_CTX.test(line) || !/\$/.test(line)) return;
+    let m;
+    while ((m = RE_CURRENCY_ANY.exec(line)) !== null) {
+      const v = toFloatFlexible(m[1]);
+      pushCand(v, 6);
+    }
+  });
+
+  const RE_GROUPED_OR_LONG =
+    /\b([1-9][0-9]{0,2}(?:[.,\s\u00A0\u202F][0-9]{3})+|[1-9][0-9]{4,})(?:[.,]\d{1,2})?\b/g;
+
+  if (candidates.length === 0) {
+    lines.forEach((line, idx) => {
+      if (!line || BAD_CTX.test(line)) return;
+
+      let m;
+      while ((m = RE_GROUPED_OR_LONG.exec(line)) !== null) {
+        const raw = m[0];
+        if (!/[.,\s\u00A0\u202F]/.test(raw)) {
+          const asInt = parseInt(raw, 10);
+          if (asInt >= 1900 && asInt <= 2099) continue;
+        }
+        const v = toFloatFlexible(raw);
+
+        let bonus = 0;
+        for (let k = Math.max(0, idx - 3); k <= Math.min(lines.length - 1, idx + 3); k++) {
+          if (KEY_NEAR.test(lines[k])) {
+            const dist = Math.abs(k - idx);
+            bonus = Math.max(bonus, 3 - dist);
+          }
+        }
+        pushCand(v, 2 + bonus);
+      }
+    });
+  }
+
+  if (candidates.length === 0) return null;
+
+  const hasBig = candidates.some(c => c.v >= 1000);
+  const pool = hasBig ? candidates.filter(c => c.v >= 1000) : candidates;
+
+  pool.sort((a, b) => (b.prio - a.prio) || (b.v - a.v));
+  return pool[0].v ?? null;
+}
+
+/* ======================
+   Fecha/hora de la operación (hora Argentina, UTC-3 sin horario de verano)
+   ====================== */
+const MONTHS_ES = {
+  ene: 1, feb: 2, mar: 3, abr: 4, may: 5, jun: 6,
+  jul: 7, ago: 8, sep: 9, set: 9, oct: 10, nov: 11, dic: 12,
+};
+const RE_TIME = String.raw`(?:\s*(?:,|-|a\s+las|\|)?\s*(\d{1,2})[:.h](\d{2})(?::(\d{2}))?\s*(?:hs?\.?|h)?)?`;
+// 12/10/2026 14:32 · 12-10-26 · 12.10.2026
+const RE_DATE_NUM = new RegExp(String.raw`\b(\d{1,2})[/.\-](\d{1,2})[/.\-](\d{4}|\d{2})\b` + RE_TIME, "i");
+// 2026-10-12 14:32
+const RE_DATE_ISO = new RegExp(String.raw`\b(\d{4})-(\d{2})-(\d{2})(?:[T ]` + String.raw`(\d{2}):(\d{2})(?::(\d{2}))?)?`);
+// 12 de octubre de 2026 a las 14:32 hs · 12 oct. 2026 - 14:32
+const RE_DATE_TXT = new RegExp(
+  String.raw`\b(\d{1,2})\s*(?:de\s+)?(ene|feb|mar|abr|may|jun|jul|ago|sep|set|oct|nov|dic)[a-zé]*\.?\s*(?:de\s+|del\s+)?(\d{4})` + RE_TIME,
+  "i"
+);
+
+function _arDate(y, mo, d, h = 0, mi = 0, se = 0) {
+  if (y < 100) y += 2000;
+  if (mo < 1 || mo > 12 || d < 1 || d > 31 || h > 23 || mi > 59 || se > 59) return null;
+  const dt = new Date(Date.UTC(y, mo - 1, d, h + 3, mi, se)); // UTC-3 → UTC
+  // 31/02 y similares: Date los corre de mes
+  const back = new Date(dt.getTime() - 3 * 3600_000);
+  if (back.getUTCDate() !== d || back.getUTCMonth() !== mo - 1) return null;
+  return dt;
+}
+
+/**
+ * Fecha/hora impresa en el comprobante → Date (o null).
+ * Descarta lo imposible: antes de 2015 o más de 1 día en el futuro respecto de `now`.
+ */
+export function extractTxnDate(text = "", { now = new Date() } = {}) {
+  const t = String(text || "").replace(/\u00A0|\u202F/g, " ");
+  const candidates = [];
+
+  let m = t.match(RE_DATE_TXT);
+  if (m) candidates.push(_arDate(+m[3], MONTHS_ES[m[2].toLowerCase().slice(0, 3)], +m[1], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0)));
+  m = t.match(RE_DATE_NUM);
+  if (m) candidates.push(_arDate(+m[3], +m[2], +m[1], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0)));
+  m = t.match(RE_DATE_ISO);
+  if (m) candidates.push(_arDate(+m[1], +m[2], +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0)));
+
+  const max = new Date(now).getTime() + 24 * 3600_000;
+  return candidates.find((d) => d && d.getUTCFullYear() >= 2015 && d.getTime() <= max) || null;
+}
+
+// ===============================
+// 🧩 Parser por PLANTILLA + extractReceiptFields + scoreReceiptText
+// ===============================
+function _normTextForTpl(s = "") {
+  return _currencyToDollarSign(s || "")
+    .replace(/\r/g, "")
+    .replace(/\u00A0|\u202F/g, " ")
+    .replace(/[‘’´`]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/S\s*\$/gi, "$")
+    .replace(/\bS\s*([0-9])/gi, "$$1")
+    .replace(/ARS\s*/gi, "$")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function _extractAmountFromLine(line = "") {
+  const m = line.match(/(?:\$)\s*([0-9]{1,3}(?:[ .,\u00A0\u202F][0-9]{3})*(?:[.,][0-9]{1,2})?|[0-9]+(?:[.,][0-9]{1,2})?)/i);
+  if (!m) return null;
+  return toNumberARS(m[1]);
+}
+
+const TPLS = [
+  {
+    provider: "Mercado Pago",
+    test: /mercado\s*pago|mercado\s*libre|c[oó]digo de identificaci[oó]n|comprobante de transferencia|pagaste/i,
+    amountLine: /(?:pagaste|transferiste|monto|importe|total)\b/i,
+  },
+  {
+    provider: "Naranja X",
+    test: /naranja\s*x|enviaste/i,
+    amountLine: /(?:enviaste|monto|importe|total)\b/i,
+  },
+  {
+    provider: "Prex",
+    test: /\bprex\b|comprobante de transferencia/i,
+    amountLine: /(?:monto|importe|total|enviaste|transferiste)\b/i,
+  },
+  { provider: "Ualá", test: /ual[aá]\b|transferencia realizada|comprobante/i, amountLine: /(?:monto|importe|total|transferiste|transferencia)\b/i },
+  { provider: "Banco Naci[oó]n|BNA", test: /banco\s+naci[oó]n|bna\b|bna\+/i, amountLine: /(?:monto|importe|total)\b/i },
+  { provider: "Santander", test: /santander/i, amountLine: /(?:monto|importe|total)\b/i },
+  { provider: "Galicia", test: /galicia/i, amountLine: /(?:monto|importe|total)\b/i },
+];
+
+/* ======== Registro de plantillas (builtin + DB) ======== */
+export const BUILTIN_TEMPLATES = TPLS;
+export const BUILTIN_BANKS = RE_BANK_NAMES;
+
+const MAX_PATTERN_LEN = 500;
+
+/**
+ * ¿Grupo con alternativas repetido? (`(a|ab)*`, `(?:x|y)+`): safe-regex2 no lo ve y también
+ * puede hacer backtracking exponencial. Recorre el patrón salteando escapes y clases [..].
+ */
+function hasRepeatedAlternation(src) {
+  const stack = []; // por grupo abierto: ¿tiene "|" propio?
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (c === "\\") { i++; continue; }
+    if (c === "[") {
+      for (i++; i < src.length && src[i] !== "]"; i++) if (src[i] === "\\") i++;
+      continue;
+    }
+    if (c === "(") stack.push(false);
+    else if (c === "|" && stack.length) stack[stack.length - 1] = true;
+    else if (c === ")") {
+      const alt = stack.pop();
+      // sin tope o con tope alto; `{2}`/`{1,3}` no alcanzan para colgar nada
+      const q = src.slice(i + 1).match(/^(?:([*+])|\{(\d*)(,?)(\d*)\})/);
+      if (!alt || !q) continue;
+      const upper = q[1] ? Infinity : q[3] ? (q[4] ? Number(q[4]) : Infinity) : Number(q[2]);
+      if (upper > 10) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Las regex de plantillas corren sincrónicas en el event loop de todos los proyectos:
+ * nada de cuantificadores anidados (`(a+)+`) ni alternativas repetidas.
+ */
+function isSafeTemplatePattern(src) {
+  return safeRegex(src) && !hasRepeatedAlternation(src);
+}
+
+/**
+ * Fila de receipt_templates → plantilla compilada (misma forma que TPLS).
+ * Tira error con `code: "invalid_pattern"` y `field` si alguna regex no compila,
+ * o `code: "unsafe_pattern"` si puede colgar el proceso (ver isSafeTemplatePattern).
+ */
+export function compileTemplate(row = {}) {
+  const rx = (src, field) => {
+    if (src == null || src === "") return null;
+    if (String(src).length > MAX_PATTERN_LEN) {
+      throw Object.assign(new Error(`${field}: patrón demasiado largo`), { code: "invalid_pattern", field });
+    }
+    let re;
+    try {
+      re = new RegExp(String(src), "i");
+    } catch (e) {
+      throw Object.assign(new Error(`${field}: ${e.message}`), { code: "invalid_pattern", field });
+    }
+    if (!isSafeTemplatePattern(String(src))) {
+      throw Object.assign(new Error(`${field}: patrón con repeticiones anidadas (backtracking)`), { code: "unsafe_pattern", field });
+    }
+    return re;
+  };
+
+  const test = rx(row.detect_pattern, "detect_pattern");
+  if (!row.provider || !test) {
+    throw Object.assign(new Error("provider y detect_pattern requeridos"), { code: "invalid_template" });
+  }
+
+  return {
+    id: row.id || null,
+    provider: String(row.provider),
+    test,
+    amountLine: rx(row.amount_line_pattern, "amount_line_pattern") || /(?:monto|importe|total)\b/i,
+    fields: {
+      nameFrom:  rx(row.name_from_pattern, "name_from_pattern"),
+      nameTo:    rx(row.name_to_pattern, "name_to_pattern"),
+      cuit:      rx(row.cuit_pattern, "cuit_pattern"),
+      operation: rx(row.operation_pattern, "operation_pattern"),
+    },
+    bank: rx(row.bank_pattern, "bank_pattern"),
+  };
+}
+
+/**
+ * Plantillas compiladas (ya ordenadas por prioridad) + las builtin al final.
+ * Las que traen bank_pattern suman su proveedor a la detección de banco.
+ */
+export function buildTemplateRegistry(compiled = []) {
+  return {
+    templates: [...compiled, ...TPLS],
+    banks: [
+      ...compiled.filter((t) => t.bank).map((t) => ({ rx: t.bank, name: t.provider })),
+      ...RE_BANK_NAMES,
+    ],
+  };
+}
+
+// grupo 1 si existe, si no el match completo
+function _matchField(rx, s) {
+  const m = rx ? s.match(rx) : null;
+  if (!m) return null;
+  return String(m[1] ?? m[0]).trim() || null;
+}
+
+export function parseByTemplate(text = "", { templates = TPLS } = {}) {
+  if (!text) return { matched: false };
+
+  const norm = _normTextForTpl(text);
+  const lines = norm.split("\n").map(l => l.trim()).filter(Boolean);
+  const all = norm;
+
+  for (const tpl of templates) {
+    if (!tpl.test.test(all)) continue;
+
+    let best = null;
+    for (const ln of lines) {
+      if (tpl.amountLine.test(ln) || /\$/.test(ln)) {
+        const v = _extractAmountFromLine(ln);
+        if (Number.isFinite(v)) {
+          if (!best || v > best) best = v;
+        }
+      }
+    }
+
+    if (!best) {
+      const any = all.match(/(?:\$)\s*([0-9]{1,3}(?:[ .,\u00A0\u202F][0-9]{3})*(?:[.,][0-9]{1,2})?|[0-9]+(?:[.,][0-9]{1,2})?)/gi);
+      if (any) {
+        for (const hit of any) {
+          const mm = hit.match(/(?:\$)\s*([0-9., \u00A0\u202F]+)/i);
+          const v = mm ? toNumberARS(mm[1]) : null;
+          if (Number.isFinite(v)) {
+            if (!best || v > best) best = v;
+          }
+        }
+      }
+    }
+
+    if (Number.isFinite(best) && best > 0) {
+      const f = tpl.fields || {};
+      const cuit = _matchField(f.cuit, all) || (all.match(/\b\d{2}-?\d{8}-?\d\b/) || [null])[0];
+      const cvu  = (all.match(/\b\d{22}\b/) || [null])[0];
+
+      return {
+        matched: true,
+        template_id: tpl.id || null,
+        provider: tpl.provider,
+        amount: best,
+        fields: {
+          cuit,
+          cvu,
+          operation: _matchField(f.operation, all),
+          nameFrom: _matchField(f.nameFrom, all) ||
+            (all.match(/\bde[:\s]+([A-ZÁÉÍÓÚÑa-záéíóúñ .]+)/i) || [null, null])[1]?.trim() || null,
+          nameTo: _matchField(f.nameTo, all) ||
+            (all.match(/\bpara[:\s]+([A-ZÁÉÍÓÚÑa-záéíóúñ .]+)/i) || [null, null])[1]?.trim() || null,
+        },
+      };
+    }
+  }
+
+  return { matched: false };
+}
+
+export function extractReceiptFields(text = "", { templates = TPLS, banks = RE_BANK_NAMES } = {}) {
+  const out = {
+    amount: null,
+    txn_at: null,
+    concept: null,
+    transaction: null,
+    reference: null,
+    origin: { name: null, cuit: null, account: null, bank: null },
+    destination: { name: null, cuit: null, account: null, bank: null },
+  };
+  if (!text) return out;
+
+  const norm = _normTextForTpl(text);
+
+  // ====== Monto (usa plantilla y fallback robusto) ======
+  const tpl = parseByTemplate(text, { templates });
+  out.amount = Number.isFinite(tpl.amount) ? tpl.amount : findBestAmount(text) || null;
+
+  // ====== Fecha/hora de la operación ======
+  out.txn_at = extractTxnDate(text)?.toISOString() || null;
+
+  // ====== Concepto / Nº operación / Referencia ======
+  const mTxn = norm.match(RE_TXN);
+  if (mTxn) out.transaction = mTxn[2];
+  if (tpl?.fields?.operation) out.transaction = tpl.fields.operation;
+
+  const mRef = norm.match(RE_REF);
+  if (mRef) out.reference = mRef[2];
+
+  const mConcept = norm.match(/concepto\s*[:\-]?\s*(.+?)(?:\s{2,}|$)/i);
+  if (mConcept) out.concept = mConcept[1].trim().slice(0, 120);
+
+  // ====== Helpers de sección ======
+  const sliceBetween = (s, startRx, endRx) => {
+    const mStart = s.match(startRx);
+    if (!mStart) return null;
+    const from = mStart.index + mStart[0].length;
+    const rest = s.slice(from);
+    const mEnd = rest.match(endRx);
+    return rest.slice(0, mEnd ? mEnd.index : rest.length).trim() || null;
+  };
+
+  const firstNiceName = (blk) => {
+    if (!blk) return null;
+    const tag = blk.match(/(?:nombre|titular|beneficiario)\s*[:\-]\s*([A-ZÁÉÍÓÚÑa-záéíóúñ .]+)/i);
+    if (tag?.[1]) return tag[1].trim();
+    const dePara = blk.match(/\b(?:de|para|a)\s*[:\-]\s*([A-ZÁÉÍÓÚÑa-záéíóúñ .]+)/i);
+    if (dePara?.[1]) return dePara[1].trim();
+    const first = blk
+      .split(/\n+/)
+      .map((l) => l.trim())
+      .find((l) => /[A-Za-zÁÉÍÓÚÑáéíóúñ]/.test(l) && !/\d{5,}/.test(l));
+    return first || null;
+  };
+
+  const firstMatch = (rx, s) => {
+    const m = s?.match(rx);
+    return m ? m[0] : null;
+  };
+
+  const pickAccount = (blk) => {
+    if (!blk) return null;
+    const cbu = firstMatch(RE_CBU, blk);
+    if (cbu) return cbu;
+    const alias = blk.match(/(?:alias|cvu|cbu)\s*[:\-]?\s*([a-z0-9._-]{6,})/i);
+    if (alias?.[1]) return alias[1].trim();
+    const loneAlias = blk.match(RE_ALIAS);
+    if (loneAlias?.[0] && !/\d{10,}/.test(loneAlias[0])) return loneAlias[0];
+    return null;
+  };
+
+  const pickCuit = (blk) => {
+    const c = firstMatch(RE_CUIT, blk);
+    return c ? c.replace(/-/g, "") : null;
+  };
+
+  const pickBank = (blk) => guessBank(blk, banks) || firstMatch(RE_BANK, blk);
+
+  // ====== Intento por bloques "Origen" / "Destino" ======
+  const originBlk =
+    sliceBetween(
+      text,
+      /(origen\b|^|\n)\s*(?:origen|de|desde|emisor|remitente)\s*[:\-]?\s*/i,
+      /\b(destino|para|a\b|beneficiario|archivo|adjunto|comprobante)\b/i
+    ) ||
+    sliceBetween(
+      text,
+      /\bde\s*[:\-]?\s*/i,
+      /\b(para|destino|archivo|adjunto|comprobante)\b/i
+    );
+
+  const destBlk =
+    sliceBetween(
+      text,
+      /(destino\b|^|\n)\s*(?:destino|para|a|beneficiario|receptor)\s*[:\-]?\s*/i,
+      /\b(archivo|adjunto|comprobante)\b/i
+    ) ||
+    sliceBetween(
+      text,
+      /\b(para|a)\s*[:\-]?\s*/i,
+      /\b(archivo|adjunto|comprobante)\b/i
+    );
+
+  if (originBlk) {
+    out.origin.name = firstNiceName(originBlk);
+    out.origin.cuit = pickCuit(originBlk);
+    out.origin.account = pickAccount(originBlk);
+    out.origin.bank = pickBank(originBlk);
+  }
+  if (destBlk) {
+    out.destination.name = firstNiceName(destBlk);
+    out.destination.cuit = pickCuit(destBlk);
+    out.destination.account = pickAccount(destBlk);
+    out.destination.bank = pickBank(destBlk);
+  }
+
+  // ====== Fallback global si faltan datos ======
+  const allCuist = [...norm.matchAll(RE_CUIT)].map((m) => m[0].replace(/-/g, ""));
+  const allAccts = [...norm.matchAll(RE_CBU)].map((m) => m[0]);
+  const allAlias = [...norm.matchAll(RE_ALIAS)].map((m) => m[0]).filter((a) => !/\d{10,}/.test(a));
+
+  const bankGlobal = guessBank(text, banks);
+
+  if (!out.origin.cuit && allCuist.length) out.origin.cuit = allCuist[0];
+  if (!out.destination.cuit && allCuist.length > 1) out.destination.cuit = allCuist[allCuist.length - 1];
+
+  if (!out.origin.account && allAccts.length) out.origin.account = allAccts[0];
+  if (!out.destination.account && allAccts.length > 1) out.destination.account = allAccts[allAccts.length - 1];
+
+  if (!out.origin.account && allAlias.length) out.origin.account = allAlias[0];
+  if (!out.destination.account && allAlias.length > 1) out.destination.account = allAlias[allAlias.length - 1];
+
+  if (!out.origin.bank) out.origin.bank = bankGlobal;
+  if (!out.destination.bank) out.destination.bank = bankGlobal;
+
+  if (!out.origin.name && tpl?.fields?.nameFrom) out.origin.name = tpl.fields.nameFrom;
+  if (!out.destination.name && tpl?.fields?.nameTo) out.destination.name = tpl.fields.nameTo;
+
+  return out;
+}
+
+export function scoreReceiptText(text = "", { templates = TPLS } = {}) {
+  const t = (text || "").replace(/\s+/g, " ").trim();
+  let score = 0;
+
+  if (/comprobante\s+de\s+transferencia/i.test(t)) score += 2;
+  if (/enviaste/i.test(t)) score += 1;
+
+  const tpl = parseByTemplate(text, { templates });
+  const amountTpl = tpl.matched ? tpl.amount : null;
+
+  const hasComprobante = /comprobante/i.test(t);
+  const hasTransfer = /transferencia/i.test(t);
+  const hasMercadoPago = /mercado\s*pago/i.test(t);
+  const hasKw = /pagaste|recibo|pago realizado|n[uú]mero de operaci[oó]n|c[oó]digo de identificaci[oó]n/i.test(t);
+  const hasBank = /(mercado\s*pago|ual[aá]|santander|galicia|macro|bbva|hsbc|icbc|naci[oó]n|bna)/i.test(t);
+
+  const currency = detectCurrency(text);
+  const amountHeur = findBestAmount(text, { minAmount: MIN_AMOUNT_BY_CURRENCY[currency] });
+  let amount = Number.isFinite(amountTpl) ? amountTpl : amountHeur;
+
+  if (currency === "ARS" && amount && amount < 1000) {
+    const fallback = parseByTemplate(text, { templates });
+    if (fallback.matched && fallback.amount > 1000) amount = fallback.amount;
+  }
+
+  const hasAmount = Number.isFinite(amount) && amount > 0;
+  const hasId = /(operaci[oó]n|transacci[oó]n|c[oó]digo|identificaci[oó]n)\s*[:\-]?\s*[A-Z0-9\-]+/i.test(t);
+  const parties = /(CUIT|CVU|CBU|\bcvu\b|\bcbu\b|beneficiario)/i.test(t);
+
+  if (hasComprobante) score += 2;
+  if (hasTransfer) score += 2;
+  if (hasMercadoPago) score += 2;
+  if (hasKw) score++;
+  if (hasBank) score++;
+  if (hasAmount) score += 3;
+  if (hasId) score++;
+  if (parties) score++;
+
+  const hasCurrencySymbol = /\$/.test(t) || currency !== "ARS";
+  const hasThousandsPattern = new RegExp(
+    String.raw`\b[1-9]\d{0,2}(?:[.\s${NBSP}${NNSP}]\d{3})+(?:[,.\s]\d{1,2})?\b`
+  ).test(t);
+
+  if (hasCurrencySymbol) score += 1;
+  if (hasThousandsPattern && Number.isFinite(amount) && amount >= 1000) score += 2;
+
+  if (tpl.matched && hasAmount) score += 3;
+
+  return {
+    score,
+    amount: hasAmount ? amount : null,
+    currency,
+    provider: tpl.matched ? tpl.provider : null
+  };
+}
@@ -0,0 +1,215 @@
+// backend/lib/receipts/pipeline.js
+import { scoreReceiptText, toNumberARS } from "./parser.js";
+import { ocrFromMedia, locateAmountInImage } from "./ocr.js";
+
+/* =========================
+   Pipeline de comprobantes: OCR → score → reglas de monto
+   (lo comparten el handler de mensajes, el reproceso y las herramientas offline)
+   ========================= */
+export const MIN_RECEIPT_SCORE = 4;
+
+const RE_TRIPLE_ZERO_HINT = /[.,](?:0{3}|0{2}[oO]|0[oO]0|[oO]0{2})(?!\d)/;
+
+/**
+ * Reglas de normalización de monto sobre el texto combinado (caption + OCR).
+ * `gridFallback()` corre el fallback visual por grilla; si no viene, ese paso se saltea.
+ * Cada regla deja su resultado en `steps` (monto y score después de aplicarla).
+ */
+export async function resolveReceiptAmount(combined, { gridFallback = null, registry = null, logTag = null } = {}) {
+  const log = (msg) => logTag && console.log(`[${logTag}] ${msg}`);
+  const steps = [];
+
+  let { score, amount, provider, currency } = scoreReceiptText(combined, registry || undefined);
+  steps.push({ step: "score", applied: true, amount, score, provider, currency });
+
+  // === Reglas de normalización de monto ===
+  // Todas asumen pesos (montos chicos = miles mal leídos): en dólares no se aplican.
+  const IS_MP = /mercado\s*pago/i.test(combined);
+  const IS_ARS = currency === "ARS";
+
+  // 1) patrón fuerte de miles -> usar el mayor (con filtros anti-CVU/CBU/CUIT)
+  {
+    let applied = false;
+    if (IS_ARS && (!Number.isFinite(amount) || amount < 1000)) {
+      const NB = "\u00A0", NN = "\u202F";
+      const RE_GROUPED =
+        new RegExp(String.raw`\$?\s*([1-9]\d{0,2}(?:[.\s${NB}${NN}]\d{3})+)(?:[.,]\d{1,2})?\b`, "g");
+
+      // mismas heurísticas que findBestAmount
+      const BAD_CTX =
+        /(cuit|cuil|cvu|cbu|coelsa|operaci[oó]n|transacci[oó]n|identificaci[oó]n|c[oó]digo|n[uú]mero|referencia)/i;
+      const KEY_NEAR =
+        /(comprobante|transferencia|motivo|mercado\s*pago|pagaste|de\b|para\b|monto|importe|total)/i;
+
+      const linesForSafety = (combined || "")
+        .replace(/\r/g, "")
+        .split(/\n+/)
+        .map(s => s.trim())
+        .filter(Boolean);
+
+      let maxBig = null;
+
+      for (const ln of linesForSafety) {
+        if (BAD_CTX.test(ln)) continue;
+        const hasCurrency = /\$/.test(ln);
+        const nearMoney   = KEY_NEAR.test(ln);
+        if (!hasCurrency && !nearMoney) continue;
+
+        let m;
+        while ((m = RE_GROUPED.exec(ln)) !== null) {
+          const raw = m[1];
+          const digits = raw.replace(/[^\d]/g, "");
+          const len = digits.length;
+          if (len >= 15 || len === 22) continue; // evita CVU/CBU/IDs
+
+          const v = toNumberARS(raw);
+          if (!Number.isFinite(v)) continue;
+          if (v >= 1000 && v <= 10_000_000) {
+            maxBig = maxBig ? Math.max(maxBig, v) : v;
+          }
+        }
+      }
+
+      if (Number.isFinite(maxBig)) {
+        amount = maxBig;
+        score = Math.max(score, 10);
+        applied = true;
+        log(`🔧 Safety monto → $${amount}`);
+      }
+    }
+    steps.push({ step: "safety_grouping", applied, amount, score });
+  }
+
+  // 2) pista ".000"/variantes -> escalar
+  {
+    let applied = false;
+    if (IS_ARS && Number.isFinite(amount) && amount < 1000 && RE_TRIPLE_ZERO_HINT.test(combined)) {
+      amount = amount * 1000;
+      score = Math.max(score, 10);
+      applied = true;
+      log(`🔧 Ajuste miles → $${amount}`);
+    }
+    steps.push({ step: "triple_zero_hint", applied, amount, score });
+  }
+
+  // 3) regla MP x1000 via env
+  const MP_FORCE_X1000 = (process.env.MP_FORCE_X1000 || "true") === "true";
+  {
+    let applied = false;
+    if (MP_FORCE_X1000 && IS_ARS && IS_MP && Number.isFinite(amount) && amount > 0 && amount < 1000) {
+      amount = amount * 1000;
+      score = Math.max(score, 10);
+      provider = provider || "Mercado Pago";
+      applied = true;
+      log(`⚙️ Regla MP x1000 → $${amount}`);
+    }
+    steps.push({ step: "mp_x1000", applied, amount, score });
+  }
+
+  // 4) Fallback visual sólo para MP
+  {
+    let applied = false;
+    let attempted = false;
+    if ((!Number.isFinite(amount) || amount <= 0) && IS_ARS && IS_MP && gridFallback) {
+      attempted = true;
+      const fallbackAmount = await gridFallback();
+      if (Number.isFinite(fallbackAmount) && fallbackAmount > 0) {
+        amount = fallbackAmount;
+        score = Math.max(score, 12);
+        provider = provider || "Mercado Pago";
+        applied = true;
+        log(`🔎 Fallback de monto OK → $${amount}`);
+      } else {
+        log(`🔎 Fallback de monto sin éxito`);
+      }
+    }
+    steps.push({ step: "grid_fallback", attempted, applied, amount, score });
+  }
+
+  // 5) post-fallback MP x1000
+  {
+    let applied = false;
+    if (MP_FORCE_X1000 && IS_ARS && IS_MP && Number.isFinite(amount) && amount > 0 && amount < 1000) {
+      amount = amount * 1000;
+      score = Math.max(score, 12);
+      provider = provider || "Mercado Pago";
+      applied = true;
+      log(`⚙️ MP x1000 (post) → $${amount}`);
+    }
+    steps.push({ step: "mp_x1000_post", applied, amount, score });
+  }
+
+  return { score, amount, currency, provider, isMP: IS_MP, steps };
+}
+
+/**
+ * Corre todo el pipeline sobre una media (base64) o sobre texto ya extraído (`text`).
+ * `cache` = { get(sha), put(sha, patch) } para no repetir OCR / grilla sobre el mismo archivo.
+ * `registry` = { templates, banks } del proyecto (ver loadReceiptTemplates); sin él, las builtin.
+ */
+export async function analyzeReceipt({
+  base64 = null,
+  mimetype = "",
+  caption = "",
+  text = null,
+  media_sha256 = null,
+  cache = null,
+  registry = null,
+  logTag = null,
+}) {
+  const useCache = !!(cache && media_sha256);
+  const cached = useCache && text == null ? await cache.get(media_sha256) : null;
+
+  // "" en cache = OCR fallido (o de antes de este chequeo): se reintenta, no se toma como resultado
+  let ocrText = text ?? (cached?.ocr_text || null);
+  if (ocrText == null) {
+    ocrText = base64 ? await ocrFromMedia({ base64, mimetype }) : "";
+    if (useCache && ocrText.trim()) await cache.put(media_sha256, { ocr_text: ocrText });
+  }
+
+  const combined = [String(caption || "").trim(), ocrText].filter(Boolean).join("\n");
+
+  // si la grilla corre, queda dónde encontró el monto (lo usa el análisis de adulteración).
+  // Del caché sale monto + zona juntos; una entrada vieja sin zona vuelve a correr la grilla
+  let amountRegion = null;
+  const isImage = /^image\/(jpeg|png|webp)$/i.test(mimetype || "");
+  const gridFallback = base64 && isImage
+    ? async () => {
+        if (cached?.grid_amount != null && cached.grid_region) {
+          amountRegion = cached.grid_region;
+          return Number(cached.grid_amount);
+        }
+        const hit = await locateAmountInImage({ base64, mimetype });
+        const v = hit ? hit.amount : null;
+        amountRegion = hit?.region || null;
+        if (useCache && Number.isFinite(v)) {
+          await cache.put(media_sha256, { grid_amount: v, grid_region: amountRegion });
+        }
+        return v;
+      }
+    : null;
+
+  const r = await resolveReceiptAmount(combined, { gridFallback, registry, logTag });
+  const passed = r.score >= MIN_RECEIPT_SCORE && Number.isFinite(r.amount) && r.amount > 0;
+  return { ocrText, combined, ...r, passed, amountRegion };
+}
+
+/** Campos de extractReceiptFields → columnas de analytics_conversions. */
+export function receiptFieldsForConversion(parsed) {
+  return {
+    txn_at: parsed.txn_at || null,
+    concept: parsed.concept || null,
+    reference: parsed.reference || null,
+    operation_no: parsed.transaction || null,
+
+    origin_name: parsed.origin?.name || null,
+    origin_cuit: parsed.origin?.cuit || null,
+    origin_account: parsed.origin?.account || null,
+    origin_bank: parsed.origin?.bank || null,
+
+    dest_name: parsed.destination?.name || null,
+    dest_cuit: parsed.destination?.cuit || null,
+    dest_account: parsed.destination?.account || null,
+    dest_bank: parsed.destination?.bank || null,
+  };
+}
@@ -0,0 +1,108 @@
+// backend/lib/receipts/reprocess.js
+import { supabase } from "../supabase.js";
+import { extractReceiptFields } from "./parser.js";
+import { analyzeReceipt, receiptFieldsForConversion } from "./pipeline.js";
+import { getCachedOcr, putCachedOcr } from "./fingerprint.js";
+import { loadReceiptTemplates } from "./templates.js";
+import { correctConversion, getConversion } from "../conversions.js";
+import { registerJobHandler, permanentJobError } from "../jobs.js";
+
+/* =========================
+   Reproceso de comprobantes ya guardados (parser mejorado / lecturas erróneas)
+   ========================= */
+const RECEIPTS_BUCKET = process.env.RECEIPTS_BUCKET || "receipts";
+
+const ocrCache = { get: getCachedOcr, put: putCachedOcr };
+// fresh_ocr: ignora lo cacheado pero deja el OCR nuevo en la caché
+const freshOcrCache = { get: async () => null, put: putCachedOcr };
+
+/** Path dentro del bucket; las filas viejas sólo tienen la URL pública. */
+export function receiptStoragePath(conv) {
+  if (conv?.file_path) return conv.file_path;
+  const url = String(conv?.file_url || "");
+  const marker = `/object/public/${RECEIPTS_BUCKET}/`;
+  const i = url.indexOf(marker);
+  return i >= 0 ? decodeURIComponent(url.slice(i + marker.length).split("?")[0]) : null;
+}
+
+export async function downloadReceiptFile(conv) {
+  const filePath = receiptStoragePath(conv);
+  if (!filePath) return null;
+
+  const { data, error } = await supabase.storage.from(RECEIPTS_BUCKET).download(filePath);
+  if (error || !data) {
+    console.error("[receipts] download error:", error || "sin datos");
+    return null;
+  }
+  const buf = Buffer.from(await data.arrayBuffer());
+  return { base64: buf.toString("base64"), mimetype: conv.file_mime || data.type || "" };
+}
+
+const sameValue = (a, b) => {
+  if (a == null && b == null) return true;
+  if (typeof a === "number" || typeof b === "number") return Number(a) === Number(b);
+  return String(a ?? "") === String(b ?? "");
+};
+
+/**
+ * Re-corre el pipeline sobre el archivo guardado y devuelve el diff contra la fila.
+ * Con `apply` los cambios pasan por correctConversion (webhook incluido).
+ * Un monto nuevo vacío nunca pisa el anterior.
+ */
+export async function reprocessConversion(conv, { apply = false, fresh_ocr = false, reviewer = null } = {}) {
+  const file = await downloadReceiptFile(conv);
+  if (!file) return { id: conv.id, ok: false, error: "file_not_found" };
+
+  const registry = await loadReceiptTemplates(conv.project_id);
+  const analysis = await analyzeReceipt({
+    base64: file.base64,
+    mimetype: file.mimetype,
+    media_sha256: conv.media_sha256 || null,
+    cache: fresh_ocr ? freshOcrCache : ocrCache,
+    registry,
+  });
+
+  const parsed = extractReceiptFields(analysis.combined, registry);
+  const next = {
+    amount: Number.isFinite(analysis.amount) ? analysis.amount : parsed.amount ?? null,
+    currency: analysis.currency || "ARS",
+    provider: analysis.provider || null,
+    ...receiptFieldsForConversion(parsed),
+  };
+
+  const changes = Object.entries(next)
+    .filter(([field, value]) => !sameValue(conv[field], value))
+    .map(([field, value]) => ({ field, old: conv[field] ?? null, new: value }));
+
+  const applicable = changes.filter((c) => !(c.field === "amount" && c.new == null));
+
+  let conversion = conv;
+  if (apply && applicable.length) {
+    conversion = await correctConversion(
+      conv,
+      Object.fromEntries(applicable.map((c) => [c.field, c.new])),
+      { reviewer, note: "reprocess" }
+    );
+  }
+
+  return {
+    id: conv.id,
+    ok: true,
+    score: analysis.score,
+    passed: analysis.passed,
+    changes,
+    applied: apply && applicable.length > 0,
+    conversion,
+  };
+}
+
+// Reproceso masivo: un trabajo por conversión (no bloquea el request ni acapara el OCR)
+registerJobHandler("receipt.reprocess", async (job) => {
+  const { conversion_id, apply = false, fresh_ocr = false, reviewer = null } = job.payload || {};
+  const conv = conversion_id ? await getConversion(conversion_id) : null;
+  if (!conv) throw permanentJobError("conversion_not_found");
+
+  const r = await reprocessConversion(conv, { apply, fresh_ocr, reviewer });
+  if (!r.ok && r.error === "file_not_found") throw permanentJobError("file_not_found");
+  return { id: r.id, ok: r.ok, error: r.error || null, changes: r.changes || [], applied: !!r.applied };
+});
@@ -0,0 +1,72 @@
+// backend/lib/receipts/review.js
+import { getProjectSettings } from "../settings.js";
+import { amountFingerprint, findDuplicateConversion } from "./fingerprint.js";
+import { receiptFieldsForConversion } from "./pipeline.js";
+import { loadReceivingAccounts, classifyReceivingAccount } from "./accounts.js";
+import { TAMPER_REVIEW_SCORE } from "./tamper.js";
+
+/* =========================
+   Qué pasa con un comprobante que ya pasó el score: duplicado, o conversión
+   received / pending_review / rejected según la configuración del proyecto
+   (aprobación manual, cuenta receptora, antigüedad, adulteración).
+   No escribe nada: lo usan el pipeline en vivo (que después guarda) y el dry-run de /api/receipts/parse.
+   ========================= */
+
+/**
+ * `parsed` = extractReceiptFields(combined); `amount` = monto ya resuelto; `tamper` = assessReceiptTampering().
+ * Devuelve { fingerprint, duplicate } si ya hay una conversión con la misma huella, o
+ * { fingerprint, duplicate: null, detail, status, review_reasons, reject_notes, account_match, receipt_age_days }.
+ */
+export async function reviewReceipt({ project_id, parsed, amount, combined = "", media_sha256 = null, tamper = null }) {
+  // ♻️ Huellas: mismo archivo, mismo nº de operación o mismo monto+día+cuenta de origen
+  const fingerprint = {
+    media_sha256,
+    operation_no: parsed.transaction || null,
+    // con fecha impresa, la del comprobante: un reenvío semanas después cae en la misma huella
+    amount_fingerprint: amountFingerprint({ amount, date: parsed.txn_at, origin_account: parsed.origin?.account }),
+  };
+
+  const duplicate = await findDuplicateConversion(project_id, fingerprint);
+  if (duplicate) return { fingerprint, duplicate };
+
+  // ¿Requiere revisión antes de contar / mandar Purchase?
+  const settings = await getProjectSettings(project_id);
+  const review_reasons = [];
+  if (settings.purchase_requires_approval) review_reasons.push("approval_required");
+
+  // ¿La plata fue a una cuenta del proyecto?
+  const detail = receiptFieldsForConversion(parsed);
+  const account_match = classifyReceivingAccount(detail, await loadReceivingAccounts(project_id), combined);
+  const reject_notes = [];
+  if (account_match.status === "mismatched" && settings.account_mismatch_policy !== "count") {
+    review_reasons.push("account_mismatch");
+    if (settings.account_mismatch_policy === "reject") reject_notes.push(`account_mismatch (${account_match.reason})`);
+  }
+
+  // ¿Es un comprobante viejo reenviado?
+  const ageDays = detail.txn_at ? (Date.now() - Date.parse(detail.txn_at)) / 86_400_000 : null;
+  const stale = settings.max_receipt_age_days != null && ageDays != null && ageDays > settings.max_receipt_age_days;
+  if (stale) {
+    review_reasons.push("stale_receipt");
+    if (settings.stale_receipt_policy === "reject") reject_notes.push(`stale_receipt (${Math.floor(ageDays)}d)`);
+  }
+
+  // ¿Parece editado?
+  if (tamper && tamper.tamper_score >= TAMPER_REVIEW_SCORE) review_reasons.push("tampering");
+
+  // "flag" deja la marca en review_reasons pero no frena la conversión
+  const holds = review_reasons.filter((r) => r !== "stale_receipt" || settings.stale_receipt_policy !== "flag");
+  let status = holds.length ? "pending_review" : "received";
+  if (reject_notes.length) status = "rejected";
+
+  return {
+    fingerprint,
+    duplicate: null,
+    detail,
+    status,
+    review_reasons,
+    reject_notes,
+    account_match,
+    receipt_age_days: ageDays == null ? null : Math.floor(ageDays),
+  };
+}
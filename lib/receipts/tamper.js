@@ -0,0 +1,310 @@
+// backend/lib/receipts/tamper.js
+import { supabase } from "../supabase.js";
+import { toNumberARS } from "./parser.js";
+import { amountSearchZone } from "./ocr.js";
+
+// sharp opcional: sin él sólo quedan las señales de texto/metadata PDF
+let sharp = null;
+try {
+  const mod = await import("sharp");
+  sharp = mod.default || mod;
+} catch { /* opcional */ }
+
+/* =========================
+   Señales de adulteración en comprobantes
+   editor_software          → EXIF/XMP (o Producer/Creator del PDF) de un editor de imágenes/PDF
+   reused_image             → imagen casi idéntica (fuera de la zona del monto) ya enviada por otro
+                              contacto. Sólo corrobora: sola no alcanza para mandar a revisión
+   amount_totals_mismatch   → los montos del propio comprobante no cierran (monto + comisión ≠ total, etc.)
+   amount_region_compression→ la zona del monto recomprime distinto que el resto (ELA, sólo JPEG)
+   amount_region_font       → bordes del texto en la zona del monto con otra nitidez que el resto
+   El score combina los pesos como probabilidades independientes: 1 − Π(1 − w).
+   ========================= */
+export const TAMPER_WEIGHTS = {
+  editor_software: 0.6,
+  reused_image: 0.3,
+  amount_totals_mismatch: 0.5,
+  amount_region_compression: 0.35,
+  amount_region_font: 0.25,
+};
+
+// desde este score la conversión va a revisión con el motivo "tampering"
+export const TAMPER_REVIEW_SCORE = Number(process.env.TAMPER_REVIEW_SCORE || 0.5);
+
+// señales que sólo suman a otra: solas el score queda por debajo de TAMPER_REVIEW_SCORE
+const CORROBORATING_ONLY = new Set(["reused_image"]);
+
+const EDITOR_RE =
+  /photoshop|gimp|snapseed|picsart|pixelmator|canva|lightroom|affinity|paint\.net|photopea|fotor|polarr|meitu|photo\s?editor|acrobat(?!\s*distiller)|ilovepdf|smallpdf|sejda|pdfescape|pdf\s?filler|foxit\s*phantom/i;
+
+// firma visual: dHash de 48×48 bits (¿cada pixel es más claro que su vecino derecho?) con la zona
+// típica del monto enmascarada. Una copia con el monto editado da la misma firma salvo ruido de
+// recompresión; otro comprobante genuino de la misma app cambia nombres, fechas, nº de operación…
+// y eso mueve muchos bits fuera de la zona.
+const SIG_SIDE = 48;
+const SIG_EDGE_DELTA = 6;               // diferencia de gris mínima para el bit (el fondo liso queda estable en 0)
+const SIG_MAX_CHANGED = 0.01;           // hasta 1% de bits distintos (Hamming) = "la misma imagen"
+const REUSE_WINDOW_DAYS = 30;
+const REUSE_SCAN_LIMIT = 1000;
+
+const EDGE_MIN = 40;                    // gradiente mínimo para contar un pixel como borde de texto
+const MIN_EDGE_PIXELS = 200;
+const MAX_PIXELS = 6_000_000;           // imágenes más grandes no se analizan pixel a pixel
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+/* ---------- metadata ---------- */
+
+function editorFromImageMeta(meta = {}) {
+  for (const b of [meta.exif, meta.xmp]) {
+    if (!b) continue;
+    const m = b.toString("latin1").match(EDITOR_RE);
+    if (m) return m[0];
+  }
+  return null;
+}
+
+function editorFromPdf(buf) {
+  // el diccionario Info suele estar al final; alcanza con mirar cabeza y cola
+  const head = buf.subarray(0, 64 * 1024).toString("latin1");
+  const tail = buf.subarray(Math.max(0, buf.length - 64 * 1024)).toString("latin1");
+  for (const m of `${head}\n${tail}`.matchAll(/\/(?:Producer|Creator)\s*\(([^)]{1,200})\)/g)) {
+    const hit = m[1].match(EDITOR_RE);
+    if (hit) return hit[0];
+  }
+  return null;
+}
+
+/* ---------- hash perceptual ---------- */
+
+// bits de la zona del monto: siempre 0, así la edición del monto no cambia la firma
+const SIG_MASK = (() => {
+  const z = amountSearchZone(SIG_SIDE + 1, SIG_SIDE);
+  const inZone = (x, y) => x >= z.left && x < z.left + z.width && y >= z.top && y < z.top + z.height;
+  const mask = [];
+  for (let y = 0; y < SIG_SIDE; y++) {
+    for (let x = 0; x < SIG_SIDE; x++) mask.push(inZone(x, y) || inZone(x + 1, y));
+  }
+  return mask;
+})();
+const SIG_BITS = SIG_MASK.filter((m) => !m).length;
+
+/**
+ * dHash 48×48 → 576 caracteres hex (4 bits por carácter), zona del monto en 0.
+ * null si no hay sharp o no se puede leer.
+ */
+export async function perceptualHash(buf) {
+  if (!sharp) return null;
+  try {
+    const px = await sharp(buf)
+      .removeAlpha()
+      .greyscale()
+      .resize(SIG_SIDE + 1, SIG_SIDE, { fit: "fill" })
+      .raw()
+      .toBuffer();
+    let hex = "";
+    for (let i = 0; i < SIG_SIDE * SIG_SIDE; i += 4) {
+      let nibble = 0;
+      for (let k = 0; k < 4; k++) {
+        const x = (i + k) % SIG_SIDE;
+        const y = Math.floor((i + k) / SIG_SIDE);
+        const p = y * (SIG_SIDE + 1) + x;
+        const bit = !SIG_MASK[i + k] && px[p] > px[p + 1] + SIG_EDGE_DELTA ? 1 : 0;
+        nibble = (nibble << 1) | bit;
+      }
+      hex += nibble.toString(16);
+    }
+    return hex;
+  } catch {
+    return null;
+  }
+}
+
+const popcount4 = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+/**
+ * Distancia de Hamming entre dos firmas, como proporción de los bits fuera de la zona del monto.
+ * 1 si no son comparables (p.ej. firmas guardadas con el formato anterior).
+ */
+export function signatureDistance(a, b) {
+  if (!a || !b || a.length !== b.length || a.length * 4 !== SIG_SIDE * SIG_SIDE) return 1;
+  let changed = 0;
+  for (let i = 0; i < a.length; i++) changed += popcount4[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+  return changed / SIG_BITS;
+}
+
+/** Conversión reciente del proyecto, de OTRO contacto, con una imagen casi idéntica. */
+async function findReusedImage(project_id, contact, phash) {
+  if (!project_id || !phash) return null;
+  const since = new Date(Date.now() - REUSE_WINDOW_DAYS * 86_400_000).toISOString();
+  const { data, error } = await supabase
+    .from("analytics_conversions")
+    .select("id, contact, media_phash")
+    .eq("project_id", project_id)
+    .not("media_phash", "is", null)
+    .gte("created_at", since)
+    .order("created_at", { ascending: false })
+    .limit(REUSE_SCAN_LIMIT);
+
+  if (error) {
+    console.error("[receipts] phash lookup error:", error);
+    return null;
+  }
+  let best = null;
+  for (const row of data || []) {
+    if (row.contact === contact) continue;
+    const distance = signatureDistance(phash, row.media_phash);
+    if (distance <= SIG_MAX_CHANGED && (!best || distance < best.distance)) {
+      best = { conversion_id: row.id, distance: round2(distance) };
+    }
+  }
+  return best;
+}
+
+/* ---------- montos internos ---------- */
+
+const RE_MONEY = /\$\s*([0-9][0-9.,\s]*[0-9])/;
+const RE_LABEL_TOTAL = /\btotal\b/i;
+const RE_LABEL_FEE = /\b(comisi[oó]n|costo|cargo|impuesto|iva|percepci[oó]n|retenci[oó]n)\b/i;
+const RE_LABEL_MAIN = /\b(monto|importe|enviaste|transferiste|pagaste|recibiste)\b/i;
+
+/**
+ * Montos con etiqueta (en la misma línea o la siguiente). Devuelve los valores
+ * que no cierran entre sí: { main[], fees[], total } o null si no hay con qué comparar.
+ */
+export function checkAmountTotals(text = "") {
+  const lines = String(text || "").split(/\r?\n/).map((l) => l.trim());
+  const main = [], fees = [];
+  let total = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const label = lines[i];
+    const isTotal = RE_LABEL_TOTAL.test(label);
+    const isFee = !isTotal && RE_LABEL_FEE.test(label);
+    const isMain = !isTotal && !isFee && RE_LABEL_MAIN.test(label);
+    if (!isTotal && !isFee && !isMain) continue;
+
+    const m = label.match(RE_MONEY) || (lines[i + 1] || "").match(RE_MONEY);
+    const v = m ? toNumberARS(m[1]) : NaN;
+    if (!Number.isFinite(v) || v <= 0) continue;
+
+    if (isTotal) total = total ?? v;
+    else if (isFee) fees.push(v);
+    else main.push(v);
+  }
+
+  const close = (a, b) => Math.abs(a - b) <= Math.max(0.01, Math.max(a, b) * 0.001);
+  const distinctMain = [...new Set(main)];
+
+  // dos montos "principales" que no coinciden
+  if (distinctMain.length > 1 && !distinctMain.every((v) => close(v, distinctMain[0]))) {
+    return { main: distinctMain, fees, total };
+  }
+  // total contra monto (+ comisiones, cobradas aparte o descontadas)
+  if (total != null && distinctMain.length) {
+    const m = distinctMain[0];
+    const feeSum = fees.reduce((s, v) => s + v, 0);
+    const ok = close(total, m) || close(total, m + feeSum) || close(total, m - feeSum);
+    if (!ok) return { main: distinctMain, fees, total };
+  }
+  return null;
+}
+
+/* ---------- zona del monto ---------- */
+
+async function greyRaw(input) {
+  const { data, info } = await sharp(input).removeAlpha().greyscale().raw().toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height, channels: info.channels };
+}
+
+/**
+ * Compara la zona del monto contra el resto de la imagen sobre pixeles de borde:
+ * ELA (error al recomprimir JPEG q90) y fuerza del gradiente (nitidez del trazo).
+ * Devuelve { ela_ratio, edge_ratio } (null si no hay bordes suficientes).
+ */
+async function analyzeAmountRegion(buf, { isJpeg, region }) {
+  const a = await greyRaw(buf);
+  const { width: W, height: H, channels: C } = a;
+  if (W * H > MAX_PIXELS) return null;
+
+  const R = region || amountSearchZone(W, H);
+  const b = isJpeg ? await greyRaw(await sharp(buf).jpeg({ quality: 90 }).toBuffer()) : null;
+
+  const acc = { in: { n: 0, ela: 0, g: 0 }, out: { n: 0, ela: 0, g: 0 } };
+  for (let y = 0; y < H - 1; y++) {
+    for (let x = 0; x < W - 1; x++) {
+      const i = (y * W + x) * C;
+      const g = Math.abs(a.data[i + C] - a.data[i]) + Math.abs(a.data[i + W * C] - a.data[i]);
+      if (g < EDGE_MIN) continue;
+      const inside = x >= R.left && x < R.left + R.width && y >= R.top && y < R.top + R.height;
+      const t = inside ? acc.in : acc.out;
+      t.n++;
+      t.g += g;
+      if (b) t.ela += Math.abs(a.data[i] - b.data[i]);
+    }
+  }
+  if (acc.in.n < MIN_EDGE_PIXELS || acc.out.n < MIN_EDGE_PIXELS) return null;
+
+  const ratio = (k) => round2((acc.in[k] / acc.in.n) / Math.max(1e-6, acc.out[k] / acc.out.n));
+  return { ela_ratio: b ? ratio("ela") : null, edge_ratio: ratio("g") };
+}
+
+/* ---------- score ---------- */
+
+/**
+ * Analiza un comprobante ya parseado. `region` = tile donde la grilla encontró el monto
+ * (si corrió); si no, se usa la zona típica. Nunca tira: ante errores devuelve lo que pudo.
+ * Devuelve { tamper_score, tamper_reasons, tamper_detail, media_phash }.
+ */
+export async function assessReceiptTampering({
+  base64,
+  mimetype = "",
+  text = "",
+  project_id = null,
+  contact = null,
+  region = null,
+}) {
+  const reasons = [];
+  const detail = {};
+  let media_phash = null;
+
+  const buf = Buffer.from(base64 || "", "base64");
+  const isImage = /^image\/(jpe?g|png|webp)$/i.test(mimetype || "");
+  const isPdf = mimetype === "application/pdf";
+
+  try {
+    if (isPdf && buf.length) {
+      const editor = editorFromPdf(buf);
+      if (editor) { reasons.push("editor_software"); detail.editor = editor; }
+    }
+
+    if (isImage && sharp && buf.length) {
+      const editor = editorFromImageMeta(await sharp(buf).metadata());
+      if (editor) { reasons.push("editor_software"); detail.editor = editor; }
+
+      media_phash = await perceptualHash(buf);
+      const reused = await findReusedImage(project_id, contact, media_phash);
+      if (reused) { reasons.push("reused_image"); detail.reused = reused; }
+
+      const zone = await analyzeAmountRegion(buf, { isJpeg: /jpe?g/i.test(mimetype), region });
+      if (zone) {
+        detail.amount_region = { ...zone, source: region ? "grid" : "zone" };
+        if (zone.ela_ratio != null && (zone.ela_ratio > 2.5 || zone.ela_ratio < 0.4)) {
+          reasons.push("amount_region_compression");
+        }
+        if (zone.edge_ratio > 1.6 || zone.edge_ratio < 0.6) reasons.push("amount_region_font");
+      }
+    }
+  } catch (e) {
+    console.warn("[receipts] tamper analysis error:", e?.message || e);
+  }
+
+  const totals = checkAmountTotals(text);
+  if (totals) { reasons.push("amount_totals_mismatch"); detail.totals = totals; }
+
+  let tamper_score = round2(1 - reasons.reduce((p, r) => p * (1 - (TAMPER_WEIGHTS[r] || 0)), 1));
+  if (reasons.length && reasons.every((r) => CORROBORATING_ONLY.has(r))) {
+    tamper_score = Math.max(0, Math.min(tamper_score, round2(TAMPER_REVIEW_SCORE - 0.01)));
+  }
+  return { tamper_score, tamper_reasons: reasons, tamper_detail: detail, media_phash };
+}
@@ -0,0 +1,116 @@
+// backend/lib/receipts/templates.js
+import { supabase } from "../supabase.js";
+import {
+  compileTemplate,
+  buildTemplateRegistry,
+  parseByTemplate,
+  extractReceiptFields,
+} from "./parser.js";
+
+/* =========================
+   Plantillas de comprobantes en DB (globales o por proyecto)
+   ========================= */
+export const TEMPLATE_PATTERN_FIELDS = [
+  "detect_pattern",
+  "amount_line_pattern",
+  "name_from_pattern",
+  "name_to_pattern",
+  "cuit_pattern",
+  "operation_pattern",
+  "bank_pattern",
+];
+
+const CACHE_MS = 60_000;
+const cache = new Map(); // project_id | "global" -> { value, exp }
+
+/** Registro { templates, banks } para el proyecto: propias → globales → builtin. */
+export async function loadReceiptTemplates(project_id = null) {
+  const key = project_id || "global";
+  const hit = cache.get(key);
+  if (hit && hit.exp > Date.now()) return hit.value;
+
+  let q = supabase
+    .from("receipt_templates")
+    .select("*")
+    .eq("active", true)
+    .order("priority", { ascending: false })
+    .order("created_at", { ascending: true });
+  q = project_id ? q.or(`project_id.is.null,project_id.eq.${project_id}`) : q.is("project_id", null);
+
+  const { data, error } = await q;
+  if (error) console.error("[receipt_templates] select error:", error);
+
+  // las del proyecto primero; dentro de cada grupo manda la prioridad
+  const rows = [...(data || [])].sort((a, b) => Number(!!b.project_id) - Number(!!a.project_id));
+  const compiled = [];
+  for (const row of rows) {
+    try {
+      compiled.push(compileTemplate(row));
+    } catch (e) {
+      console.warn(`[receipt_templates] ${row.id} inválida:`, e?.message || e);
+    }
+  }
+
+  const value = buildTemplateRegistry(compiled);
+  cache.set(key, { value, exp: Date.now() + CACHE_MS });
+  return value;
+}
+
+export function invalidateReceiptTemplates() {
+  cache.clear();
+}
+
+// tope para lo que corre en el request (los patrones ya pasaron por el chequeo de backtracking)
+const MAX_SAMPLES = 20;
+const MAX_SAMPLE_CHARS = 20_000;
+
+/**
+ * Corre la plantilla (sola, sin builtin) contra textos de ejemplo.
+ * sample: { text, expected_amount?, expected_provider?, expected_operation_no?, expect_match? (default true) }
+ */
+export function validateTemplate(row, samples = []) {
+  let tpl;
+  try {
+    tpl = compileTemplate(row);
+  } catch (e) {
+    return { ok: false, error: e.code || "invalid_template", field: e.field || null, detail: e.message, results: [] };
+  }
+
+  const opts = { templates: [tpl], banks: buildTemplateRegistry([tpl]).banks };
+  const results = samples.slice(0, MAX_SAMPLES).map((sample, i) => {
+    const text = String(sample?.text || "").slice(0, MAX_SAMPLE_CHARS);
+    const expectMatch = sample?.expect_match !== false;
+    const parsed = parseByTemplate(text, opts);
+    const fields = extractReceiptFields(text, opts);
+
+    const problems = [];
+    if (parsed.matched !== expectMatch) problems.push(expectMatch ? "no_match" : "unexpected_match");
+    if (expectMatch && parsed.matched) {
+      if (sample.expected_amount != null && Number(parsed.amount) !== Number(sample.expected_amount)) {
+        problems.push("amount_mismatch");
+      }
+      const expProvider = sample.expected_provider ?? tpl.provider;
+      if (parsed.provider !== expProvider) problems.push("provider_mismatch");
+      if (sample.expected_operation_no != null && fields.transaction !== String(sample.expected_operation_no)) {
+        problems.push("operation_no_mismatch");
+      }
+    }
+
+    return {
+      index: i,
+      pass: problems.length === 0,
+      problems,
+      matched: !!parsed.matched,
+      amount: parsed.amount ?? null,
+      provider: parsed.provider ?? null,
+      fields: {
+        operation_no: fields.transaction,
+        origin_name: fields.origin.name,
+        dest_name: fields.destination.name,
+        cuit: parsed.fields?.cuit ?? null,
+      },
+    };
+  });
+
+  return { ok: results.length > 0 && results.every((r) => r.pass), results };
+}
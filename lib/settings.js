@@ -0,0 +1,90 @@
+// backend/lib/settings.js
+import { supabase } from "./supabase.js";
+
+/* =========================
+   Configuración por proyecto (project_settings)
+   ========================= */
+
+// clave -> { default, parse(v) => valor válido | undefined }
+export const SETTINGS_SCHEMA = {
+  purchase_requires_approval: {
+    default: false,
+    parse: (v) => (typeof v === "boolean" ? v : undefined),
+  },
+  // qué hacer con comprobantes a una cuenta que no es del proyecto
+  account_mismatch_policy: {
+    default: "count",
+    parse: (v) => (["count", "review", "reject"].includes(v) ? v : undefined),
+  },
+  // comprobantes con fecha de operación más vieja que esto (días); null = sin límite
+  max_receipt_age_days: {
+    default: null,
+    parse: (v) => (v === null || (Number.isInteger(v) && v >= 1 && v <= 3650) ? v : undefined),
+  },
+  // flag: cuenta igual pero queda marcado · review: espera revisión · reject: no cuenta
+  stale_receipt_policy: {
+    default: "flag",
+    parse: (v) => (["flag", "review", "reject"].includes(v) ? v : undefined),
+  },
+  // a qué página se acredita un contacto que vuelve (ver lib/attribution.js)
+  attribution_model: {
+    default: "last_non_null",
+    parse: (v) => (["first_touch", "last_touch", "last_non_null"].includes(v) ? v : undefined),
+  },
+  // toques más viejos que esto no cuentan (días)
+  attribution_lookback_days: {
+    default: 30,
+    parse: (v) => (Number.isInteger(v) && v >= 1 && v <= 365 ? v : undefined),
+  },
+};
+
+const CACHE_MS = 30_000;
+const cache = new Map(); // project_id -> { value, exp }
+
+export function defaultSettings() {
+  return Object.fromEntries(Object.entries(SETTINGS_SCHEMA).map(([k, d]) => [k, d.default]));
+}
+
+export async function getProjectSettings(project_id) {
+  if (!project_id) return defaultSettings();
+
+  const hit = cache.get(project_id);
+  if (hit && hit.exp > Date.now()) return hit.value;
+
+  const { data, error } = await supabase
+    .from("project_settings")
+    .select("*")
+    .eq("project_id", project_id)
+    .maybeSingle();
+
+  if (error) console.error("[project_settings] select error:", error);
+
+  const value = { ...defaultSettings() };
+  for (const k of Object.keys(SETTINGS_SCHEMA)) {
+    if (data && data[k] != null) value[k] = data[k];
+  }
+  cache.set(project_id, { value, exp: Date.now() + CACHE_MS });
+  return value;
+}
+
+/** Valida contra SETTINGS_SCHEMA. Devuelve { patch } o { error, key }. */
+export function parseSettingsPatch(body = {}) {
+  const patch = {};
+  for (const [k, v] of Object.entries(body || {})) {
+    const def = SETTINGS_SCHEMA[k];
+    if (!def) return { error: "unknown_setting", key: k };
+    const parsed = def.parse(v);
+    if (parsed === undefined) return { error: "invalid_setting", key: k };
+    patch[k] = parsed;
+  }
+  return { patch };
+}
+
+export async function updateProjectSettings(project_id, patch) {
+  const { error } = await supabase
+    .from("project_settings")
+    .upsert({ project_id, ...patch, updated_at: new Date().toISOString() }, { onConflict: "project_id" });
+  if (error) throw error;
+  cache.delete(project_id);
+  return getProjectSettings(project_id);
+}
@@ -0,0 +1,9 @@
+// backend/lib/supabase.js
+import "dotenv/config";
+import { createClient } from "@supabase/supabase-js";
+
+// Cliente compartido por los módulos de lib/ y api/ (service role)
+const SUPABASE_URL = (process.env.SUPABASE_URL || "").trim();
+const SUPABASE_SERVICE_ROLE = (process.env.SUPABASE_SERVICE_ROLE || "").trim();
+
+export const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE);
@@ -0,0 +1,100 @@
+// backend/lib/wa-lid.js
+import { supabase } from "./supabase.js";
+import { contactFromJid } from "./phone.js";
+import { mergeContactRows } from "./contact-merge.js";
+
+/* =========================
+   Remitentes "@lid": WhatsApp oculta el teléfono detrás de un id de cuenta.
+   Se resuelve con el contacto de wwebjs (o getContactLidAndPhone) y el par LID↔teléfono
+   queda en wa_lid_map. Sin teléfono, el contacto se guarda como "lid:<id>" (estable)
+   y cuando aparece el teléfono sus filas se pasan al número.
+   ========================= */
+const MISS_RETRY_MS = 5 * 60_000; // un LID sin teléfono no se vuelve a consultar a WhatsApp antes de esto
+
+const known = new Map();  // "<id>@lid" -> teléfono
+const misses = new Map(); // "<id>@lid" -> timestamp del último intento sin suerte
+const merged = new Set(); // "<project_id>|<id>@lid" ya pasados al teléfono en este proceso
+
+async function lookupLidPhone(lid) {
+  if (known.has(lid)) return known.get(lid);
+  const { data, error } = await supabase
+    .from("wa_lid_map")
+    .select("phone")
+    .eq("lid", lid)
+    .maybeSingle();
+  if (error) console.error("[wa_lid_map] select error:", error);
+  if (data?.phone) known.set(lid, data.phone);
+  return data?.phone || null;
+}
+
+/** Teléfono del LID según WhatsApp: primero el contacto del mensaje, después la consulta LID→PN. */
+async function phoneFromWhatsApp(client, msg, lid) {
+  try {
+    const c = await msg?.getContact?.();
+    const jid = c?.id?._serialized || "";
+    if (jid.endsWith("@c.us")) return contactFromJid(jid);
+  } catch {}
+
+  try {
+    const [hit] = (await client?.getContactLidAndPhone?.([lid])) || [];
+    if (hit?.pn) return contactFromJid(hit.pn);
+  } catch (e) {
+    console.warn("[wa-lid] getContactLidAndPhone error:", e?.message || e);
+  }
+  return null;
+}
+
+async function rememberLid(lid, phone, line_id) {
+  const now = new Date().toISOString();
+  const row = { lid, line_id, last_seen_at: now };
+  if (phone) Object.assign(row, { phone, resolved_at: now });
+
+  const { error } = await supabase.from("wa_lid_map").upsert(row, { onConflict: "lid" });
+  if (error) console.error("[wa_lid_map] upsert error:", error);
+}
+
+// lo que ya se había guardado bajo "lid:<id>" en el proyecto pasa al teléfono (una vez por proceso)
+async function mergeLidRows(project_id, jid, lidContact, phone) {
+  const key = `${project_id}|${jid}`;
+  if (!project_id || merged.has(key)) return;
+  try {
+    await mergeContactRows(project_id, lidContact, phone);
+    merged.add(key);
+  } catch (e) {
+    console.warn("[wa-lid] merge error:", e?.message || e);
+  }
+}
+
+/**
+ * Contacto para el remitente de un mensaje: teléfono (E.164 sin "+") si se conoce,
+ * "lid:<id>" si WhatsApp todavía no lo expone. JIDs "@c.us" pasan directo.
+ */
+export async function contactForSender({ client, msg, jid, project_id = null, line_id = null }) {
+  if (!jid.endsWith("@lid")) return contactFromJid(jid);
+
+  const lidContact = contactFromJid(jid);
+  const mapped = await lookupLidPhone(jid);
+  if (mapped) {
+    // el mapeo puede venir de otra línea/proyecto o de antes de un reinicio: igual hay que unir acá
+    await mergeLidRows(project_id, jid, lidContact, mapped);
+    return mapped;
+  }
+
+  const missAt = misses.get(jid);
+  if (missAt && Date.now() - missAt < MISS_RETRY_MS) return lidContact;
+
+  const phone = await phoneFromWhatsApp(client, msg, jid);
+  await rememberLid(jid, phone, line_id);
+
+  if (!phone) {
+    misses.set(jid, Date.now());
+    console.log(`[${line_id}] 🪪 Remitente ${jid} sin teléfono → ${lidContact}`);
+    return lidContact;
+  }
+
+  misses.delete(jid);
+  known.set(jid, phone);
+  console.log(`[${line_id}] 🪪 ${jid} → ${phone}`);
+  await mergeLidRows(project_id, jid, lidContact, phone);
+  return phone;
+}
@@ -0,0 +1,205 @@
+// backend/lib/webhooks.js
+import crypto from "crypto";
+import { supabase } from "./supabase.js";
+import { fetchPublicUrl } from "./public-url.js";
+
+/* =========================
+   Webhooks salientes (firmados con HMAC)
+   ========================= */
+export const WEBHOOK_EVENTS = ["chat.created", "lead.created", "conversion.created", "conversion.updated"];
+
+const WEBHOOK_TIMEOUT_MS   = Number(process.env.WEBHOOK_TIMEOUT_MS || 10_000);
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+
+const inFlight = new Set(); // delivery_id en curso (evita doble envío desde el worker)
+
+// 30s, 1m, 2m, 4m… con tope de 6h
+function backoffMs(attempts) {
+  return Math.min(30_000 * 2 ** Math.max(0, attempts - 1), 6 * 60 * 60 * 1000);
+}
+
+/**
+ * Firma `${timestamp}.${body}` con el secreto del webhook.
+ * El receptor recalcula el HMAC y compara contra `v1` del header X-FlowTracking-Signature.
+ */
+export function signWebhookBody(secret, timestamp, body) {
+  return crypto.createHmac("sha256", String(secret)).update(`${timestamp}.${body}`).digest("hex");
+}
+
+export function generateWebhookSecret() {
+  return "whsec_" + crypto.randomBytes(24).toString("hex");
+}
+
+/** Encola el evento para cada webhook activo del proyecto y dispara el primer intento. */
+export async function emitWebhookEvent(project_id, event, data) {
+  if (!project_id) return;
+  try {
+    const { data: hooks, error } = await supabase
+      .from("project_webhooks")
+      .select("id, events")
+      .eq("project_id", project_id)
+      .eq("active", true);
+
+    if (error) {
+      console.error("[webhooks] select error:", error);
+      return;
+    }
+
+    const targets = (hooks || []).filter((h) => !h.events?.length || h.events.includes(event));
+    if (!targets.length) return;
+
+    const event_id = crypto.randomUUID();
+    const now = new Date().toISOString();
+    const payload = { id: event_id, type: event, created_at: now, project_id, data };
+
+    const { data: rows, error: insErr } = await supabase
+      .from("webhook_deliveries")
+      .insert(
+        targets.map((h) => ({
+          webhook_id: h.id,
+          project_id,
+          event,
+          event_id,
+          payload,
+          status: "pending",
+          attempts: 0,
+          next_attempt_at: now,
+          created_at: now,
+        }))
+      )
+      .select();
+
+    if (insErr) {
+      console.error("[webhook_deliveries] insert error:", insErr);
+      return;
+    }
+
+    for (const row of rows || []) deliverWebhook(row).catch(() => {});
+  } catch (e) {
+    console.warn("[webhooks] emit error:", e?.message || e);
+  }
+}
+
+/** Un intento de entrega. Actualiza la fila con el resultado y agenda el próximo reintento. */
+export async function deliverWebhook(delivery) {
+  if (!delivery?.id || inFlight.has(delivery.id)) return null;
+  inFlight.add(delivery.id);
+
+  try {
+    const { data: hook } = await supabase
+      .from("project_webhooks")
+      .select("id, url, secret, active")
+      .eq("id", delivery.webhook_id)
+      .maybeSingle();
+
+    const attempts = (delivery.attempts || 0) + 1;
+    const patch = { attempts, last_attempt_at: new Date().toISOString() };
+
+    if (!hook?.url || hook.active === false) {
+      Object.assign(patch, { status: "failed", last_error: "webhook_inactive" });
+    } else {
+      const body = JSON.stringify(delivery.payload);
+      const ts = Math.floor(Date.now() / 1000);
+
+      let status_code = null;
+      let resp_body = null;
+      let err = null;
+      let blocked = false;
+      try {
+        // mismo chequeo que al crear (https + host público), repetido por si el DNS cambió
+        const resp = await fetchPublicUrl(hook.url, {
+          timeoutMs: WEBHOOK_TIMEOUT_MS,
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "User-Agent": "FlowTracking-Webhooks/1.0",
+            "X-FlowTracking-Event": delivery.event,
+            "X-FlowTracking-Delivery": delivery.id,
+            "X-FlowTracking-Signature": `t=${ts},v1=${signWebhookBody(hook.secret, ts, body)}`,
+          },
+          body,
+        });
+        status_code = resp.status;
+        resp_body = (await resp.text().catch(() => "")).slice(0, 2000);
+        if (!resp.ok) err = `http_${resp.status}`;
+      } catch (e) {
+        blocked = e?.code === "url_not_allowed";
+        err = e?.name === "TimeoutError" || e?.name === "AbortError" ? "timeout" : e?.message || String(e);
+      }
+
+      patch.response_status = status_code;
+      patch.response_body = resp_body;
+
+      if (!err) {
+        Object.assign(patch, { status: "delivered", delivered_at: new Date().toISOString(), last_error: null });
+      } else if (blocked || attempts >= WEBHOOK_MAX_ATTEMPTS) {
+        Object.assign(patch, { status: "failed", last_error: err });
+      } else {
+        Object.assign(patch, {
+          status: "pending",
+          last_error: err,
+          next_attempt_at: new Date(Date.now() + backoffMs(attempts)).toISOString(),
+        });
+      }
+    }
+
+    const { error } = await supabase.from("webhook_deliveries").update(patch).eq("id", delivery.id);
+    if (error) console.error("[webhook_deliveries] update error:", error);
+
+    if (patch.status !== "delivered") {
+      console.warn(`[webhooks] ${delivery.event} → ${patch.status} (intento ${attempts}):`, patch.last_error);
+    }
+    return { ...delivery, ...patch };
+  } finally {
+    inFlight.delete(delivery.id);
+  }
+}
+
+/** Reenvía una entrega existente como una nueva fila (queda el historial de ambas). */
+export async function replayWebhookDelivery(delivery) {
+  const now = new Date().toISOString();
+  const { data: row, error } = await supabase
+    .from("webhook_deliveries")
+    .insert({
+      webhook_id: delivery.webhook_id,
+      project_id: delivery.project_id,
+      event: delivery.event,
+      event_id: delivery.event_id,
+      payload: delivery.payload,
+      replay_of: delivery.id,
+      status: "pending",
+      attempts: 0,
+      next_attempt_at: now,
+      created_at: now,
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return deliverWebhook(row);
+}
+
+/** Toma las entregas pendientes vencidas y las reintenta. */
+export async function processDueWebhookDeliveries(limit = 20) {
+  const { data: due, error } = await supabase
+    .from("webhook_deliveries")
+    .select("*")
+    .eq("status", "pending")
+    .lte("next_attempt_at", new Date().toISOString())
+    .order("next_attempt_at", { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    console.error("[webhook_deliveries] select due error:", error);
+    return;
+  }
+  for (const d of due || []) await deliverWebhook(d);
+}
+
+export function startWebhookWorker(intervalMs = 15_000) {
+  return setInterval(() => {
+    processDueWebhookDeliveries().catch((e) =>
+      console.warn("[webhooks] worker error:", e?.message || e)
+    );
+  }, intervalMs);
+}
@@ -0,0 +1,232 @@
+// backend/scripts/eval-receipts.js
+// Corre el pipeline de comprobantes sobre el corpus de fixtures (offline, sin Supabase)
+// y compara contra la corrida anterior guardada en baseline.json.
+//
+//   npm run eval:receipts                      → reporte + diff contra baseline
+//   npm run eval:receipts -- --update          → además reescribe baseline.json
+//   npm run eval:receipts -- --ocr             → casos con imagen: OCR real en vez de ocr_text
+//   npm run eval:receipts -- --templates t.json → suma plantillas (filas de receipt_templates)
+//   npm run eval:receipts -- --only "Mercado Pago" | --only mp-transfer-basic
+//
+// Sale con código 1 si algún caso que antes pasaba ahora falla.
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+  extractReceiptFields,
+  compileTemplate,
+  buildTemplateRegistry,
+} from "../lib/receipts/parser.js";
+import { analyzeReceipt, receiptFieldsForConversion } from "../lib/receipts/pipeline.js";
+import { getOcrPoolStats, terminateOcrPool } from "../lib/receipts/ocr-pool.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const CORPUS_DIR = path.join(ROOT, "fixtures", "receipts");
+const CASES_DIR = path.join(CORPUS_DIR, "cases");
+const BASELINE_FILE = path.join(CORPUS_DIR, "baseline.json");
+
+const FIELDS = ["decision", "amount", "currency", "provider", "origin_name", "dest_name", "operation_no", "txn_at"];
+const MIMES = { ".png": "image/png", ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".webp": "image/webp", ".pdf": "application/pdf" };
+
+function parseArgs(argv) {
+  const args = { update: false, ocr: false, templates: null, only: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--update") args.update = true;
+    else if (a === "--ocr") args.ocr = true;
+    else if (a === "--templates") args.templates = argv[++i];
+    else if (a === "--only") args.only = argv[++i];
+    else throw new Error(`argumento desconocido: ${a}`);
+  }
+  return args;
+}
+
+function loadCases(only) {
+  return fs
+    .readdirSync(CASES_DIR)
+    .filter((f) => f.endsWith(".json"))
+    .sort()
+    .map((f) => ({ file: f, ...JSON.parse(fs.readFileSync(path.join(CASES_DIR, f), "utf8")) }))
+    .filter((c) => !only || c.id === only || c.provider === only);
+}
+
+function loadRegistry(file) {
+  if (!file) return null;
+  const rows = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+  return buildTemplateRegistry((Array.isArray(rows) ? rows : [rows]).map(compileTemplate));
+}
+
+// comparación tolerante: montos a centavos; textos sin tildes/mayúsculas/espacios extra
+const normStr = (v) =>
+  v == null ? null : String(v).normalize("NFD").replace(/[\u0300-\u036f]/g, "").replace(/\s+/g, " ").trim().toLowerCase();
+
+function sameValue(field, expected, actual) {
+  if (field === "amount") {
+    if (expected == null || actual == null) return expected == actual;
+    return Math.abs(Number(expected) - Number(actual)) < 0.005;
+  }
+  if (field === "txn_at") {
+    if (expected == null || actual == null) return expected == actual;
+    return Date.parse(expected) === Date.parse(actual);
+  }
+  return normStr(expected) === normStr(actual);
+}
+
+async function runCase(c, { ocr, registry }) {
+  let text = c.text ?? null;
+  let base64 = null;
+  let mimetype = "";
+
+  if (text == null && c.image) {
+    if (!ocr && c.ocr_text != null) {
+      text = c.ocr_text;
+    } else {
+      const file = path.join(CORPUS_DIR, c.image);
+      base64 = fs.readFileSync(file).toString("base64");
+      mimetype = MIMES[path.extname(file).toLowerCase()] || "image/png";
+    }
+  }
+
+  const analysis = await analyzeReceipt({ base64, mimetype, caption: c.caption || "", text, registry });
+  const fields = receiptFieldsForConversion(extractReceiptFields(analysis.combined, registry || undefined));
+
+  const actual = {
+    decision: analysis.passed ? "conversion" : "ignored",
+    amount: analysis.passed ? analysis.amount : null,
+    currency: analysis.currency || null,
+    provider: analysis.provider || null,
+    origin_name: fields.origin_name,
+    dest_name: fields.dest_name,
+    operation_no: fields.operation_no,
+    txn_at: fields.txn_at,
+  };
+
+  const failed = Object.keys(c.expected || {})
+    .filter((k) => FIELDS.includes(k))
+    .filter((k) => !sameValue(k, c.expected[k], actual[k]));
+
+  return { id: c.id, provider: c.provider || "(sin proveedor)", ok: failed.length === 0, failed, actual };
+}
+
+function pct(n, d) {
+  return d ? `${((100 * n) / d).toFixed(1)}%` : "-";
+}
+
+function printReport(results, cases) {
+  const byProvider = new Map();
+  for (const r of results) {
+    const g = byProvider.get(r.provider) || { total: 0, ok: 0 };
+    g.total++;
+    if (r.ok) g.ok++;
+    byProvider.set(r.provider, g);
+  }
+
+  console.log("\n📊 Precisión por proveedor");
+  for (const [prov, g] of [...byProvider].sort((a, b) => a[0].localeCompare(b[0]))) {
+    console.log(`  ${prov.padEnd(18)} ${String(g.ok).padStart(3)}/${String(g.total).padEnd(3)} ${pct(g.ok, g.total)}`);
+  }
+
+  console.log("\n📊 Precisión por campo");
+  for (const f of FIELDS) {
+    const withField = cases.filter((c) => c.expected && f in c.expected);
+    const okCount = withField.filter((c) => !results.find((r) => r.id === c.id).failed.includes(f)).length;
+    console.log(`  ${f.padEnd(18)} ${String(okCount).padStart(3)}/${String(withField.length).padEnd(3)} ${pct(okCount, withField.length)}`);
+  }
+
+  const failing = results.filter((r) => !r.ok);
+  if (failing.length) {
+    console.log("\n❌ Casos que fallan");
+    const byId = new Map(cases.map((c) => [c.id, c]));
+    for (const r of failing) {
+      const diffs = r.failed.map((f) => `${f}: esperado ${JSON.stringify(byId.get(r.id).expected[f])}, obtenido ${JSON.stringify(r.actual[f])}`);
+      console.log(`  ${r.id}\n    ${diffs.join("\n    ")}`);
+    }
+  }
+
+  const okTotal = results.filter((r) => r.ok).length;
+  console.log(`\nTotal: ${okTotal}/${results.length} (${pct(okTotal, results.length)})`);
+}
+
+/** Diff contra la corrida anterior: casos que se rompieron, que se arreglaron y salidas que cambiaron. */
+function diffBaseline(results, baseline) {
+  const prev = baseline?.cases || {};
+  const regressions = [];
+  const fixes = [];
+  const changed = [];
+
+  for (const r of results) {
+    const before = prev[r.id];
+    if (!before) {
+      changed.push(`  + ${r.id} (nuevo)`);
+      continue;
+    }
+    if (before.ok && !r.ok) regressions.push(r.id);
+    if (!before.ok && r.ok) fixes.push(r.id);
+    for (const f of FIELDS) {
+      const a = before.actual?.[f] ?? null;
+      const b = r.actual[f] ?? null;
+      if (JSON.stringify(a) !== JSON.stringify(b)) {
+        changed.push(`  ~ ${r.id}.${f}: ${JSON.stringify(a)} → ${JSON.stringify(b)}`);
+      }
+    }
+  }
+
+  return { regressions, fixes, changed };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const cases = loadCases(args.only);
+  if (!cases.length) {
+    console.error("⚠️ No hay casos para evaluar");
+    process.exit(1);
+  }
+  const registry = loadRegistry(args.templates);
+
+  const results = [];
+  for (const c of cases) {
+    try {
+      results.push(await runCase(c, { ocr: args.ocr, registry }));
+    } catch (e) {
+      console.error(`[eval] ${c.id} error:`, e?.message || e);
+      results.push({ id: c.id, provider: c.provider || "(sin proveedor)", ok: false, failed: ["error"], actual: {} });
+    }
+  }
+
+  if (args.ocr) {
+    const ocr = getOcrPoolStats();
+    console.log(`\n🧠 OCR: ${ocr.completed} ok / ${ocr.failed} error, p95 ${ocr.run_ms.p95 ?? "-"}ms`);
+    await terminateOcrPool();
+  }
+
+  printReport(results, cases);
+
+  const baseline = fs.existsSync(BASELINE_FILE) ? JSON.parse(fs.readFileSync(BASELINE_FILE, "utf8")) : null;
+  const { regressions, fixes, changed } = diffBaseline(results, baseline);
+
+  if (baseline) {
+    console.log(`\n🔁 Contra baseline (${baseline.generated_at})`);
+    if (fixes.length) console.log(`  ✅ arreglados: ${fixes.join(", ")}`);
+    if (regressions.length) console.log(`  ❌ regresiones: ${regressions.join(", ")}`);
+    if (changed.length) console.log(changed.join("\n"));
+    if (!fixes.length && !regressions.length && !changed.length) console.log("  sin cambios");
+  }
+
+  if (args.update) {
+    // con --only se actualizan sólo esos casos; el resto queda como estaba
+    const next = { generated_at: new Date().toISOString(), cases: { ...(baseline?.cases || {}) } };
+    for (const r of results) next.cases[r.id] = { ok: r.ok, failed: r.failed, actual: r.actual };
+    fs.writeFileSync(BASELINE_FILE, JSON.stringify(next, null, 2) + "\n");
+    console.log(`\n💾 Baseline actualizado (${path.relative(ROOT, BASELINE_FILE)})`);
+  } else if (regressions.length) {
+    process.exitCode = 1;
+  }
+
+  // los threads de Tesseract mantienen vivo el proceso
+  if (args.ocr) process.exit();
+}
+
+main().catch((e) => {
+  console.error("[eval] fatal:", e);
+  process.exit(1);
+});
@@ -0,0 +1,99 @@
+// backend/scripts/merge-phone-duplicates.js
+// Lleva los teléfonos de contactos ya guardados al formato de lib/phone.js (E.164 sin "+")
+// y junta las filas que quedaron partidas por el mismo cliente escrito de varias formas.
+//
+//   npm run merge:phones                       → sólo muestra lo que cambiaría
+//   npm run merge:phones -- --apply            → aplica los cambios
+//   npm run merge:phones -- --project <uuid>   → un solo proyecto
+//
+// Los números sólo-dígitos (los de los JID de WhatsApp, de cualquier país) se dejan como están,
+// salvo que su forma normalizada ya exista en el proyecto: ahí son un duplicado y se juntan.
+import { supabase } from "../lib/supabase.js";
+import { normalizePhone } from "../lib/phone.js";
+import { PLAIN_TABLES, UNIQUE_TABLES, mergeContactRows } from "../lib/contact-merge.js";
+
+const PAGE = 1000;
+
+function parseArgs(argv) {
+  const args = { apply: false, project: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--apply") args.apply = true;
+    else if (a === "--project") args.project = argv[++i];
+    else throw new Error(`argumento desconocido: ${a}`);
+  }
+  return args;
+}
+
+async function* scan(table, key, project) {
+  for (let from = 0; ; from += PAGE) {
+    let q = supabase.from(table).select(`project_id, ${key}`).order("project_id").order(key).range(from, from + PAGE - 1);
+    if (project) q = q.eq("project_id", project);
+    const { data, error } = await q;
+    if (error) throw new Error(`${table}: ${error.message}`);
+    yield* data;
+    if (data.length < PAGE) return;
+  }
+}
+
+/** project_id -> Set de teléfonos guardados (todas las tablas). */
+async function collectContacts(project) {
+  const byProject = new Map();
+  const tables = [...PLAIN_TABLES, ...Object.entries(UNIQUE_TABLES).map(([t, d]) => [t, d.key])];
+  for (const [table, key] of tables) {
+    for await (const row of scan(table, key, project)) {
+      if (!row.project_id || row[key] == null) continue;
+      if (!byProject.has(row.project_id)) byProject.set(row.project_id, new Set());
+      byProject.get(row.project_id).add(String(row[key]));
+    }
+  }
+  return byProject;
+}
+
+/** project_id -> Map(valor guardado -> canónico), sólo los que cambian. */
+function planRenames(byProject) {
+  const plan = new Map();
+  for (const [project_id, values] of byProject) {
+    const renames = new Map();
+    for (const v of values) {
+      const canon = normalizePhone(v);
+      if (!canon || canon === v) continue;
+      const jidLike = /^[1-9]\d*$/.test(v);
+      if (jidLike && !values.has(canon)) continue;
+      renames.set(v, canon);
+    }
+    if (renames.size) plan.set(project_id, renames);
+  }
+  return plan;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  console.log("🔎 Leyendo teléfonos guardados…");
+  const plan = planRenames(await collectContacts(args.project));
+
+  let total = 0;
+  for (const [project_id, renames] of plan) {
+    console.log(`\n📁 Proyecto ${project_id}`);
+    for (const [from, to] of renames) console.log(`  ${from} → ${to}`);
+    total += renames.size;
+  }
+  if (!total) return console.log("\n✅ Nada para normalizar");
+  if (!args.apply) return console.log(`\n${total} teléfonos para normalizar (correr con --apply para aplicar)`);
+
+  const stats = { renamed: 0, merged: 0 };
+  for (const [project_id, renames] of plan) {
+    for (const [from, to] of renames) {
+      const r = await mergeContactRows(project_id, from, to);
+      stats.renamed += r.renamed;
+      stats.merged += r.merged;
+    }
+  }
+  console.log(`\n💾 ${total} teléfonos normalizados · ${stats.renamed} filas renombradas · ${stats.merged} fusionadas`);
+}
+
+main().catch((e) => {
+  console.error("[merge-phones] fatal:", e);
+  process.exit(1);
+});
@@ -8,21 +8,45 @@ import { createClient } from "@supabase/supabase-js";
 import fs from "fs";
 import path from "path";
 import pkg from "whatsapp-web.js";
-const { Client, LocalAuth } = pkg;
-
-/* ===== OCR & parsers ===== */
-import * as TesseractNS from "tesseract.js";
-const Tesseract = TesseractNS.default || TesseractNS;
-
-import * as pdfParseCjs from "pdf-parse";
-const pdfParse = pdfParseCjs.default || pdfParseCjs;
-
-// sharp opcional (mejora OCR en imágenes)
-let sharp = null;
-try {
-  const mod = await import("sharp");
-  sharp = mod.default || mod;
-} catch { /* opcional */ }
+const { Client, LocalAuth, MessageMedia } = pkg;
+import { emitWebhookEvent, startWebhookWorker } from "./lib/webhooks.js";
+import { enqueueJob, registerJobHandler, startJobWorker, permanentJobError, deferJobError } from "./lib/jobs.js";
+import { sendMetaCapiEvent } from "./lib/capi/meta.js";
+import { startCapiWorker } from "./lib/capi/deliveries.js";
+import { sendGa4Event } from "./lib/capi/ga4.js";
+import { sendTikTokEvent } from "./lib/capi/tiktok.js";
+import { TOUCH_TAG_RE, claimLandingTouch, latestTouchForContact, capiUserForContact } from "./lib/landing-touches.js";
+import { CLICK_TAG_RE, recordAdClick, claimAdClick, latestClickForContact, clickAttribution } from "./lib/ad-clicks.js";
+import { recordContactTouch, resolveAttribution } from "./lib/attribution.js";
+import { normalizePhone, contactFromJid, isLidContact, LID_CONTACT_PREFIX } from "./lib/phone.js";
+import { contactForSender } from "./lib/wa-lid.js";
+import { sendPurchaseForConversion } from "./lib/conversions.js";
+import { normalizeAmounts } from "./lib/currency.js";
+import {
+  requireAuth,
+  requireProjectAccess,
+  projectIdForLine,
+  projectFromLineParam,
+  projectFromParam,
+} from "./lib/auth.js";
+import {
+  mediaSha256,
+  normalizeOperationNo,
+  findDuplicateConversion,
+  recordDuplicateReceipt,
+  getCachedOcr,
+  putCachedOcr,
+} from "./lib/receipts/fingerprint.js";
+import { extractReceiptFields } from "./lib/receipts/parser.js";
+import { analyzeReceipt } from "./lib/receipts/pipeline.js";
+import { loadReceiptTemplates } from "./lib/receipts/templates.js";
+import { assessReceiptTampering } from "./lib/receipts/tamper.js";
+import { reviewReceipt } from "./lib/receipts/review.js";
+import { pickRoutedLine, recordLineRouting, waMeLink, invalidateLineRouting } from "./lib/line-routing.js";
+import { rateLimitByIp } from "./lib/rate-limit.js";
+import { fetchPublicUrl } from "./lib/public-url.js";
+
+const ocrCache = { get: getCachedOcr, put: putCachedOcr };
 
 /* =========================
    Config
@@ -45,6 +69,9 @@ const WWEBJS_DATA_PATH =
 // bucket para comprobantes
 const RECEIPTS_BUCKET = process.env.RECEIPTS_BUCKET || "receipts";
 
+// límite del body JSON (los envíos de media llegan en base64)
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || "25mb";
+
 if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE) {
   console.error("❌ Faltan SUPABASE_URL o SUPABASE_SERVICE_ROLE en .env");
   process.exit(1);
@@ -110,75 +137,6 @@ async function assertSupabaseConfig() {
 }
 await assertSupabaseConfig();
 
-/* ===== Meta CAPI helper (envío server-side) ===== */
-async function sendMetaCapiEvent({
-  page_id,
-  event_name,        // 'PageView' | 'Lead' | 'Purchase' | ...
-  value = undefined, // number (para Purchase)
-  currency = "ARS",
-  external_id = null, // teléfono/email en claro (se hashea acá)
-  event_source_url = null,
-  action_source = "chat", // 'chat' porque el origen es WhatsApp
-}) {
-  try {
-    if (!page_id) return;
-
-    // Traemos las credenciales (pixel/token) de esa landing
-    const { data: page, error } = await supabase
-      .from("pages")
-      .select("fb_pixel_id, fb_access_token, fb_test_event_code")
-      .eq("id", page_id)
-      .maybeSingle();
-
-    if (error || !page?.fb_pixel_id || !page?.fb_access_token) return;
-
-    const now = Math.floor(Date.now() / 1000);
-    const event_id = crypto.randomUUID();
-
-    const user_data = {};
-    if (external_id) {
-      user_data.external_id = crypto
-        .createHash("sha256")
-        .update(String(external_id).trim().toLowerCase())
-        .digest("hex");
-    }
-
-    const payload = {
-      data: [
-        {
-          event_name,
-          event_time: now,
-          event_id,
-          action_source,
-          event_source_url: event_source_url || undefined,
-          user_data,
-          custom_data:
-            event_name === "Purchase" && Number.isFinite(value)
-              ? { value, currency }
-              : {},
-          test_event_code: page.fb_test_event_code || undefined,
-        },
-      ],
-    };
-
-    const resp = await fetch(
-      `https://graph.facebook.com/v18.0/${page.fb_pixel_id}/events?access_token=${page.fb_access_token}`,
-      {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-      }
-    );
-
-    if (!resp.ok) {
-      const j = await resp.json().catch(() => ({}));
-      console.warn("Meta CAPI error:", j);
-    }
-  } catch (e) {
-    console.warn("sendMetaCapiEvent failed:", e?.message || e);
-  }
-}
-
 // (⚠️ IMPORTANTE) — Eliminado el `await assertSupabaseConfig();` duplicado aquí.
 
 const lines = new Map(); // line_id -> { client, status, lastQrDataUrl, phone, project_id }
@@ -226,26 +184,12 @@ function clearLocalAuth(line_id) {
   }
 }
 
-async function fetchProjectIdForLine(line_id) {
-  const { data, error } = await supabase
-    .from("lines")
-    .select("project_id")
-    .eq("id", line_id)
-    .maybeSingle();
-
-  if (error) {
-    console.error("[lines] get project_id error:", error);
-    return null;
-  }
-  return data?.project_id || null;
-}
-
 /** Upsert whatsapp_sessions con project_id garantizado (evita NOT NULL). */
 async function upsertSessionRow(line_id, patch) {
   let project_id =
     patch.project_id ??
     lines.get(line_id)?.project_id ??
-    (await fetchProjectIdForLine(line_id));
+    (await projectIdForLine(line_id));
 
   if (!project_id) {
     console.warn(`[${line_id}] whatsapp_sessions omitido: project_id null`);
@@ -295,412 +239,146 @@ async function setState(line_id, patch) {
     await upsertSessionRow(line_id, sess);
     await updateLinesRow(line_id, patch);
   }
+  if ("status" in patch && next.project_id) invalidateLineRouting(next.project_id);
   return next;
 }
 
-// === OCR: imagen/PDF -> texto ===============================================
-async function ocrFromMedia({ base64, mimetype }) {
-  try {
-    const buf = Buffer.from(base64 || "", "base64");
-    if (!buf.length) return "";
-
-    // PDFs
-    if (mimetype === "application/pdf" || /\.pdf$/i.test(mimetype || "")) {
-      try {
-        const { text } = await pdfParse(buf);
-        return (text || "").toString();
-      } catch (e) {
-        console.warn("[OCR] pdf-parse error:", e?.message || e);
-        return "";
-      }
-    }
-
-    // Imágenes: pre-proceso suave si sharp está disponible
-    let img = buf;
-    if (sharp && /^image\/(jpe?g|png|webp)$/i.test(mimetype || "")) {
-      try {
-        img = await sharp(buf)
-          .rotate() // endereza EXIF
-          .resize({ width: 1600, withoutEnlargement: true })
-          .grayscale()
-          .normalize()
-          .toFormat("png")
-          .toBuffer();
-      } catch (e) {
-        console.warn("[OCR] sharp pipeline error:", e?.message || e);
-      }
-    }
-
-    // Tesseract
-    if (!Tesseract || typeof Tesseract.recognize !== "function") {
-      console.warn("[OCR] Tesseract.recognize no disponible");
-      return "";
-    }
+/* =========================
+   Procesamiento de comprobantes (job "receipt.process")
+   ========================= */
 
-    const { data } = await Tesseract.recognize(img, "spa+eng", {
-      tessedit_char_whitelist:
-        "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz$.,:-/ ",
+/**
+ * Hash → duplicado, OCR/score → conversión + Purchase. Corre en el worker de jobs
+ * (o en línea si no se pudo encolar). Devuelve un resumen que queda en jobs.result.
+ */
+async function processIncomingMedia({ line_id, project_id, page_id, slug, contact, wa_phone, caption = "", mediaObj }) {
+  const mimetype = mediaObj.mimetype || "";
+  const isImage = /^image\/(jpeg|png|webp)$/i.test(mimetype);
+  const isPdf   = mimetype === "application/pdf";
+  if (!isImage && !isPdf) return { result: "unsupported", mimetype };
+
+  // ♻️ mismo archivo ya convertido en el proyecto → no se vuelve a procesar
+  const media_sha256 = mediaSha256(mediaObj.data);
+  const hashDup = await findDuplicateConversion(project_id, { media_sha256 });
+  if (hashDup) {
+    await recordDuplicateReceipt({
+      project_id,
+      conversion_id: hashDup.original.id,
+      reason: hashDup.reason,
+      contact,
+      line_id,
+      media_sha256,
     });
-
-    return data?.text || "";
-  } catch (e) {
-    console.warn("[OCR] error:", e?.message || e);
-    return "";
-  }
-}
-
-/* ======== Regex + parsers (Argentina) ======== */
-const RE_CUIT  = /\b\d{2}-?\d{8}-?\d\b/g;
-const RE_CBU   = /\b\d{22}\b/g;
-const RE_ALIAS = /\b[a-z0-9._-]{6,}\b/gi;
-const RE_REF   = /(referencia|ref\.?|c[oó]digo|cod\.?)\s*[:\-]?\s*([A-Z0-9\-]+)/gi;
-const RE_TXN   = /(operaci[oó]n|transacci[oó]n|nro\.?\s*op\.?)\s*[:\-]?\s*([A-Z0-9\-]+)/gi;
-const RE_BANK  =
-  /(banco\s+[A-Za-zÁÉÍÓÚÑ .]+|mercado\s*pago|mercado\s*libre|uala|u?al[aá]|santander|galicia|macro|naci[óo]n|provincia|bbva|patagonia|credicoop|brubank|hsbc|icbc|naranja\s*x|prex)/gi;
-
-/* ======== Bancos comunes (para detección automática) ======== */
-const RE_BANK_NAMES = [
-  { rx: /mercado\s*pago|mercado\s*libre/i, name: "Mercado Pago" },
-  { rx: /\bual[aá]\b/i,                     name: "Ualá" },
-  { rx: /\bsantander\b/i,                   name: "Santander" },
-  { rx: /\bgalicia\b/i,                     name: "Galicia" },
-  { rx: /\bbbva\b/i,                        name: "BBVA" },
-  { rx: /\bmacro\b/i,                       name: "Macro" },
-  { rx: /\bhsbc\b/i,                        name: "HSBC" },
-  { rx: /\bicbc\b/i,                        name: "ICBC" },
-  { rx: /\bnaci[óo]n\b|\bbna\b/i,           name: "Banco Nación" },
-  { rx: /\bpatagonia\b/i,                   name: "Patagonia" },
-  { rx: /\bcredicoop\b/i,                   name: "Credicoop" },
-  { rx: /\bbrubank\b/i,                     name: "Brubank" },
-  { rx: /\bnaranja\s*x\b/i,                 name: "Naranja X" },
-  { rx: /\bprex\b/i,                        name: "Prex" },
-];
-
-function guessBank(text = "") {
-  for (const b of RE_BANK_NAMES) {
-    if (b.rx.test(text)) return b.name;
+    console.log(`[${line_id}] ♻️ Comprobante duplicado (${hashDup.reason}) → conversión ${hashDup.original.id}`);
+    return { result: "duplicate", duplicate_of: hashDup.original.id, reason: hashDup.reason };
   }
-  return null;
-}
-
-/// === OCR extra: fallback agresivo por grilla (Mercado Pago) — v3 con triple-cero por tile ===
-async function tryExtractAmountFromImage({ base64, mimetype }) {
-  if (!sharp) return null;
-  if (!/^image\/(jpe?g|png|webp)$/i.test(mimetype || "")) return null;
-
-  const buf = Buffer.from(base64 || "", "base64");
-  let W = 1200, H = 1800;
-  try {
-    const meta = await sharp(buf).metadata();
-    W = Math.max(1, meta.width  || W);
-    H = Math.max(1, meta.height || H);
-  } catch {}
-
-  // Zona típica de MP (header izq.)
-  const X0 = 0.04, X1 = 0.70; // 4% → 70% del ancho
-  const Y0 = 0.08, Y1 = 0.48; // 8% → 48% del alto
-
-  // Grilla
-  const COLS = 4;
-  const ROWS = 6;
-
-  const startX = Math.floor(W * X0);
-  const startY = Math.floor(H * Y0);
-  const spanW  = Math.max(1, Math.floor(W * (X1 - X0)));
-  const spanH  = Math.max(1, Math.floor(H * (Y1 - Y0)));
-
-  const tileW  = Math.max(1, Math.floor(spanW / COLS));
-  const tileH  = Math.max(1, Math.floor(spanH / ROWS));
-
-  const padW = Math.floor(W * 0.08);
-  const padH = Math.floor(H * 0.04);
-
-  const NBSP = "\u00A0", NNSP = "\u202F";
-  const RE_$AMT   = new RegExp(String.raw`\$\s*([0-9][0-9.,\s${NBSP}${NNSP}]*)`);
-  const RE_GROUP  = new RegExp(String.raw`\b([1-9][0-9]{0,2}(?:[.\s${NBSP}${NNSP}][0-9]{3})+|[1-9][0-9]{4,})(?:[.,]\d{1,2})?\b`);
-  const RE_TRIPLE_ZERO_HINT = /[.,](?:0{3}|0{2}[oO]|0[oO]0|[oO]0{2})(?!\d)/;
-
-  const pipelines = [
-    i => i.grayscale().normalize().linear(1.35, -18),
-    i => i.grayscale().normalize().median(1).linear(1.5, -20).threshold(150),
-    i => i.grayscale().normalize().linear(1.8, -25).gamma(0.9),
-  ];
-
-  const readPiece = async (input) => {
-    for (const psm of [6, 7]) {
-      try {
-        const { data } = await Tesseract.recognize(input, "spa+eng", {
-          tessedit_char_whitelist: "0123456789$., ",
-          tessedit_pageseg_mode: String(psm),
-          preserve_interword_spaces: "1",
-        });
-        const raw = (data?.text || "").trim();
-        if (!raw) continue;
-
-        const hasTripleZero = RE_TRIPLE_ZERO_HINT.test(raw);
 
-        let m = raw.match(RE_$AMT);
-        if (m) {
-          let v = toNumberARS(m[1]);
-          if (Number.isFinite(v) && v < 1000 && hasTripleZero) v *= 1000;
-          if (Number.isFinite(v) && v > 0) return v;
-        }
-
-        m = raw.match(RE_GROUP);
-        if (m) {
-          let v = toNumberARS(m[0]);
-          if (Number.isFinite(v) && v < 1000 && hasTripleZero) v *= 1000;
-          if (Number.isFinite(v) && v > 0) return v;
-        }
-      } catch {}
-    }
-    return null;
-  };
-
-  let best = null;
-
-  for (let r = 0; r < ROWS && !best; r++) {
-    for (let c = 0; c < COLS && !best; c++) {
-      const baseLeft = startX + c * tileW;
-      const baseTop  = startY + r * tileH;
-
-      const left = Math.max(0, baseLeft - Math.floor(padW / 2));
-      const top  = Math.max(0, baseTop  - Math.floor(padH / 2));
-
-      let width  = Math.min(tileW + padW, W - left);
-      let height = Math.min(tileH + padH, H - top);
-
-      if (!Number.isFinite(width) || !Number.isFinite(height)) continue;
-      width  = Math.floor(width);
-      height = Math.floor(height);
-      if (width <= 16 || height <= 16) continue;
+  const registry = await loadReceiptTemplates(project_id);
+  const analysis = await analyzeReceipt({
+    base64: mediaObj.data,
+    mimetype,
+    caption,
+    media_sha256,
+    cache: ocrCache,
+    registry,
+    logTag: line_id,
+  });
+  const { combined, score, amount, currency, provider } = analysis;
 
-      try {
-        const resized = await sharp(buf)
-          .extract({ left, top, width, height })
-          .resize({ width: Math.max(600, width * 2), withoutEnlargement: false })
-          .toBuffer();
-
-        for (const make of pipelines) {
-          const png = await make(sharp(resized).clone()).toFormat("png").toBuffer();
-          const v = await readPiece(png);
-          if (Number.isFinite(v) && v > 0) {
-            best = best ? Math.max(best, v) : v;
-            break;
-          }
-        }
-      } catch {}
-    }
+  if (!analysis.passed) {
+    console.log(`[${line_id}] ❎ Ignorado (no parece comprobante) score:${score}, amount:${amount}`);
+    return { result: "ignored", score, amount };
   }
-  return best;
-}
-
-// === OCR: imagen/PDF -> texto (duplicado legacy, no usado) ===================
-async function ocrsaFromMedia({ base64, mimetype }) {
-  try {
-    const buf = Buffer.from(base64 || "", "base64");
-    if (!buf.length) return "";
 
-    if (mimetype === "application/pdf" || /\.pdf$/i.test(mimetype || "")) {
-      try {
-        const { text } = await pdfParse(buf);
-        return (text || "").toString();
-      } catch (e) {
-        console.warn("[OCR] pdf-parse error:", e?.message || e);
-        return "";
-      }
-    }
-
-    let img = buf;
-    if (sharp && /^image\/(jpe?g|png|webp)$/i.test(mimetype || "")) {
-      try {
-        img = await sharp(buf)
-          .rotate()
-          .resize({ width: 1600, withoutEnlargement: true })
-          .grayscale()
-          .normalize()
-          .toFormat("png")
-          .toBuffer();
-      } catch (e) {
-        console.warn("[OCR] sharp pipeline error:", e?.message || e);
-      }
-    }
-
-    if (!Tesseract || typeof Tesseract.recognize !== "function") {
-      console.warn("[OCR] Tesseract.recognize no disponible");
-      return "";
-    }
-
-    const { data } = await Tesseract.recognize(img, "spa+eng", {
-      tessedit_char_whitelist:
-        "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz$.,:-/ ",
-    });
-
-    return data?.text || "";
-  } catch (e) {
-    console.warn("[OCR] error:", e?.message || e);
-    return "";
+  // 🕵️ señales de adulteración (metadata, copia de otro contacto, totales, zona del monto)
+  const tamper = await assessReceiptTampering({
+    base64: mediaObj.data,
+    mimetype,
+    text: combined,
+    project_id,
+    contact,
+    region: analysis.amountRegion,
+  });
+  if (tamper.tamper_reasons.length) {
+    console.log(`[${line_id}] 🕵️ Señales de adulteración (${tamper.tamper_score}): ${tamper.tamper_reasons.join(", ")}`);
   }
-}
-
-/* ======================
-   Monto en ARS robusto (v2)
-   ====================== */
-const NBSP = "\u00A0";
-const NNSP = "\u202F";
-const RE_SEP = new RegExp(`[.\\s${NBSP}${NNSP}]`, "g");
-
-function toNumberARS(raw) {
-  if (raw == null) return null;
-
-  const original = String(raw);
-
-  let s = original
-    .replace(/(?<=\d)[oO](?=\d)/g, "0")
-    .replace(/[^\d.,\u00A0\u202F]/g, "")
-    .replace(/\u00A0|\u202F/g, " ")
-    .replace(/\s+/g, "")
-    .replace(/^[.,]+|[.,]+$/g, "");
-
-  if (!s) return null;
 
-  const hasOcrTripleZero =
-    /[.,](?:0{3}|0{2}[oO]|0[oO]0|[oO]0{2})(?!\d)/.test(original);
+  const saved = await saveReceiptAndCreateConversion({
+    project_id,
+    page_id,
+    slug,
+    contact_phone: contact,
+    wa_phone,
+    media: mediaObj,
+    media_sha256,
+    captionText: combined,
+    line_id,
+    forceAmount: amount,
+    currency,
+    provider,
+    registry,
+    tamper,
+  });
 
-  if (s.includes(".") && s.includes(",")) {
-    s = s.replace(/\./g, "").replace(",", ".");
-    const v = parseFloat(s);
-    return Number.isFinite(v) ? v : null;
+  if (saved.duplicate_of) {
+    console.log(`[${line_id}] ♻️ Comprobante duplicado (${saved.duplicate_reason}) → conversión ${saved.duplicate_of}`);
+    return { result: "duplicate", duplicate_of: saved.duplicate_of, reason: saved.duplicate_reason };
   }
 
-  if (s.includes(",")) {
-    const looksThousandsComma = /^\d{1,3}(?:,\d{3})+(?:,\d{1,2})?$/.test(s);
-    if (looksThousandsComma) {
-      const parts = s.split(",");
-      if (parts[parts.length - 1].length <= 2) {
-        const dec = parts.pop();
-        s = parts.join("") + "." + dec;
-      } else {
-        s = parts.join("");
-      }
-    } else {
-      s = s.replace(/\./g, "").replace(",", ".");
-    }
-    const v = parseFloat(s);
-    return Number.isFinite(v) ? v : null;
+  // sin fila guardada no hay Purchase: saltearía las retenciones (aprobación, cuenta, antigüedad, tampering)
+  const conv = saved.conversion;
+  if (!conv) {
+    console.error(`[${line_id}] ❌ Comprobante sin conversión guardada (${currency} ${amount})`);
+    return { result: "error", error: "conversion_not_saved", score, amount };
+  }
+  if (conv.status === "rejected") {
+    console.log(`[${line_id}] 🚫 Comprobante rechazado (${conv.review_note || conv.review_reasons?.join(", ") || "-"})`);
+    return { result: "rejected", conversion_id: conv.id, score, amount };
   }
 
-  if (s.includes(".")) {
-    const parts = s.split(".");
-    const last = parts[parts.length - 1];
-
-    if (hasOcrTripleZero) {
-      s = s.replace(/\./g, "");
-      const v = parseFloat(s);
-      return Number.isFinite(v) ? v : null;
-    }
-
-    if (/^0{3}$/.test(last) || last.length === 3) {
-      s = s.replace(/\./g, "");
-      const v = parseFloat(s);
-      return Number.isFinite(v) ? v : null;
-    }
-
-    if (/^\d{1,3}(?:\.\d{3})+(?:\.\d{1,2})?$/.test(s)) {
-      const dec = parts.pop();
-      s = parts.join("") + "." + dec;
-      const v = parseFloat(s);
-      return Number.isFinite(v) ? v : null;
-    }
+  await supabase
+    .from("agenda")
+    .update({
+      status: "conversion",
+      last_message_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    })
+    .eq("project_id", project_id)
+    .eq("contact", contact);
 
-    let v = parseFloat(s);
+  console.log(`[${line_id}] ✅ Comprobante procesado (score:${score}, ${currency} ${amount}, ${conv.status})`);
 
-    if (Number.isFinite(v) && v < 1000 && /\.0{3,}\b/.test(original)) {
-      v *= 1000;
-    }
-    return Number.isFinite(v) ? v : null;
+  // 🔵 Meta CAPI: Purchase (si requiere revisión, sale al aprobarla)
+  try {
+    if (conv.status === "received") await sendPurchaseForConversion(conv);
+  } catch (e) {
+    console.warn("[meta-capi] Purchase send error:", e?.message || e);
   }
 
-  const v = parseFloat(s);
-  return Number.isFinite(v) ? v : null;
+  return { result: "conversion", conversion_id: conv.id, status: conv.status, score, amount };
 }
 
-// 🔎 Detector de monto muy tolerante
-function findBestAmount(text = "") {
-  if (!text) return null;
-
-  const norm = String(text)
-    .replace(/\r/g, "")
-    .replace(/[‘’´`]/g, "'")
-    .replace(/[“”]/g, '"')
-    .replace(new RegExp(`[${NBSP}${NNSP}]`, "g"), " ")
-    .replace(/S\s*\$/gi, "$")
-    .replace(/\bS\s*([0-9])/gi, "$$1")
-    .replace(/\bARS\s*/gi, "$");
-
-  const lines = norm.split(/\n+/).map(s => s.trim()).filter(Boolean);
-
-  const BAD_CTX =
-    /(cuit|cuil|cvu|cbu|coelsa|operaci[oó]n|transacci[oó]n|identificaci[oó]n|c[oó]digo|n[uú]mero|referencia)/i;
-
-  const KEY_NEAR =
-    /(comprobante|transferencia|motivo|mercado\s*pago|pagaste|enviaste|de\b|para\b|monto|importe|total)/i;
-
-  const toFloatFlexible = (raw) =>
-    toNumberARS(String(raw).replace(new RegExp(`[${NBSP}${NNSP}]`, "g"), " ").trim());
-
-  const candidates = [];
-  const pushCand = (v, prio) => {
-    if (Number.isFinite(v) && v >= 50 && v <= 10_000_000) candidates.push({ v, prio });
-  };
-
-  const RE_CURRENCY_ANY = /\$\s*([0-9][0-9.,\s\u00A0\u202F]*)/g;
-
-  lines.forEach((line) => {
-    if (!line || BAD_CTX.test(line) || !/\$/.test(line)) return;
-    let m;
-    while ((m = RE_CURRENCY_ANY.exec(line)) !== null) {
-      const v = toFloatFlexible(m[1]);
-      pushCand(v, 6);
-    }
-  });
-
-  const RE_GROUPED_OR_LONG =
-    /\b([1-9][0-9]{0,2}(?:[.,\s\u00A0\u202F][0-9]{3})+|[1-9][0-9]{4,})(?:[.,]\d{1,2})?\b/g;
-
-  if (candidates.length === 0) {
-    lines.forEach((line, idx) => {
-      if (!line || BAD_CTX.test(line)) return;
-
-      let m;
-      while ((m = RE_GROUPED_OR_LONG.exec(line)) !== null) {
-        const raw = m[0];
-        if (!/[.,\s\u00A0\u202F]/.test(raw)) {
-          const asInt = parseInt(raw, 10);
-          if (asInt >= 1900 && asInt <= 2099) continue;
-        }
-        const v = toFloatFlexible(raw);
-
-        let bonus = 0;
-        for (let k = Math.max(0, idx - 3); k <= Math.min(lines.length - 1, idx + 3); k++) {
-          if (KEY_NEAR.test(lines[k])) {
-            const dist = Math.abs(k - idx);
-            bonus = Math.max(bonus, 3 - dist);
-          }
-        }
-        pushCand(v, 2 + bonus);
-      }
-    });
+// El worker necesita la línea conectada: el mensaje se vuelve a buscar en su cliente.
+// Mientras la línea no está lista (p.ej. tras un reinicio) el trabajo espera sin gastar intentos.
+const RECEIPT_LINE_WAIT_MS = 24 * 3_600_000;
+const RECEIPT_LINE_RETRY_MS = 60_000;
+
+registerJobHandler("receipt.process", async (job) => {
+  const p = job.payload || {};
+  const st = lines.get(p.line_id);
+  if (!st?.client || st.status !== "ready") {
+    if (Date.now() - Date.parse(job.created_at) > RECEIPT_LINE_WAIT_MS) throw permanentJobError("line_not_ready");
+    throw deferJobError("line_not_ready", RECEIPT_LINE_RETRY_MS);
   }
 
-  if (candidates.length === 0) return null;
+  const msg = await st.client.getMessageById(p.msg_id);
+  if (!msg) throw new Error("message_not_found");
 
-  const hasBig = candidates.some(c => c.v >= 1000);
-  const pool = hasBig ? candidates.filter(c => c.v >= 1000) : candidates;
+  const mediaObj = await msg.downloadMedia();
+  if (!mediaObj?.data) throw new Error("media_unavailable");
 
-  pool.sort((a, b) => (b.prio - a.prio) || (b.v - a.v));
-  return pool[0].v ?? null;
-}
+  return processIncomingMedia({ ...p, mediaObj });
+});
 
 /* =========================
    Ciclo de vida del cliente
@@ -728,7 +406,7 @@ async function attachClient(line_id, client) {
     project_id: null,
   };
 
-  state.project_id = await fetchProjectIdForLine(line_id);
+  state.project_id = await projectIdForLine(line_id);
   lines.set(line_id, state);
   await setState(line_id, {
     status: "initializing",
@@ -780,7 +458,7 @@ async function attachClient(line_id, client) {
       seenMsgs.add(key);
 
       const jid = (msg.from || "").toLowerCase();
-      if (!jid.endsWith("@c.us")) return;
+      if (!jid.endsWith("@c.us") && !jid.endsWith("@lid")) return;
       if (msg.fromMe) return;
 
       console.log(`[${line_id}] msg:`, {
@@ -791,7 +469,15 @@ async function attachClient(line_id, client) {
         bodyLen: (msg.body || "").length,
       });
 
-      const contact = jid.split("@")[0].replace(/\D+/g, "");
+      // @lid → teléfono si WhatsApp lo expone (wa_lid_map), si no "lid:<id>"
+      const contact = await contactForSender({
+        client,
+        msg,
+        jid,
+        project_id: lines.get(line_id)?.project_id || (await projectIdForLine(line_id)),
+        line_id,
+      });
+      if (!contact) return;
       const body = msg.body || "";
       const caption = (msg.caption || "").trim();
       const textForTag = [body, caption].filter(Boolean).join(" ");
@@ -800,7 +486,7 @@ async function attachClient(line_id, client) {
       const taggedSlug = tagMatch ? tagMatch[1] : null;
 
       const st = lines.get(line_id) || {};
-      let project_id = st.project_id || (await fetchProjectIdForLine(line_id));
+      let project_id = st.project_id || (await projectIdForLine(line_id));
       let page_id = null;
       let slug = taggedSlug || null;
 
@@ -817,20 +503,80 @@ async function attachClient(line_id, client) {
         }
       }
 
-      const wa_phone = st.phone || null;
+      // click de anuncio (#c:TOKEN, viene de /r/:slug): campaña/anuncio del chat
+      const clickMatch = textForTag.match(CLICK_TAG_RE);
+      const click = clickMatch ? await claimAdClick(clickMatch[1], { project_id, contact }) : null;
+      if (click && !page_id) {
+        page_id = click.page_id;
+        slug = click.slug;
+        project_id = click.project_id || project_id;
+      }
 
-      // 1) registrar chat
-      const { error: insErr } = await supabase.from("analytics_chats").insert({
+      // toque de la landing (#t:TOKEN o el que dejó el click): fbc/fbp/event_id del Pixel para CAPI
+      const touchMatch = textForTag.match(TOUCH_TAG_RE);
+      const touchToken = touchMatch?.[1] || click?.touch_token || null;
+      const claimedTouch = touchToken ? await claimLandingTouch(touchToken, { project_id, contact }) : null;
+      if (claimedTouch && !page_id) {
+        page_id = claimedTouch.page_id;
+        slug = claimedTouch.slug;
+        project_id = claimedTouch.project_id || project_id;
+      }
+      const touch = claimedTouch || (await latestTouchForContact(project_id, contact));
+
+      // chat que vino de un link de derivación → cuenta para el tope diario de la línea
+      if (project_id && (taggedSlug || click || claimedTouch)) {
+        await recordLineRouting({
+          project_id,
+          page_id,
+          line_id,
+          contact,
+          source: click ? "redirect" : claimedTouch ? "landing" : "tag",
+        });
+      }
+
+      // historial de toques → página acreditada según el modelo del proyecto (first/last/last non-null)
+      const contactTouch = await recordContactTouch({
         project_id,
+        contact,
         page_id,
         slug,
+        source: click ? "click" : claimedTouch ? "landing" : page_id ? "tag" : "organic",
+        ad_click_id: click?.id || null,
+        landing_touch_id: claimedTouch?.id || null,
         line_id,
-        wa_phone,
-        contact,
-        message: body || caption || "",
-        created_at: new Date().toISOString(),
       });
+      let creditedClick = click || (await latestClickForContact(project_id, contact));
+      if (contactTouch) {
+        // sin historial guardado (insert fallido) queda la página del propio mensaje
+        const credited = await resolveAttribution(project_id, contact);
+        page_id = credited?.page_id || null;
+        slug = credited?.slug || null;
+        creditedClick = credited?.ad_click || null;
+      }
+      const attribution = clickAttribution(creditedClick);
+
+      const wa_phone = st.phone || null;
+
+      // 1) registrar chat
+      const { data: chatRow, error: insErr } = await supabase
+        .from("analytics_chats")
+        .insert({
+          project_id,
+          page_id,
+          slug,
+          line_id,
+          wa_phone,
+          contact,
+          message: body || caption || "",
+          landing_touch_id: touch?.id || null,
+          contact_touch_id: contactTouch?.id || null,
+          ...attribution,
+          created_at: new Date().toISOString(),
+        })
+        .select()
+        .maybeSingle();
       if (insErr) console.error("[analytics_chats] insert error:", insErr);
+      else emitWebhookEvent(project_id, "chat.created", chatRow);
 
       // 2) guardar nombre + avatar
       try {
@@ -857,14 +603,13 @@ async function attachClient(line_id, client) {
         console.warn(`[${line_id}] ⚠️ Error guardando contacto:`, e?.message || e);
       }
 
-      // 3) agenda -> new
+      // 3) agenda -> new (sin página acreditada no se pisa el origen que ya tenía)
       const { error: agErr } = await supabase.from("agenda").upsert(
         {
           project_id,
           contact,
           wa_phone,
-          source_slug: slug,
-          source_page_id: page_id,
+          ...(page_id ? { source_slug: slug, source_page_id: page_id } : {}),
           last_message_at: new Date().toISOString(),
           status: "new",
           updated_at: new Date().toISOString(),
@@ -874,6 +619,7 @@ async function attachClient(line_id, client) {
       if (agErr) console.error("[agenda] upsert error:", agErr);
 
       // 3.1) LEAD ÚNICO (una vez por proyecto+teléfono)
+      let isNewLead = false;
       try {
         const { data: leadExists, error: leadSelErr } = await supabase
           .from("analytics_leads")
@@ -883,7 +629,7 @@ async function attachClient(line_id, client) {
           .maybeSingle();
 
         if (!leadExists) {
-          const { error: leadInsErr } = await supabase
+          const { data: leadRow, error: leadInsErr } = await supabase
             .from("analytics_leads")
             .insert({
               project_id,
@@ -891,9 +637,16 @@ async function attachClient(line_id, client) {
               wa_phone,
               source_slug: slug || null,
               source_page_id: page_id || null,
+              ...attribution,
               created_at: new Date().toISOString(),
-            });
+            })
+            .select()
+            .maybeSingle();
           if (leadInsErr) console.error("[analytics_leads] insert error:", leadInsErr);
+          else {
+            isNewLead = true;
+            emitWebhookEvent(project_id, "lead.created", leadRow);
+          }
         }
       } catch (e) {
         console.warn("[analytics_leads] upsert-once error:", e?.message || e);
@@ -926,12 +679,16 @@ async function attachClient(line_id, client) {
       }
 
       // 🔵 Meta CAPI: LEAD
+      const capiUser = page_id ? await capiUserForContact(project_id, contact, { touch }) : null;
       try {
         if (page_id) {
+          // mismo event_id que el Lead del Pixel en la landing → Meta cuenta uno solo
           await sendMetaCapiEvent({
             page_id,
             event_name: "Lead",
             external_id: contact,
+            user: capiUser,
+            event_id: touch?.event_id || null,
             action_source: "chat",
           });
         }
@@ -939,166 +696,60 @@ async function attachClient(line_id, client) {
         console.warn("[meta-capi] Lead send error:", e?.message || e);
       }
 
-      // 4) ¿es comprobante?
-      const looksLikeMedia = msg.hasMedia === true || msg.type === "image" || msg.type === "document";
-      if (looksLikeMedia) {
-        let mediaObj = null;
-        try {
-          mediaObj = await msg.downloadMedia();
-        } catch (e) {
-          console.warn(`[${line_id}] ⚠️ downloadMedia error:`, e?.message || e);
+      // ⚫ TikTok: Lead (mismo event_id que el pixel de la landing)
+      try {
+        if (page_id) {
+          await sendTikTokEvent({
+            page_id,
+            event: "Lead",
+            external_id: contact,
+            user: capiUser,
+            event_id: touch?.event_id || null,
+          });
         }
+      } catch (e) {
+        console.warn("[tiktok] Lead send error:", e?.message || e);
+      }
 
-        if (mediaObj?.data) {
-          const mimetype = mediaObj.mimetype || "";
-          const isImage = /^image\/(jpeg|png|webp)$/i.test(mimetype);
-          const isPdf   = mimetype === "application/pdf";
-
-          if (isImage || isPdf) {
-            const cap = (msg.caption || msg.body || "").trim();
-            const ocrText = await ocrFromMedia({ base64: mediaObj.data, mimetype });
-            const combined = [cap, ocrText].filter(Boolean).join("\n");
-
-            let { score, amount, provider } = scoreReceiptText(combined);
-
-            // === Reglas de normalización de monto ===
-            const IS_MP = /mercado\s*pago/i.test(combined);
-
-            // 1) patrón fuerte de miles -> usar el mayor (con filtros anti-CVU/CBU/CUIT)
-            if (!Number.isFinite(amount) || amount < 1000) {
-              const NB = "\u00A0", NN = "\u202F";
-              const RE_GROUPED =
-                new RegExp(String.raw`\$?\s*([1-9]\d{0,2}(?:[.\s${NB}${NN}]\d{3})+)(?:[.,]\d{1,2})?\b`, "g");
-
-              // mismas heurísticas que findBestAmount
-              const BAD_CTX =
-                /(cuit|cuil|cvu|cbu|coelsa|operaci[oó]n|transacci[oó]n|identificaci[oó]n|c[oó]digo|n[uú]mero|referencia)/i;
-              const KEY_NEAR =
-                /(comprobante|transferencia|motivo|mercado\s*pago|pagaste|de\b|para\b|monto|importe|total)/i;
-
-              const linesForSafety = (combined || "")
-                .replace(/\r/g, "")
-                .split(/\n+/)
-                .map(s => s.trim())
-                .filter(Boolean);
-
-              let maxBig = null;
-
-              for (const ln of linesForSafety) {
-                if (BAD_CTX.test(ln)) continue;
-                const hasCurrency = /\$/.test(ln);
-                const nearMoney   = KEY_NEAR.test(ln);
-                if (!hasCurrency && !nearMoney) continue;
-
-                let m;
-                while ((m = RE_GROUPED.exec(ln)) !== null) {
-                  const raw = m[1];
-                  const digits = raw.replace(/[^\d]/g, "");
-                  const len = digits.length;
-                  if (len >= 15 || len === 22) continue; // evita CVU/CBU/IDs
-
-                  const v = toNumberARS(raw);
-                  if (!Number.isFinite(v)) continue;
-                  if (v >= 1000 && v <= 10_000_000) {
-                    maxBig = maxBig ? Math.max(maxBig, v) : v;
-                  }
-                }
-              }
-
-              if (Number.isFinite(maxBig)) {
-                amount = maxBig;
-                score = Math.max(score, 10);
-                console.log(`[${line_id}] 🔧 Safety monto → $${amount}`);
-              }
-            }
-
-            // 2) pista ".000"/variantes -> escalar
-            {
-              const RE_TRIPLE_ZERO_HINT = /[.,](?:0{3}|0{2}[oO]|0[oO]0|[oO]0{2})(?!\d)/;
-              if (Number.isFinite(amount) && amount < 1000 && RE_TRIPLE_ZERO_HINT.test(combined)) {
-                amount = amount * 1000;
-                score = Math.max(score, 10);
-                console.log(`[${line_id}] 🔧 Ajuste miles → $${amount}`);
-              }
-            }
-
-            // 3) regla MP x1000 via env
-            const MP_FORCE_X1000 = (process.env.MP_FORCE_X1000 || "true") === "true";
-            if (MP_FORCE_X1000 && IS_MP && Number.isFinite(amount) && amount > 0 && amount < 1000) {
-              amount = amount * 1000;
-              score = Math.max(score, 10);
-              provider = provider || "Mercado Pago";
-              console.log(`[${line_id}] ⚙️ Regla MP x1000 → $${amount}`);
-            }
-
-            // 4) Fallback visual sólo para MP
-            if ((!Number.isFinite(amount) || amount <= 0) &&
-                IS_MP &&
-                /^image\/(jpeg|png|webp)$/i.test(mimetype)) {
-              const fallbackAmount = await tryExtractAmountFromImage({ base64: mediaObj.data, mimetype });
-              if (Number.isFinite(fallbackAmount) && fallbackAmount > 0) {
-                amount = fallbackAmount;
-                score = Math.max(score, 12);
-                provider = provider || "Mercado Pago";
-                console.log(`[${line_id}] 🔎 Fallback de monto OK → $${amount}`);
-              } else {
-                console.log(`[${line_id}] 🔎 Fallback de monto sin éxito`);
-              }
-            }
-
-            // 5) post-fallback MP x1000
-            if (MP_FORCE_X1000 && IS_MP && Number.isFinite(amount) && amount > 0 && amount < 1000) {
-              amount = amount * 1000;
-              score = Math.max(score, 12);
-              provider = provider || "Mercado Pago";
-              console.log(`[${line_id}] ⚙️ MP x1000 (post) → $${amount}`);
-            }
-
-            if (score >= 4 && amount && amount > 0) {
-              await saveReceiptAndCreateConversion({
-                project_id,
-                page_id,
-                slug,
-                contact_phone: contact,
-                wa_phone,
-                media: mediaObj,
-                captionText: combined,
-                line_id,
-                forceAmount: amount,
-              });
-
-              await supabase
-                .from("agenda")
-                .update({
-                  status: "conversion",
-                  last_message_at: new Date().toISOString(),
-                  updated_at: new Date().toISOString(),
-                })
-                .eq("project_id", project_id)
-                .eq("contact", contact);
-
-              console.log(`[${line_id}] ✅ Comprobante procesado (score:${score}, $${amount})`);
-
-              // 🔵 Meta CAPI: Purchase
-              try {
-                if (page_id && Number.isFinite(amount) && amount > 0) {
-                  await sendMetaCapiEvent({
-                    page_id,
-                    event_name: "Purchase",
-                    external_id: contact,
-                    value: amount,
-                    currency: "ARS",
-                    action_source: "chat",
-                  });
-                }
-              } catch (e) {
-                console.warn("[meta-capi] Purchase send error:", e?.message || e);
-              }
-
-            } else {
-              console.log(`[${line_id}] ❎ Ignorado (no parece comprobante) score:${score}, amount:${amount}`);
-            }
+      // 🟢 GA4: generate_lead (GA4 no deduplica → sólo con el primer chat del contacto)
+      try {
+        if (page_id && isNewLead) {
+          await sendGa4Event({
+            page_id,
+            name: "generate_lead",
+            contact,
+            ga_client_id: capiUser?.ga_client_id,
+          });
+        }
+      } catch (e) {
+        console.warn("[ga4] generate_lead send error:", e?.message || e);
+      }
+
+      // 4) ¿es comprobante? → a la cola; el worker baja la media y la procesa
+      const looksLikeMedia = msg.hasMedia === true || msg.type === "image" || msg.type === "document";
+      if (looksLikeMedia) {
+        const payload = {
+          line_id,
+          msg_id: key,
+          project_id,
+          page_id,
+          slug,
+          contact,
+          wa_phone,
+          caption: (msg.caption || msg.body || "").trim(),
+        };
+        const job = await enqueueJob("receipt.process", payload, { project_id, dedupe_key: `receipt:${key}` });
+        if (job) {
+          console.log(`[${line_id}] 📥 Media encolada (job ${job.id})`);
+        } else {
+          // sin cola disponible: se procesa en línea para no perder el comprobante
+          let mediaObj = null;
+          try {
+            mediaObj = await msg.downloadMedia();
+          } catch (e) {
+            console.warn(`[${line_id}] ⚠️ downloadMedia error:`, e?.message || e);
           }
+          if (mediaObj?.data) await processIncomingMedia({ ...payload, mediaObj });
         }
       }
 
@@ -1189,11 +840,17 @@ const corsOptions = {
   allowedHeaders: ["Content-Type", "Authorization", "x-line-id", "x-api-key"],
 };
 
-app.use(cors(corsOptions));
-app.options("*", cors(corsOptions));
+// /api/landing/* lo llaman las landings (dominios de los clientes): cualquier origin, sin credenciales
+const isPublicPath = (p) => p.startsWith("/api/landing/");
+const privateCors = cors(corsOptions);
+const publicCors = cors({ origin: true, methods: ["GET", "POST", "OPTIONS"], allowedHeaders: ["Content-Type"] });
+const pickCors = (req, res, next) => (isPublicPath(req.path) ? publicCors : privateCors)(req, res, next);
+
+app.use(pickCors);
+app.options("*", pickCors);
 app.set("trust proxy", 1);
 
-app.use(express.json());
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
 
 // (Opcional) log rápido para ver el origin que llega
 app.use((req, _res, next) => {
@@ -1204,13 +861,139 @@ app.use((req, _res, next) => {
 // ✅ Healthcheck
 app.get("/health", (_req, res) => res.status(200).send("ok"));
 
-/** Página QR simple (dev) */
-app.get("/qr", async (req, res) => {
-  const { line_id } = req.query;
-  if (!line_id) return res.status(400).send("line_id required");
-  await ensureClient(line_id);
+/** Líneas del proyecto listas en este proceso (candidatas para la rotación). */
+function liveLinesForProject(project_id) {
+  const out = [];
+  for (const [line_id, st] of lines.entries()) {
+    if (st.project_id === project_id && st.status === "ready" && st.phone) out.push({ line_id, phone: st.phone });
+  }
+  return out;
+}
+
+/**
+ * Línea sana para mandar al cliente (rotación ponderada con topes, ver lib/line-routing.js):
+ * primero las listas en memoria; sin ninguna, las que la DB da por conectadas.
+ */
+function pickLineForProject(project_id, { page_id = null } = {}) {
+  return pickRoutedLine({ project_id, page_id, live: liveLinesForProject(project_id) });
+}
+
+async function pageForRouting({ slug = null, page_id = null }) {
+  let q = supabase.from("pages").select("id, slug, project_id");
+  q = page_id ? q.eq("id", page_id) : q.eq("slug", String(slug));
+  const { data, error } = await q.maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * GET /r/:slug?utm_*=&campaign_id=&adset_id=&ad_id=&fbclid=&gclid=&ttclid=&text=
+ * Link de los anuncios: registra el click y redirige a wa.me con `#p:slug #c:TOKEN` en el mensaje.
+ * Público (lo abre el navegador del cliente). Si no se puede registrar el click, redirige igual.
+ * Límite por IP: AD_REDIRECT_RATE_MAX pedidos por minuto (429).
+ */
+app.get("/r/:slug", rateLimitByIp({ max: Number(process.env.AD_REDIRECT_RATE_MAX || 60) }), async (req, res) => {
+  try {
+    const page = await pageForRouting({ slug: req.params.slug });
+    if (!page) return res.status(404).send("Página no encontrada");
+
+    const line = await pickLineForProject(page.project_id, { page_id: page.id });
+    if (!line) return res.status(503).send("No hay líneas de WhatsApp disponibles");
+
+    const click = await recordAdClick(page, {
+      query: req.query,
+      line_id: line.line_id,
+      wa_phone: line.phone,
+      client_ip: req.ip,
+      user_agent: req.get("user-agent"),
+      referer: req.get("referer"),
+    });
+
+    const greeting = String(req.query.text || "Hola!").slice(0, 500);
+    const text = [greeting, `#p:${page.slug}`, click ? `#c:${click.token}` : null].filter(Boolean).join(" ");
+    res.redirect(302, waMeLink(line.phone, text));
+  } catch (e) {
+    console.error("[r/:slug] error:", e);
+    res.status(500).send("Error");
+  }
+});
+
+/**
+ * GET /api/landing/route?slug=|page_id=&text=
+ * Público (lo llama la landing): número sano para el botón de WhatsApp.
+ * Respuesta: { ok, phone, wa_link } · 503 no_line_available si ninguna línea está conectada o con cupo.
+ * No gasta cupo (cuenta el chat cuando llega) · límite por IP: LANDING_ROUTE_RATE_MAX pedidos por minuto.
+ */
+app.get("/api/landing/route", rateLimitByIp({ max: Number(process.env.LANDING_ROUTE_RATE_MAX || 30) }), async (req, res) => {
+  try {
+    const { slug = null, page_id = null, text = null } = req.query;
+    if (!slug && !page_id) return res.status(400).json({ ok: false, error: "slug o page_id requerido" });
+
+    const page = await pageForRouting({ slug, page_id });
+    if (!page) return res.status(404).json({ ok: false, error: "page_not_found" });
+
+    const line = await pickLineForProject(page.project_id, { page_id: page.id });
+    if (!line) return res.status(503).json({ ok: false, error: "no_line_available" });
 
-  res.send(`
+    res.json({ ok: true, phone: line.phone, wa_link: waMeLink(line.phone, text ? String(text).slice(0, 500) : null) });
+  } catch (e) {
+    console.error("[api/landing/route] error:", e);
+    res.status(500).json({ ok: false, error: "server_error" });
+  }
+});
+
+/**
+ * GET /api/projects/:projectId/route-line?page_id=&text=
+ * Igual que /api/landing/route pero por proyecto (integraciones con API key); incluye line_id.
+ */
+app.get(
+  "/api/projects/:projectId/route-line",
+  requireAuth("lines:manage"),
+  requireProjectAccess(projectFromParam),
+  async (req, res) => {
+    try {
+      const { projectId } = req.params;
+      const { page_id = null, text = null } = req.query;
+
+      if (page_id) {
+        const page = await pageForRouting({ page_id });
+        if (!page || page.project_id !== projectId) return res.status(404).json({ ok: false, error: "page_not_found" });
+      }
+
+      const line = await pickLineForProject(projectId, { page_id });
+      if (!line) return res.status(503).json({ ok: false, error: "no_line_available" });
+
+      res.json({
+        ok: true,
+        line_id: line.line_id,
+        phone: line.phone,
+        wa_link: waMeLink(line.phone, text ? String(text).slice(0, 500) : null),
+      });
+    } catch (e) {
+      console.error("[route-line] error:", e);
+      res.status(500).json({ ok: false, error: "server_error" });
+    }
+  }
+);
+
+// 🔐 Todas las rutas de líneas exigen JWT (o API key con scope) + pertenencia al proyecto de la línea
+const lineAccess = [requireAuth("lines:manage"), requireProjectAccess(projectFromLineParam)];
+const messageAccess = [requireAuth("messages:send"), requireProjectAccess(projectFromLineParam)];
+
+/** Página QR simple (dev) */
+app.get(
+  "/qr",
+  (req, res, next) => (req.query.line_id ? next() : res.status(400).send("line_id required")),
+  requireAuth("lines:manage"),
+  requireProjectAccess((req) => projectIdForLine(req.query.line_id)),
+  async (req, res) => {
+    const { line_id } = req.query;
+    await ensureClient(line_id);
+    const eventsUrl =
+      `/lines/${encodeURIComponent(line_id)}/events?access_token=` +
+      encodeURIComponent(req.query.access_token || "");
+
+    res.send(`
   <html>
   <head>
     <meta charset="utf-8" />
@@ -1231,7 +1014,7 @@ app.get("/qr", async (req, res) => {
     </div>
     <script>
       const qrBox = document.getElementById('qr-box');
-      const es = new EventSource('/lines/${line_id}/events');
+      const es = new EventSource(${JSON.stringify(eventsUrl)});
       es.onmessage = (ev) => {
         const d = JSON.parse(ev.data);
         if (d.status === 'ready') {
@@ -1251,10 +1034,11 @@ app.get("/qr", async (req, res) => {
     </script>
   </body>
   </html>`);
-});
+  }
+);
 
 /** SSE estado/QR */
-app.get("/lines/:lineId/events", async (req, res) => {
+app.get("/lines/:lineId/events", lineAccess, async (req, res) => {
   const { lineId } = req.params;
 
   // 🔐 Reflejar CORS para EventSource
@@ -1318,7 +1102,7 @@ app.get("/lines/:lineId/events", async (req, res) => {
 });
 
 /** JSON con QR actual (si está listo) */
-app.post("/lines/:lineId/qr", async (req, res) => {
+app.post("/lines/:lineId/qr", lineAccess, async (req, res) => {
   try {
     const { lineId } = req.params;
     const st = await ensureClient(lineId);
@@ -1339,7 +1123,7 @@ app.post("/lines/:lineId/qr", async (req, res) => {
 });
 
 /** Estado simple */
-app.get("/lines/:lineId/status", async (req, res) => {
+app.get("/lines/:lineId/status", lineAccess, async (req, res) => {
   try {
     const { lineId } = req.params;
     const st = lines.get(lineId);
@@ -1350,8 +1134,47 @@ app.get("/lines/:lineId/status", async (req, res) => {
   }
 });
 
+/**
+ * PATCH /lines/:lineId/routing
+ * Body: { routing_weight?: entero >= 0 (0 = fuera de rotación), routing_daily_cap?: entero > 0 | null }
+ */
+app.patch("/lines/:lineId/routing", lineAccess, async (req, res) => {
+  try {
+    const { lineId } = req.params;
+    const body = req.body || {};
+    const patch = {};
+
+    if ("routing_weight" in body) {
+      const w = body.routing_weight;
+      if (!Number.isInteger(w) || w < 0 || w > 1000) return res.status(400).json({ ok: false, error: "routing_weight inválido" });
+      patch.routing_weight = w;
+    }
+    if ("routing_daily_cap" in body) {
+      const cap = body.routing_daily_cap;
+      if (cap !== null && (!Number.isInteger(cap) || cap < 1)) return res.status(400).json({ ok: false, error: "routing_daily_cap inválido" });
+      patch.routing_daily_cap = cap;
+    }
+    if (!Object.keys(patch).length) return res.status(400).json({ ok: false, error: "nada para actualizar" });
+
+    const { data, error } = await supabase
+      .from("lines")
+      .update(patch)
+      .eq("id", lineId)
+      .select("id, project_id, routing_weight, routing_daily_cap")
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ ok: false, error: "line_not_found" });
+
+    invalidateLineRouting(data.project_id);
+    res.json({ ok: true, line: { id: data.id, routing_weight: data.routing_weight, routing_daily_cap: data.routing_daily_cap } });
+  } catch (e) {
+    console.error("[lines/routing] error:", e);
+    res.status(500).json({ ok: false, error: "server_error" });
+  }
+});
+
 /** QR como PNG */
-app.get("/lines/:lineId/qr.png", (req, res) => {
+app.get("/lines/:lineId/qr.png", lineAccess, (req, res) => {
   const { lineId } = req.params;
   const st = lines.get(lineId);
   if (!st?.lastQrDataUrl) return res.status(404).send("QR no disponible");
@@ -1362,7 +1185,7 @@ app.get("/lines/:lineId/qr.png", (req, res) => {
 });
 
 /** Reinicio manual */
-app.post("/lines/:lineId/restart", async (req, res) => {
+app.post("/lines/:lineId/restart", lineAccess, async (req, res) => {
   const { lineId } = req.params;
   const st = lines.get(lineId);
   try {
@@ -1384,11 +1207,224 @@ app.post("/lines/:lineId/restart", async (req, res) => {
   }
 });
 
+/* =========================
+   Mensajes salientes
+   ========================= */
+const OUTBOUND_TYPES = new Set(["text", "image", "pdf", "document"]);
+const OUTBOUND_MEDIA_MAX_BYTES = Number(process.env.OUTBOUND_MEDIA_MAX_BYTES || 16 * 1024 * 1024);
+
+// node-fetch corta el cuerpo con type "max-size" al pasar el tope
+function mediaFetchError(e) {
+  if (e?.code === "url_not_allowed") return e;
+  const tooBig = e?.type === "max-size";
+  return Object.assign(new Error(tooBig ? `media de más de ${OUTBOUND_MEDIA_MAX_BYTES} bytes` : e?.message || String(e)), {
+    code: tooBig ? "media_too_large" : "media_fetch_failed",
+  });
+}
+
+/** Baja la media de una URL pública por https (nada de red interna) con tope de tamaño. */
+async function fetchOutgoingMedia(url, { mimetype, filename }) {
+  let resp, buf;
+  try {
+    resp = await fetchPublicUrl(url, { maxBytes: OUTBOUND_MEDIA_MAX_BYTES });
+    if (!resp.ok) throw new Error(`http_${resp.status}`);
+    buf = Buffer.from(await resp.arrayBuffer());
+  } catch (e) {
+    throw mediaFetchError(e);
+  }
+
+  const mime = mimetype || (resp.headers.get("content-type") || "").split(";")[0].trim() || "application/octet-stream";
+  let name = filename || null;
+  if (!name) {
+    try { name = decodeURIComponent(new URL(resp.url || url).pathname.split("/").pop() || "") || null; } catch {}
+  }
+  return new MessageMedia(mime, buf.toString("base64"), name);
+}
+
+/** Arma el MessageMedia desde base64 o URL según el tipo pedido. */
+async function buildOutgoingMedia({ type, base64, url, mimetype, filename }) {
+  let media = null;
+  if (base64) {
+    const data = String(base64).replace(/^data:[^;]+;base64,/, "");
+    const mime = mimetype || (type === "pdf" ? "application/pdf" : null);
+    if (!mime) throw Object.assign(new Error("mimetype requerido"), { code: "mimetype_required" });
+    media = new MessageMedia(mime, data, filename || null);
+  } else if (url) {
+    media = await fetchOutgoingMedia(url, { mimetype, filename });
+  } else {
+    throw Object.assign(new Error("base64 o url requerido"), { code: "media_required" });
+  }
+
+  if (type === "image" && !/^image\//i.test(media.mimetype || "")) {
+    throw Object.assign(new Error("la media no es una imagen"), { code: "invalid_mimetype" });
+  }
+  if (type === "pdf" && media.mimetype !== "application/pdf") {
+    throw Object.assign(new Error("la media no es un PDF"), { code: "invalid_mimetype" });
+  }
+  if (!media.filename && type === "pdf") media.filename = "documento.pdf";
+  return media;
+}
+
+/** Guarda el mensaje saliente contra el mismo proyecto/contacto de analytics_chats y agenda. */
+async function recordOutgoingMessage({ line_id, project_id, wa_phone, contact, type, body, media, url, wa_message_id }) {
+  const { error } = await supabase.from("wa_outbound_messages").insert({
+    project_id,
+    line_id,
+    wa_phone,
+    contact,
+    msg_type: type,
+    body: body || null,
+    file_name: media?.filename || null,
+    file_mime: media?.mimetype || null,
+    media_url: url || null,
+    wa_message_id,
+    created_at: new Date().toISOString(),
+  });
+  if (error) console.error("[wa_outbound_messages] insert error:", error);
+
+  if (project_id) {
+    const { error: agErr } = await supabase
+      .from("agenda")
+      .update({
+        last_message_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq("project_id", project_id)
+      .eq("contact", contact);
+    if (agErr) console.error("[agenda] update (outbound) error:", agErr);
+  }
+}
+
+/**
+ * POST /lines/:lineId/messages
+ * Body JSON:
+ * {
+ *   to: string (tel del contacto, requerido),
+ *   type: "text" | "image" | "pdf" | "document"  (default "text"),
+ *   text: string (requerido si type = "text"),
+ *   caption: string | null,
+ *   base64: string | null,    // media en base64 (acepta data URL)
+ *   url: string | null,       // o media remota (sólo https a hosts públicos, hasta OUTBOUND_MEDIA_MAX_BYTES)
+ *   mimetype: string | null,
+ *   filename: string | null
+ * }
+ */
+app.post("/lines/:lineId/messages", messageAccess, async (req, res) => {
+  const { lineId } = req.params;
+  try {
+    const {
+      to,
+      type = "text",
+      text = null,
+      caption = null,
+      base64 = null,
+      url = null,
+      mimetype = null,
+      filename = null,
+    } = req.body || {};
+
+    if (!to) return res.status(400).json({ ok: false, error: "to requerido" });
+    // contactos sin teléfono conocido ("lid:<id>") se mandan directo a su JID @lid
+    const lidTo = isLidContact(to) ? `${String(to).slice(LID_CONTACT_PREFIX.length).replace(/\D+/g, "")}@lid` : null;
+    const number = lidTo ? null : normalizePhone(to);
+    if (!lidTo && !number) return res.status(400).json({ ok: false, error: "to inválido" });
+    if (!OUTBOUND_TYPES.has(type)) return res.status(400).json({ ok: false, error: "type inválido" });
+    if (type === "text" && !String(text || "").trim()) {
+      return res.status(400).json({ ok: false, error: "text requerido" });
+    }
+
+    const st = lines.get(lineId);
+    if (!st?.client || st.status !== "ready") {
+      return res.status(409).json({ ok: false, error: "line_not_ready", status: st?.status || "not_initialized" });
+    }
+
+    const numberId = lidTo ? { _serialized: lidTo } : await st.client.getNumberId(number).catch(() => null);
+    if (!numberId?._serialized) {
+      return res.status(422).json({ ok: false, error: "not_on_whatsapp" });
+    }
+    // el JID que devuelve WhatsApp es el mismo con el que llegan los mensajes del contacto
+    const contact = contactFromJid(numberId._serialized) || number;
+
+    let media = null;
+    if (type !== "text") {
+      try {
+        media = await buildOutgoingMedia({ type, base64, url, mimetype, filename });
+      } catch (e) {
+        return res.status(400).json({ ok: false, error: e.code || "media_failed", detail: e.message });
+      }
+    }
+
+    const sent = media
+      ? await st.client.sendMessage(numberId._serialized, media, {
+          caption: caption || text || undefined,
+          sendMediaAsDocument: type !== "image",
+        })
+      : await st.client.sendMessage(numberId._serialized, String(text));
+
+    const wa_message_id = sent?.id?._serialized || null;
+    if (wa_message_id) seenMsgs.add(wa_message_id);
+
+    const project_id = st.project_id || (await projectIdForLine(lineId));
+    await recordOutgoingMessage({
+      line_id: lineId,
+      project_id,
+      wa_phone: st.phone || null,
+      contact,
+      type,
+      body: media ? caption || text : text,
+      media,
+      url,
+      wa_message_id,
+    });
+
+    console.log(`[${lineId}] 📤 Mensaje enviado (${type}) → ${contact}`);
+    res.json({ ok: true, id: wa_message_id, contact });
+  } catch (e) {
+    console.error(`[${lineId}] send_failed`, e);
+    res.status(500).json({ ok: false, error: "send_failed" });
+  }
+});
+
 /* =========================
    Rutas adicionales (API)
    ========================= */
 import chatsApi from "./api/chats/new.js";
+import webhooksApi from "./api/webhooks/index.js";
+import apiKeysApi from "./api/projects/api-keys.js";
+import settingsApi from "./api/projects/settings.js";
+import conversionsReviewApi from "./api/conversions/review.js";
+import conversionsReprocessApi from "./api/conversions/reprocess.js";
+import receiptsParseApi from "./api/receipts/parse.js";
+import receiptTemplatesApi from "./api/receipts/templates.js";
+import jobsApi from "./api/jobs/index.js";
+import currencyRatesApi from "./api/projects/currency-rates.js";
+import receivingAccountsApi from "./api/projects/receiving-accounts.js";
+import landingTouchApi from "./api/landing/touch.js";
+import capiDeliveriesApi from "./api/capi/deliveries.js";
+import googleAdsExportApi from "./api/exports/google-ads.js";
 app.use("/", chatsApi);
+app.use("/", webhooksApi);
+app.use("/", apiKeysApi);
+app.use("/", settingsApi);
+app.use("/", conversionsReviewApi);
+app.use("/", conversionsReprocessApi);
+app.use("/", receiptsParseApi);
+app.use("/", receiptTemplatesApi);
+app.use("/", jobsApi);
+app.use("/", currencyRatesApi);
+app.use("/", receivingAccountsApi);
+app.use("/", landingTouchApi);
+app.use("/", capiDeliveriesApi);
+app.use("/", googleAdsExportApi);
+
+// Reintentos de webhooks pendientes
+startWebhookWorker();
+
+// Cola de trabajos (comprobantes)
+startJobWorker();
+
+// Reintentos de eventos CAPI
+startCapiWorker();
 
 /** Keep-alive */
 setInterval(() => {}, 60 * 1000);
@@ -1433,294 +1469,6 @@ setInterval(() => {
   }
 }, 20_000);
 
-// ===============================
-// 🧩 Parser por PLANTILLA + extractReceiptFields + scoreReceiptText
-// ===============================
-function _normTextForTpl(s = "") {
-  return (s || "")
-    .replace(/\r/g, "")
-    .replace(/\u00A0|\u202F/g, " ")
-    .replace(/[‘’´`]/g, "'")
-    .replace(/[“”]/g, '"')
-    .replace(/S\s*\$/gi, "$")
-    .replace(/\bS\s*([0-9])/gi, "$$1")
-    .replace(/ARS\s*/gi, "$")
-    .replace(/\s+/g, " ")
-    .trim();
-}
-
-function _extractAmountFromLine(line = "") {
-  const m = line.match(/(?:\$)\s*([0-9]{1,3}(?:[ .,\u00A0\u202F][0-9]{3})*(?:[.,][0-9]{1,2})?|[0-9]+(?:[.,][0-9]{1,2})?)/i);
-  if (!m) return null;
-  return toNumberARS(m[1]);
-}
-
-const TPLS = [
-  {
-    provider: "Mercado Pago",
-    test: /mercado\s*pago|mercado\s*libre|c[oó]digo de identificaci[oó]n|comprobante de transferencia|pagaste/i,
-    amountLine: /(?:pagaste|transferiste|monto|importe|total)\b/i,
-  },
-  {
-    provider: "Naranja X",
-    test: /naranja\s*x|enviaste/i,
-    amountLine: /(?:enviaste|monto|importe|total)\b/i,
-  },
-  {
-    provider: "Prex",
-    test: /\bprex\b|comprobante de transferencia/i,
-    amountLine: /(?:monto|importe|total|enviaste|transferiste)\b/i,
-  },
-  { provider: "Ualá", test: /ual[aá]\b|transferencia realizada|comprobante/i, amountLine: /(?:monto|importe|total|transferiste|transferencia)\b/i },
-  { provider: "Banco Naci[oó]n|BNA", test: /banco\s+naci[oó]n|bna\b|bna\+/i, amountLine: /(?:monto|importe|total)\b/i },
-  { provider: "Santander", test: /santander/i, amountLine: /(?:monto|importe|total)\b/i },
-  { provider: "Galicia", test: /galicia/i, amountLine: /(?:monto|importe|total)\b/i },
-];
-
-function parseByTemplate(text = "") {
-  if (!text) return { matched: false };
-
-  const norm = _normTextForTpl(text);
-  const lines = norm.split("\n").map(l => l.trim()).filter(Boolean);
-  const all = norm;
-
-  for (const tpl of TPLS) {
-    if (!tpl.test.test(all)) continue;
-
-    let best = null;
-    for (const ln of lines) {
-      if (tpl.amountLine.test(ln) || /\$/.test(ln)) {
-        const v = _extractAmountFromLine(ln);
-        if (Number.isFinite(v)) {
-          if (!best || v > best) best = v;
-        }
-      }
-    }
-
-    if (!best) {
-      const any = all.match(/(?:\$)\s*([0-9]{1,3}(?:[ .,\u00A0\u202F][0-9]{3})*(?:[.,][0-9]{1,2})?|[0-9]+(?:[.,][0-9]{1,2})?)/gi);
-      if (any) {
-        for (const hit of any) {
-          const mm = hit.match(/(?:\$)\s*([0-9., \u00A0\u202F]+)/i);
-          const v = mm ? toNumberARS(mm[1]) : null;
-          if (Number.isFinite(v)) {
-            if (!best || v > best) best = v;
-          }
-        }
-      }
-    }
-
-    if (Number.isFinite(best) && best > 0) {
-      const cuit = (all.match(/\b\d{2}-?\d{8}-?\d\b/) || [null])[0];
-      const cvu  = (all.match(/\b\d{22}\b/) || [null])[0];
-
-      return {
-        matched: true,
-        provider: tpl.provider,
-        amount: best,
-        fields: {
-          cuit,
-          cvu,
-          nameFrom: (all.match(/\bde[:\s]+([A-ZÁÉÍÓÚÑa-záéíóúñ .]+)/i) || [null, null])[1]?.trim() || null,
-          nameTo:   (all.match(/\bpara[:\s]+([A-ZÁÉÍÓÚÑa-záéíóúñ .]+)/i) || [null, null])[1]?.trim() || null,
-        },
-      };
-    }
-  }
-
-  return { matched: false };
-}
-
-function extractReceiptFields(text = "") {
-  const out = {
-    amount: null,
-    concept: null,
-    transaction: null,
-    reference: null,
-    origin: { name: null, cuit: null, account: null, bank: null },
-    destination: { name: null, cuit: null, account: null, bank: null },
-  };
-  if (!text) return out;
-
-  const norm = _normTextForTpl(text);
-
-  // ====== Monto (usa plantilla y fallback robusto) ======
-  const tpl = parseByTemplate(text);
-  out.amount = Number.isFinite(tpl.amount) ? tpl.amount : findBestAmount(text) || null;
-
-  // ====== Concepto / Nº operación / Referencia ======
-  const mTxn = norm.match(RE_TXN);
-  if (mTxn) out.transaction = mTxn[2];
-
-  const mRef = norm.match(RE_REF);
-  if (mRef) out.reference = mRef[2];
-
-  const mConcept = norm.match(/concepto\s*[:\-]?\s*(.+?)(?:\s{2,}|$)/i);
-  if (mConcept) out.concept = mConcept[1].trim().slice(0, 120);
-
-  // ====== Helpers de sección ======
-  const sliceBetween = (s, startRx, endRx) => {
-    const mStart = s.match(startRx);
-    if (!mStart) return null;
-    const from = mStart.index + mStart[0].length;
-    const rest = s.slice(from);
-    const mEnd = rest.match(endRx);
-    return rest.slice(0, mEnd ? mEnd.index : rest.length).trim() || null;
-  };
-
-  const firstNiceName = (blk) => {
-    if (!blk) return null;
-    const tag = blk.match(/(?:nombre|titular|beneficiario)\s*[:\-]\s*([A-ZÁÉÍÓÚÑa-záéíóúñ .]+)/i);
-    if (tag?.[1]) return tag[1].trim();
-    const dePara = blk.match(/\b(?:de|para|a)\s*[:\-]\s*([A-ZÁÉÍÓÚÑa-záéíóúñ .]+)/i);
-    if (dePara?.[1]) return dePara[1].trim();
-    const first = blk
-      .split(/\n+/)
-      .map((l) => l.trim())
-      .find((l) => /[A-Za-zÁÉÍÓÚÑáéíóúñ]/.test(l) && !/\d{5,}/.test(l));
-    return first || null;
-  };
-
-  const firstMatch = (rx, s) => {
-    const m = s?.match(rx);
-    return m ? m[0] : null;
-  };
-
-  const pickAccount = (blk) => {
-    if (!blk) return null;
-    const cbu = firstMatch(RE_CBU, blk);
-    if (cbu) return cbu;
-    const alias = blk.match(/(?:alias|cvu|cbu)\s*[:\-]?\s*([a-z0-9._-]{6,})/i);
-    if (alias?.[1]) return alias[1].trim();
-    const loneAlias = blk.match(RE_ALIAS);
-    if (loneAlias?.[0] && !/\d{10,}/.test(loneAlias[0])) return loneAlias[0];
-    return null;
-  };
-
-  const pickCuit = (blk) => {
-    const c = firstMatch(RE_CUIT, blk);
-    return c ? c.replace(/-/g, "") : null;
-  };
-
-  const pickBank = (blk) => guessBank(blk) || firstMatch(RE_BANK, blk);
-
-  // ====== Intento por bloques "Origen" / "Destino" ======
-  const originBlk =
-    sliceBetween(
-      text,
-      /(origen\b|^|\n)\s*(?:origen|de|desde|emisor|remitente)\s*[:\-]?\s*/i,
-      /\b(destino|para|a\b|beneficiario|archivo|adjunto|comprobante)\b/i
-    ) ||
-    sliceBetween(
-      text,
-      /\bde\s*[:\-]?\s*/i,
-      /\b(para|destino|archivo|adjunto|comprobante)\b/i
-    );
-
-  const destBlk =
-    sliceBetween(
-      text,
-      /(destino\b|^|\n)\s*(?:destino|para|a|beneficiario|receptor)\s*[:\-]?\s*/i,
-      /\b(archivo|adjunto|comprobante)\b/i
-    ) ||
-    sliceBetween(
-      text,
-      /\b(para|a)\s*[:\-]?\s*/i,
-      /\b(archivo|adjunto|comprobante)\b/i
-    );
-
-  if (originBlk) {
-    out.origin.name = firstNiceName(originBlk);
-    out.origin.cuit = pickCuit(originBlk);
-    out.origin.account = pickAccount(originBlk);
-    out.origin.bank = pickBank(originBlk);
-  }
-  if (destBlk) {
-    out.destination.name = firstNiceName(destBlk);
-    out.destination.cuit = pickCuit(destBlk);
-    out.destination.account = pickAccount(destBlk);
-    out.destination.bank = pickBank(destBlk);
-  }
-
-  // ====== Fallback global si faltan datos ======
-  const allCuist = [...norm.matchAll(RE_CUIT)].map((m) => m[0].replace(/-/g, ""));
-  const allAccts = [...norm.matchAll(RE_CBU)].map((m) => m[0]);
-  const allAlias = [...norm.matchAll(RE_ALIAS)].map((m) => m[0]).filter((a) => !/\d{10,}/.test(a));
-
-  const bankGlobal = guessBank(text);
-
-  if (!out.origin.cuit && allCuist.length) out.origin.cuit = allCuist[0];
-  if (!out.destination.cuit && allCuist.length > 1) out.destination.cuit = allCuist[allCuist.length - 1];
-
-  if (!out.origin.account && allAccts.length) out.origin.account = allAccts[0];
-  if (!out.destination.account && allAccts.length > 1) out.destination.account = allAccts[allAccts.length - 1];
-
-  if (!out.origin.account && allAlias.length) out.origin.account = allAlias[0];
-  if (!out.destination.account && allAlias.length > 1) out.destination.account = allAlias[allAlias.length - 1];
-
-  if (!out.origin.bank) out.origin.bank = bankGlobal;
-  if (!out.destination.bank) out.destination.bank = bankGlobal;
-
-  if (!out.origin.name && tpl?.fields?.nameFrom) out.origin.name = tpl.fields.nameFrom;
-  if (!out.destination.name && tpl?.fields?.nameTo) out.destination.name = tpl.fields.nameTo;
-
-  return out;
-}
-
-function scoreReceiptText(text = "") {
-  const t = (text || "").replace(/\s+/g, " ").trim();
-  let score = 0;
-
-  if (/comprobante\s+de\s+transferencia/i.test(t)) score += 2;
-  if (/enviaste/i.test(t)) score += 1;
-
-  const tpl = parseByTemplate(text);
-  const amountTpl = tpl.matched ? tpl.amount : null;
-
-  const hasComprobante = /comprobante/i.test(t);
-  const hasTransfer = /transferencia/i.test(t);
-  const hasMercadoPago = /mercado\s*pago/i.test(t);
-  const hasKw = /pagaste|recibo|pago realizado|n[uú]mero de operaci[oó]n|c[oó]digo de identificaci[oó]n/i.test(t);
-  const hasBank = /(mercado\s*pago|ual[aá]|santander|galicia|macro|bbva|hsbc|icbc|naci[oó]n|bna)/i.test(t);
-
-  const amountHeur = findBestAmount(text);
-  let amount = Number.isFinite(amountTpl) ? amountTpl : amountHeur;
-
-  if (amount && amount < 1000) {
-    const fallback = parseByTemplate(text);
-    if (fallback.matched && fallback.amount > 1000) amount = fallback.amount;
-  }
-
-  const hasAmount = Number.isFinite(amount) && amount > 0;
-  const hasId = /(operaci[oó]n|transacci[oó]n|c[oó]digo|identificaci[oó]n)\s*[:\-]?\s*[A-Z0-9\-]+/i.test(t);
-  const parties = /(CUIT|CVU|CBU|\bcvu\b|\bcbu\b|beneficiario)/i.test(t);
-
-  if (hasComprobante) score += 2;
-  if (hasTransfer) score += 2;
-  if (hasMercadoPago) score += 2;
-  if (hasKw) score++;
-  if (hasBank) score++;
-  if (hasAmount) score += 3;
-  if (hasId) score++;
-  if (parties) score++;
-
-  const hasCurrencySymbol = /\$/.test(t);
-  const hasThousandsPattern = new RegExp(
-    String.raw`\b[1-9]\d{0,2}(?:[.\s${NBSP}${NNSP}]\d{3})+(?:[,.\s]\d{1,2})?\b`
-  ).test(t);
-
-  if (hasCurrencySymbol) score += 1;
-  if (hasThousandsPattern && Number.isFinite(amount) && amount >= 1000) score += 2;
-
-  if (tpl.matched && hasAmount) score += 3;
-
-  return {
-    score,
-    amount: hasAmount ? amount : null,
-    provider: tpl.matched ? tpl.provider : null
-  };
-}
-
 /** Scoring + creación de conversión */
 async function saveReceiptAndCreateConversion({
   project_id,
@@ -1729,11 +1477,17 @@ async function saveReceiptAndCreateConversion({
   contact_phone,
   wa_phone,
   media,
+  media_sha256 = null,
   captionText,
   line_id,
   forceAmount,
+  currency = "ARS",
+  provider = null,
+  registry = null,
+  tamper = null,
 }) {
   let file_url = null;
+  let file_path = null;
   const file_mime = media?.mimetype || "application/octet-stream";
   const filename = media?.filename || "";
   const lower = (filename || "").toLowerCase();
@@ -1763,6 +1517,7 @@ async function saveReceiptAndCreateConversion({
       } else {
         const { data: pub } = supabase.storage.from(RECEIPTS_BUCKET).getPublicUrl(filePath);
         file_url = pub?.publicUrl || null;
+        file_path = filePath;
       }
     } catch (e) {
       console.warn("[receipts] upload exception:", e?.message || e);
@@ -1770,54 +1525,108 @@ async function saveReceiptAndCreateConversion({
   }
 
   // 🔎 Parsear texto para extraer todos los campos
-  const parsed = extractReceiptFields(captionText || "");
+  const parsed = extractReceiptFields(captionText || "", registry || undefined);
   const amount = (Number.isFinite(forceAmount) ? forceAmount : parsed.amount) ?? null;
 
+  const sha = media_sha256 || (media?.data ? mediaSha256(media.data) : null);
+  const markDuplicate = async (dup) => {
+    await recordDuplicateReceipt({
+      project_id,
+      conversion_id: dup.original.id,
+      reason: dup.reason,
+      contact: contact_phone,
+      line_id,
+      media_sha256: sha,
+      operation_no: parsed.transaction || null,
+      amount,
+      file_url,
+    });
+    return { file_url, amount, duplicate_of: dup.original.id, duplicate_reason: dup.reason };
+  };
+
+  // duplicado o received / pending_review / rejected según la configuración del proyecto
+  const review = await reviewReceipt({ project_id, parsed, amount, combined: captionText, media_sha256: sha, tamper });
+  if (review.duplicate) return markDuplicate(review.duplicate);
+  const { fingerprint, detail, status, review_reasons, account_match: accountMatch } = review;
+
+  const autoReview = {};
+  if (status === "rejected") {
+    Object.assign(autoReview, {
+      reviewed_by: "system",
+      reviewed_at: new Date().toISOString(),
+      review_note: review.reject_notes.join("; "),
+    });
+  }
+
+  const created_at = new Date().toISOString();
+  const normalized = await normalizeAmounts(project_id, amount, currency, created_at);
+  // página/click acreditados según el modelo del proyecto (sin historial: los que trajo el chat)
+  const credited = await resolveAttribution(project_id, contact_phone);
+  const credit = credited
+    ? { page_id: credited.page_id, slug: credited.slug, click: credited.ad_click }
+    : { page_id, slug, click: await latestClickForContact(project_id, contact_phone) };
+  const attribution = clickAttribution(credit.click);
+
   // Insertar TODO el detalle en analytics_conversions
   const payload = {
     project_id,
-    page_id,
-    slug,
+    page_id: credit.page_id,
+    slug: credit.slug,
     contact: contact_phone,
     wa_phone,
 
     file_url,
+    file_path,
     file_mime,
     amount,
-    status: "received",
+    currency,
+    ...normalized,
+    provider: provider || null,
+    status,
+    review_reasons,
+    ...autoReview,
     line_id,
-    created_at: new Date().toISOString(),
+    created_at,
 
     // detalle
-    concept: parsed.concept || null,
-    reference: parsed.reference || null,
-    operation_no: parsed.transaction || null,
-
-    origin_name: parsed.origin?.name || null,
-    origin_cuit: parsed.origin?.cuit || null,
-    origin_account: parsed.origin?.account || null,
-    origin_bank: parsed.origin?.bank || null,
-
-    dest_name: parsed.destination?.name || null,
-    dest_cuit: parsed.destination?.cuit || null,
-    dest_account: parsed.destination?.account || null,
-    dest_bank: parsed.destination?.bank || null,
+    ...detail,
+    ...attribution,
+    account_match: accountMatch.status,
+    account_match_detail: accountMatch,
+    tamper_score: tamper?.tamper_score ?? null,
+    tamper_reasons: tamper?.tamper_reasons || [],
+    tamper_detail: tamper?.tamper_detail || null,
+
+    // huellas (anti-duplicados)
+    media_sha256: sha,
+    operation_no_norm: normalizeOperationNo(parsed.transaction),
+    amount_fingerprint: fingerprint.amount_fingerprint,
+    media_phash: tamper?.media_phash || null,
   };
 
-  const { error: convErr } = await supabase
+  const { data: convRow, error: convErr } = await supabase
     .from("analytics_conversions")
-    .insert(payload);
+    .insert(payload)
+    .select()
+    .maybeSingle();
 
+  if (convErr?.code === "23505") {
+    // carrera: otro mensaje con el mismo archivo ganó el insert
+    const raced = await findDuplicateConversion(project_id, { media_sha256: sha });
+    if (raced) return markDuplicate(raced);
+  }
   if (convErr) console.error("[analytics_conversions] insert error:", convErr);
+  else emitWebhookEvent(project_id, "conversion.created", convRow);
+
+  // Mantener la agenda marcada como “conversion” (salvo rechazo automático)
+  if (status === "rejected") return { file_url, amount, conversion: convRow || null };
 
-  // Mantener la agenda marcada como “conversion”
   const { error: agErr } = await supabase.from("agenda").upsert(
     {
       project_id,
       contact: contact_phone,
       wa_phone,
-      source_slug: slug || null,
-      source_page_id: page_id || null,
+      ...(credit.page_id ? { source_slug: credit.slug, source_page_id: credit.page_id } : {}),
       status: "conversion",
       last_message_at: new Date().toISOString(),
       updated_at: new Date().toISOString(),
@@ -1826,5 +1635,5 @@ async function saveReceiptAndCreateConversion({
   );
   if (agErr) console.error("[agenda] upsert conversion error:", agErr);
 
-  return { file_url, amount };
+  return { file_url, amount, conversion: convRow || null };
 }
\ No newline at end of file